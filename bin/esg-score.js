@@ -0,0 +1,185 @@
+#!/usr/bin/env node
+/**
+ * esg-score — batch scoring from the command line
+ * -----------------------------------------------
+ * Scores company files (CSV, XLSX, JSON or GeoJSON) with the dashboard's engine (src/lib/engine.js) and writes the scored rows,
+ * a group aggregation or the headline KPIs as CSV or JSON. Each file is ingested and scaled on
+ * its own, exactly like an upload; validation summaries go to stderr.
+ *
+ *   esg-score companies.csv > scored.csv
+ *   esg-score q1.csv q2.csv --group-by geo --weight limit --format json
+ *   esg-score companies.csv --params scenario.json --filter "industry=Energy&band=Severe" --summary
+ *   esg-score book.xlsx --sheet Q3 --group-by industry
+ */
+import { readFile, writeFile } from "node:fs/promises";
+import { basename } from "node:path";
+import { parseArgs } from "node:util";
+import {
+  EXPOSURE_COLUMNS,
+  GROUP_KEYS,
+  crossfilterFromQuery,
+  resolveParams,
+  readSource,
+  scoreBook,
+  scoredRecords,
+  summarizeBook,
+  toCSV,
+} from "../src/lib/engine.js";
+
+const USAGE = `Usage: esg-score <companies file ...> [options]
+
+Reads company CSV, XLSX, JSON or GeoJSON files ("-" for stdin) and writes scored rows by default.
+
+Options:
+  -g, --group-by <key>   Aggregate by ${Object.keys(GROUP_KEYS).join(" | ")} instead of listing rows
+  -s, --summary          Write the headline and exposure KPIs instead of rows
+  -f, --format <fmt>     csv (default) | json
+  -w, --weight <col>     count (default) | ${Object.keys(EXPOSURE_COLUMNS).join(" | ")}
+  -p, --params <file>    Weights JSON: a params object or a saved scenario { name, params }
+  -t, --threshold <x>    High-risk threshold (overrides the params file; default 0.6)
+      --filter <query>   Dashboard filter query, e.g. "industry=Energy&geo=FR&band=Severe"
+      --sheet <name>     Workbook sheet to read from XLSX inputs (default: the first)
+  -o, --out <file>       Write to a file instead of stdout
+      --strict           Exit with status 1 when any row is rejected
+  -q, --quiet            No validation summary on stderr
+  -h, --help             Show this help`;
+
+const MAX_LISTED = 10; // rejected lines printed per file
+
+/** Parsed command line; throws on anything malformed (reported with the usage text). */
+function options(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      "group-by": { type: "string", short: "g" },
+      summary: { type: "boolean", short: "s" },
+      format: { type: "string", short: "f", default: "csv" },
+      weight: { type: "string", short: "w", default: "count" },
+      params: { type: "string", short: "p" },
+      threshold: { type: "string", short: "t" },
+      filter: { type: "string", default: "" },
+      sheet: { type: "string" },
+      out: { type: "string", short: "o" },
+      strict: { type: "boolean" },
+      quiet: { type: "boolean", short: "q" },
+      help: { type: "boolean", short: "h" },
+    },
+  });
+  if (values.help) return { help: true };
+  if (!positionals.length) throw new Error("No input files");
+  if (!["csv", "json"].includes(values.format)) throw new Error(`Unknown format "${values.format}"`);
+  if (values["group-by"] && !GROUP_KEYS[values["group-by"]]) throw new Error(`Cannot group by "${values["group-by"]}"`);
+  if (values["group-by"] && values.summary) throw new Error("Use either --group-by or --summary");
+  if (values.weight !== "count" && !EXPOSURE_COLUMNS[values.weight]) throw new Error(`Unknown weight "${values.weight}"`);
+  const threshold = values.threshold === undefined ? undefined : Number(values.threshold);
+  if (threshold !== undefined && !(threshold >= 0 && threshold <= 1)) throw new Error("--threshold must be a number in [0,1]");
+  return { ...values, threshold, files: positionals };
+}
+
+/** File or stdin bytes, read into a source grid (the format is sniffed for stdin). */
+async function readInput(file, sheet) {
+  if (file !== "-") return readSource({ name: basename(file), bytes: new Uint8Array(await readFile(file)) }, { sheet });
+  const chunks = [];
+  for await (const chunk of process.stdin) chunks.push(chunk);
+  return readSource({ name: "stdin", bytes: new Uint8Array(Buffer.concat(chunks)) }, { sheet });
+}
+
+function logReport(report) {
+  const { file, total, accepted, rejected, warnings, unknownGeo } = report;
+  console.error(`${file}: ${accepted} of ${total} rows accepted, ${rejected.length} rejected, ${warnings.length} warnings`);
+  rejected.slice(0, MAX_LISTED).forEach((r) => console.error(`  line ${r.line}: ${r.reason}`));
+  if (rejected.length > MAX_LISTED) console.error(`  … ${rejected.length - MAX_LISTED} more rejected`);
+  if (unknownGeo.length) console.error(`  unknown geo: ${unknownGeo.join(", ")}`);
+}
+
+/** The output for the chosen view: { columns, rows } for CSV and the value printed as JSON. */
+function buildOutput(rows, opts, params) {
+  const summary = summarizeBook(rows, {
+    threshold: params.threshold,
+    weight: opts.weight,
+    groupBy: opts["group-by"] || "industry",
+    filters: crossfilterFromQuery(opts.filter).filters,
+  });
+  if (opts.summary) {
+    const { unresolved, ...placement } = summary.placement;
+    const record = { weight: summary.weight, threshold: params.threshold, ...summary.kpis, ...summary.exposure, ...placement };
+    const json = { weight: summary.weight, threshold: params.threshold, kpis: summary.kpis, exposure: summary.exposure, placement: summary.placement };
+    return { columns: Object.keys(record), rows: [record], json };
+  }
+  if (opts["group-by"]) {
+    const key = opts["group-by"];
+    const columns = [key, "companies", "avg_EHEI", "pct_high_risk", ...(summary.weight === "count" ? [] : ["exposure"])];
+    const groups = summary.groups.map((g) => Object.fromEntries(columns.map((c) => [c, g[c]])));
+    return { columns, rows: groups, json: groups };
+  }
+  const { columns, rows: records } = scoredRecords(summary.rows, { threshold: params.threshold });
+  return { columns, rows: records, json: records };
+}
+
+async function main(argv = process.argv.slice(2)) {
+  let opts;
+  try {
+    opts = options(argv);
+  } catch (err) {
+    console.error(`esg-score: ${err.message}\n\n${USAGE}`);
+    return 2;
+  }
+  if (opts.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  let params;
+  try {
+    params = resolveParams(opts.params ? JSON.parse(await readFile(opts.params, "utf8")) : null);
+  } catch (err) {
+    console.error(`esg-score: cannot read params ${opts.params}: ${err.message}`);
+    return 1;
+  }
+  if (opts.threshold !== undefined) params.threshold = opts.threshold;
+
+  const rows = [];
+  let rejected = 0;
+  for (const file of opts.files) {
+    let source;
+    try {
+      source = await readInput(file, opts.sheet);
+    } catch (err) {
+      console.error(`esg-score: cannot read ${file}: ${err.message}`);
+      return 1;
+    }
+    const name = file === "-" ? "stdin" : basename(file);
+    const { rows: scored, report } = scoreBook(source, { file: name, params });
+    if (!opts.quiet) logReport(report);
+    rejected += report.rejected.length;
+    scored.forEach((c) => rows.push(opts.files.length > 1 ? { ...c, source_file: name } : c));
+  }
+  if (!rows.length) {
+    console.error("esg-score: no rows accepted");
+    return 1;
+  }
+
+  const out = buildOutput(rows, opts, params);
+  const text = opts.format === "json" ? `${JSON.stringify(out.json, null, 2)}\n` : `${toCSV(out.rows, out.columns)}\r\n`;
+  if (!opts.out) process.stdout.write(text);
+  else {
+    try {
+      await writeFile(opts.out, text);
+    } catch (err) {
+      console.error(`esg-score: cannot write ${opts.out}: ${err.message}`);
+      return 1;
+    }
+  }
+  return opts.strict && rejected ? 1 : 0;
+}
+
+main().then(
+  (code) => {
+    process.exitCode = code;
+  },
+  (err) => {
+    console.error(`esg-score: ${err.message}`);
+    process.exitCode = 1;
+  }
+);
@@ -1,7 +1,8 @@
-import React, { useEffect, useMemo, useRef, useState } from "react";
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
 import {
   BarChart,
   Bar,
+  Cell,
   XAxis,
   YAxis,
   Tooltip,
@@ -10,39 +11,82 @@ import {
   Legend,
   LabelList,
 } from "recharts";
+import { DEFAULT_PARAMS, formulaText, isDefaultParams, rescoreCompanies } from "./lib/ehei.js";
+import {
+  EHEI_BANDS,
+  EXPOSURE_COLUMNS,
+  GROUP_KEYS,
+  aggregateBy,
+  aggregateByIndustry,
+  availableExposures,
+  companyKey,
+  compareAggregates,
+  computeKpis,
+  eheiBand,
+  exposureKpis,
+  fmtExposure,
+  groupValue,
+} from "./lib/portfolio.js";
+import { GROUP_FILTERS, applyCrossfilter, crossfilterFromQuery, crossfilterToQuery, describeCrossfilter, toggleValue } from "./lib/filters.js";
+import { failedReport, ingestCompanies, ingestFeatures, ingestPortfolio } from "./lib/ingest.js";
+import { readFileSource, readSource } from "./lib/sources.js";
+import { SCHEMAS, guessMapping, matchSavedMapping, needsReview, rememberMapping } from "./lib/mapping.js";
+import ScenarioPanel from "./components/ScenarioPanel.jsx";
+import ValidationReport from "./components/ValidationReport.jsx";
+import FileDrop from "./components/FileDrop.jsx";
+import MappingWizard from "./components/MappingWizard.jsx";
+import CompanyExplorer from "./components/CompanyExplorer.jsx";
+import CompanyDrawer from "./components/CompanyDrawer.jsx";
+import FilterBar from "./components/FilterBar.jsx";
+import SnapshotPanel from "./components/SnapshotPanel.jsx";
+import AttributionPanel from "./components/AttributionPanel.jsx";
+import DiagnosticsPanel from "./components/DiagnosticsPanel.jsx";
+import StressPanel from "./components/StressPanel.jsx";
+import ChartExport from "./components/ChartExport.jsx";
+import ReportExport from "./components/ReportExport.jsx";
+import RulesPanel from "./components/RulesPanel.jsx";
+import BenchmarkPanel from "./components/BenchmarkPanel.jsx";
+import { peerPercentiles } from "./lib/benchmark.js";
+import { DEFAULT_RULES, evaluateRules } from "./lib/rules.js";
+import { staticMapSvg } from "./lib/report.js";
+import { chartSvg } from "./lib/download.js";
+import { loadCountryBoundaries } from "./lib/boundaries.js";
+import { applyShocks, stressImpact } from "./lib/stress.js";
+import { hasOutcomes } from "./lib/diagnostics.js";
+import { deleteSnapshot, listSnapshots, saveSnapshot } from "./lib/snapshots.js";
+import LeafletVanillaMap, { DEFAULT_TILE_URL } from "./components/LeafletVanillaMap.jsx";
+import { accumulateWithin, placeCompanies, unplacedSummary } from "./lib/spatial.js";
+import { resolveGeo } from "./lib/countries.js";
 
 /**
- * ESG–Casualty Risk Dashboard (Vercel-ready, Leaflet via CDN — no react-leaflet)
- * -----------------------------------------------------------------------------
- * - Vanilla Leaflet loaded from CDN (CSS + JS) to avoid SSR/bundler issues.
- * - Geocoding fallback: if a company's lat/lon is missing, snap to country centroid by ISO-2 `geo` code.
+ * ESG–Casualty Risk Dashboard (Vercel-ready, bundled Leaflet — no react-leaflet)
+ * ------------------------------------------------------------------------------
+ * - Vanilla Leaflet imported from the bundle; tiles from a configurable URL with an offline outline fallback.
+ * - Country choropleth (avg EHEI / high-risk share) from bundled Natural Earth boundaries.
+ * - Marker clustering for large books, spread-out centroid placements and a radius accumulation tool.
+ * - Geocoding fallback: if a company's lat/lon is missing, snap to the country (or US/CA/AU subdivision)
+ *   centroid for its `geo` — any ISO 3166-1 code or country name (see lib/countries.js).
+ * - EHEI scoring: raw driver columns are normalized and scored in-browser (see lib/ehei.js).
+ * - Uploads: RFC 4180 CSV parsing (lib/csv.js) with a validation report per file (lib/ingest.js).
+ * - Upload formats: CSV, XLSX (sheet picker), JSON arrays and GeoJSON points (lib/sources.js, lib/xlsx.js), by picker or
+ *   drag-and-drop, through a column-mapping wizard whose mappings are saved per header set (lib/mapping.js).
+ * - Weight editor: the whole book is re-scored live from the editable params; named scenarios persist in localStorage.
+ * - Company explorer: sortable / searchable / paginated grid (lib/explorer.js) with a detail drawer that centers the map.
+ * - Cross-filtering: industry / geo / band slicers, chart bars and a map area selection filter every other view;
+ *   the filter state and selected company are mirrored in the URL (lib/filters.js).
+ * - Snapshots: dated company books kept in IndexedDB (lib/snapshots.js) with trends and band migration (lib/trends.js).
+ * - Driver attribution: per-company EHEI waterfall vs its industry median (lib/attribution.js), beside the global importances.
+ * - Diagnostics: with `had_claim` / `incurred_loss` uploaded, EHEI is validated as a classifier (lib/diagnostics.js).
+ * - Stress tests: industry / geo shocks to drivers or EHEI (lib/stress.js); the dashboard can switch to the shocked scores.
+ * - Exports: self-contained HTML / print-to-PDF report of the filtered view (lib/report.js), PNG / SVG per chart, CSV / JSON rows.
+ * - Referral rules: configurable conditions tag companies (badges in the explorer, drawer and map popups) and feed an alerts watchlist (lib/rules.js).
+ * - Peer benchmarking: EHEI box plots / histograms per industry or geo, per-company peer percentiles and a peer comparison (lib/benchmark.js).
+ * - Headless engine: ingest → score → filter → KPIs / aggregations / placement without React (lib/engine.js), shared with the esg-score CLI; tests in test/.
  */
 
-// ---------- Minimal CSV parser (simple, no quoted comma support) ----------
-function parseCSV(text) {
-  const lines = text.trim().split(/\r?\n/);
-  if (!lines.length) return [];
-  const headers = lines[0].split(",").map((h) => h.trim());
-  return lines
-    .slice(1)
-    .filter(Boolean)
-    .map((line) => {
-      const cols = line.split(",");
-      const row = {};
-      headers.forEach((h, i) => (row[h] = (cols[i] ?? "").trim()));
-      return row;
-    });
-}
-
 // ---------- Sample fallback data ----------
-const SAMPLE_PORTFOLIO = [
-  { industry: "Chemicals", companies: 38, avg_EHEI: 0.72, pct_high_risk: 0.44 },
-  { industry: "Construction", companies: 36, avg_EHEI: 0.64, pct_high_risk: 0.39 },
-  { industry: "Energy", companies: 42, avg_EHEI: 0.61, pct_high_risk: 0.33 },
-  { industry: "Pharmaceuticals", companies: 33, avg_EHEI: 0.49, pct_high_risk: 0.22 },
-  { industry: "Consumer Goods", companies: 39, avg_EHEI: 0.41, pct_high_risk: 0.18 },
-];
-
+// (The industry aggregation is derived from the companies; see lib/portfolio.js.)
+// Exposure columns (gross_written_premium, limit, revenue_usd_m) are in USD m.
 const SAMPLE_FEATURES = [
   { feature: "climate_risk", importance: 0.26 },
   { feature: "worker_incidents_per_1k", importance: 0.21 },
@@ -55,259 +99,382 @@ const SAMPLE_FEATURES = [
 ];
 
 const SAMPLE_COMPANIES = [
-  { company_id: "C0001", company: "Company_0001", industry: "Chemicals", EHEI: 0.86, is_high_risk: 1, geo: "FR", lat: 48.85, lon: 2.35 },
-  { company_id: "C0002", company: "Company_0002", industry: "Construction", EHEI: 0.74, is_high_risk: 1, geo: "UK", lat: 51.51, lon: -0.13 },
-  { company_id: "C0003", company: "Company_0003", industry: "Energy", EHEI: 0.68, is_high_risk: 1, geo: "DE", lat: 52.52, lon: 13.4 },
-  { company_id: "C0004", company: "Company_0004", industry: "Pharmaceuticals", EHEI: 0.41, is_high_risk: 0, geo: "IE", lat: 53.35, lon: -6.26 },
-  { company_id: "C0005", company: "Company_0005", industry: "Consumer Goods", EHEI: 0.37, is_high_risk: 0, geo: "ES", lat: 40.42, lon: -3.7 },
-  { company_id: "C0006", company: "Company_0006", industry: "Chemicals", EHEI: 0.79, is_high_risk: 1, geo: "IT", lat: 45.46, lon: 9.19 },
-  { company_id: "C0007", company: "Company_0007", industry: "Energy", EHEI: 0.63, is_high_risk: 1, geo: "PL", lat: 52.23, lon: 21.01 },
-  { company_id: "C0008", company: "Company_0008", industry: "Construction", EHEI: 0.58, is_high_risk: 0, geo: "SE", lat: 59.33, lon: 18.07 },
+  { company_id: "C0001", company: "Company_0001", industry: "Chemicals", EHEI: 0.86, is_high_risk: 1, geo: "FR", lat: 48.85, lon: 2.35, gross_written_premium: 4.2, limit: 25, revenue_usd_m: 1850 },
+  { company_id: "C0002", company: "Company_0002", industry: "Construction", EHEI: 0.74, is_high_risk: 1, geo: "UK", lat: 51.51, lon: -0.13, gross_written_premium: 3.1, limit: 20, revenue_usd_m: 1200 },
+  { company_id: "C0003", company: "Company_0003", industry: "Energy", EHEI: 0.68, is_high_risk: 1, geo: "DE", lat: 52.52, lon: 13.4, gross_written_premium: 6.5, limit: 50, revenue_usd_m: 5400 },
+  { company_id: "C0004", company: "Company_0004", industry: "Pharmaceuticals", EHEI: 0.41, is_high_risk: 0, geo: "IE", lat: 53.35, lon: -6.26, gross_written_premium: 2.4, limit: 15, revenue_usd_m: 2300 },
+  { company_id: "C0005", company: "Company_0005", industry: "Consumer Goods", EHEI: 0.37, is_high_risk: 0, geo: "ES", lat: 40.42, lon: -3.7, gross_written_premium: 1.8, limit: 10, revenue_usd_m: 950 },
+  { company_id: "C0006", company: "Company_0006", industry: "Chemicals", EHEI: 0.79, is_high_risk: 1, geo: "IT", lat: 45.46, lon: 9.19, gross_written_premium: 2.9, limit: 20, revenue_usd_m: 1400 },
+  { company_id: "C0007", company: "Company_0007", industry: "Energy", EHEI: 0.63, is_high_risk: 1, geo: "PL", lat: 52.23, lon: 21.01, gross_written_premium: 5.2, limit: 35, revenue_usd_m: 3100 },
+  { company_id: "C0008", company: "Company_0008", industry: "Construction", EHEI: 0.58, is_high_risk: 0, geo: "SE", lat: 59.33, lon: 18.07, gross_written_premium: 1.5, limit: 10, revenue_usd_m: 780 },
 ];
 
 // ---------- UI helpers ----------
 const card = { boxShadow: "0 8px 24px rgba(0,0,0,.08)", borderRadius: 16, padding: 16, background: "#fff" };
 const hstack = { display: "flex", gap: 16, alignItems: "stretch", flexWrap: "wrap" };
 const vstack = { display: "flex", gap: 16, flexDirection: "column" };
+const BAND_COLORS = { Severe: "#ef4444", Elevated: "#f59e0b", Moderate: "#eab308", Low: "#22c55e" }; // red / amber / yellow / green
+
+// ---------- Choropleth color scales ----------
+const SHARE_STEPS = [
+  { min: 0.8, color: "#7f1d1d", label: "≥ 80%" },
+  { min: 0.6, color: "#b91c1c", label: "60–80%" },
+  { min: 0.4, color: "#ef4444", label: "40–60%" },
+  { min: 0.2, color: "#fca5a5", label: "20–40%" },
+  { min: 0, color: "#fee2e2", label: "< 20%" },
+];
+const shareColor = (x) => SHARE_STEPS.find((s) => Number(x) >= s.min)?.color || SHARE_STEPS[SHARE_STEPS.length - 1].color;
 
-// ---------- LeafletVanillaMap (CDN Leaflet, no bundler deps) ----------
-function LeafletVanillaMap({ points, colorFor, height = 420 }) {
-  const mapRef = useRef(null); // container div
-  const leafletMap = useRef(null);
-  const markersLayer = useRef(null);
+const TILE_URL_KEY = "esg-casualty.tileUrl";
+const AUTO_CLUSTER_ABOVE = 300; // points; clustering defaults on for larger books
 
-  // Inject Leaflet CSS & JS once
-  useEffect(() => {
-    const cssId = "leaflet-css";
-    const jsId = "leaflet-js";
-
-    function ensureLink() {
-      if (!document.getElementById(cssId)) {
-        const link = document.createElement("link");
-        link.id = cssId;
-        link.rel = "stylesheet";
-        link.href = "https://unpkg.com/leaflet@1.9.4/dist/leaflet.css";
-        document.head.appendChild(link);
-      }
-    }
-    function ensureScript() {
-      return new Promise((resolve, reject) => {
-        if (window.L) return resolve(window.L);
-        if (document.getElementById(jsId)) {
-          const el = document.getElementById(jsId);
-          el.addEventListener("load", () => resolve(window.L));
-          el.addEventListener("error", reject);
-          return;
-        }
-        const script = document.createElement("script");
-        script.id = jsId;
-        script.src = "https://unpkg.com/leaflet@1.9.4/dist/leaflet.js";
-        script.async = true;
-        script.onload = () => resolve(window.L);
-        script.onerror = reject;
-        document.body.appendChild(script);
-      });
-    }
+// ---------- Saved EHEI scenarios (localStorage) ----------
+const SCENARIOS_KEY = "esg-casualty.scenarios";
 
-    ensureLink();
-    let cancelled = false;
-    ensureScript()
-      .then((L) => {
-        if (cancelled || !mapRef.current) return;
-        // init map
-        leafletMap.current = L.map(mapRef.current, { center: [50, 10], zoom: 4, zoomControl: true });
-        L.tileLayer("https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png", {
-          attribution: "&copy; OpenStreetMap contributors",
-          maxZoom: 19,
-        }).addTo(leafletMap.current);
-        markersLayer.current = L.layerGroup().addTo(leafletMap.current);
-      })
-      .catch((err) => console.warn("Leaflet failed to load", err));
-
-    return () => {
-      cancelled = true;
-      if (leafletMap.current) {
-        leafletMap.current.remove();
-        leafletMap.current = null;
-      }
-    };
-  }, []);
+const STRESS_KEY = "esg-casualty.stress";
+const RULES_KEY = "esg-casualty.rules";
+const MAPPINGS_KEY = "esg-casualty.mappings"; // saved upload column mappings (lib/mapping.js)
 
-  // Update markers when points change
-  useEffect(() => {
-    if (!window.L || !leafletMap.current || !markersLayer.current) return;
-    const L = window.L;
-    markersLayer.current.clearLayers();
-    const bounds = [];
-    points.forEach((p) => {
-      if (!Number.isFinite(p.lat) || !Number.isFinite(p.lon)) return;
-      const color = colorFor(p.EHEI);
-      const circle = L.circleMarker([p.lat, p.lon], {
-        radius: Math.max(6, Math.round(12 * Number(p.EHEI))),
-        color,
-        fillColor: color,
-        fillOpacity: 0.7,
-        weight: 1,
-      }).bindPopup(
-        `<div style="min-width:180px"><strong>${p.company}</strong><br/>Industry: ${p.industry}<br/>EHEI: ${Number(p.EHEI).toFixed(2)}<br/>High Risk: ${String(p.is_high_risk) === "1" ? "Yes" : "No"}</div>`
-      );
-      circle.addTo(markersLayer.current);
-      bounds.push([p.lat, p.lon]);
-    });
-    if (bounds.length) leafletMap.current.fitBounds(bounds, { padding: [24, 24] });
-  }, [points, colorFor]);
-
-  return <div ref={mapRef} style={{ width: "100%", height, borderRadius: 12, overflow: "hidden", background: "#0b1220" }} />;
+function loadList(key, fallback = []) {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(key) ?? "null");
+    return Array.isArray(saved) ? saved : fallback;
+  } catch {
+    return fallback;
+  }
 }
 
 export default function App() {
-  const [portfolio, setPortfolio] = useState(SAMPLE_PORTFOLIO);
+  const [uploadedPortfolio, setUploadedPortfolio] = useState(null); // portfolio_aggregation_by_industry.csv, if any
+  const [portfolioSource, setPortfolioSource] = useState("companies"); // "companies" | "upload"
+  const [groupBy, setGroupBy] = useState("industry");
+  const [weighting, setWeighting] = useState("count"); // "count" or an EXPOSURE_COLUMNS key
   const [features, setFeatures] = useState(SAMPLE_FEATURES);
   const [companies, setCompanies] = useState(SAMPLE_COMPANIES);
-  const [industryFilter, setIndustryFilter] = useState("All");
-
-  // Country/region centroid lookup (used when lat/lon missing)
-  const CENTROIDS = useMemo(() => ({
-    AT: [47.5162, 14.5501], BE: [50.5039, 4.4699], BG: [42.7339, 25.4858],
-    CH: [46.8182, 8.2275], CY: [35.1264, 33.4299], CZ: [49.8175, 15.4730],
-    DE: [51.1657, 10.4515], DK: [56.2639, 9.5018], EE: [58.5953, 25.0136],
-    ES: [40.4637, -3.7492], FI: [61.9241, 25.7482], FR: [46.2276, 2.2137],
-    GB: [55.3781, -3.4360], UK: [55.3781, -3.4360], GR: [39.0742, 21.8243],
-    HR: [45.1000, 15.2000], HU: [47.1625, 19.5033], IE: [53.1424, -7.6921],
-    IS: [64.9631, -19.0208], IT: [41.8719, 12.5674], LT: [55.1694, 23.8813],
-    LU: [49.8153, 6.1296], LV: [56.8796, 24.6032], MT: [35.9375, 14.3754],
-    NL: [52.1326, 5.2913], NO: [60.4720, 8.4689], PL: [51.9194, 19.1451],
-    PT: [39.3999, -8.2245], RO: [45.9432, 24.9668], SE: [60.1282, 18.6435],
-    SI: [46.1512, 14.9955], SK: [48.6690, 19.6990]
-  }), []);
+  const [companiesLabel, setCompaniesLabel] = useState("Sample data"); // where the current book came from
+  const [snapshots, setSnapshots] = useState([]);
+  const [snapshotError, setSnapshotError] = useState(null);
+  const [crossfilter, setCrossfilter] = useState(() => crossfilterFromQuery(window.location.search).filters);
+  const [params, setParams] = useState(DEFAULT_PARAMS);
+  const [scenarios, setScenarios] = useState(() => loadList(SCENARIOS_KEY));
+  const [shocks, setShocks] = useState(() => loadList(STRESS_KEY));
+  const [stressApplied, setStressApplied] = useState(false); // dashboard shows shocked scores
+  const [rules, setRules] = useState(() => loadList(RULES_KEY, DEFAULT_RULES));
+  const [reports, setReports] = useState({}); // latest validation report per upload kind
+  const [mappings, setMappings] = useState(() => loadList(MAPPINGS_KEY));
+  const [pendingUpload, setPendingUpload] = useState(null); // { kind, source, mapping, saved, date } in the mapping wizard
+  const [lastUploads, setLastUploads] = useState({}); // per kind: { source, mapping, date }, for "Edit mapping"
+  const [choroplethMetric, setChoroplethMetric] = useState("avg_EHEI"); // "avg_EHEI" | "pct_high_risk"
+  const [tileUrl, setTileUrl] = useState(() => window.localStorage.getItem(TILE_URL_KEY) || DEFAULT_TILE_URL);
+  const [tileUrlDraft, setTileUrlDraft] = useState(tileUrl);
+  const [clusterPref, setClusterPref] = useState(null); // null = automatic by book size
+  const [accumulateMode, setAccumulateMode] = useState(false);
+  const [selectMode, setSelectMode] = useState(false); // map area selection (cross-filter)
+  const [accRadiusKm, setAccRadiusKm] = useState(50);
+  const [accCenter, setAccCenter] = useState(null);
+  const [selectedKey, setSelectedKey] = useState(() => crossfilterFromQuery(window.location.search).selected); // company open in the detail drawer
+  const mapSectionRef = useRef(null);
+  const groupChartRef = useRef(null);
+  const featureChartRef = useRef(null);
+
+  const applyTileUrl = (url) => {
+    const next = url.trim() || DEFAULT_TILE_URL;
+    setTileUrl(next);
+    setTileUrlDraft(next);
+    if (next === DEFAULT_TILE_URL) window.localStorage.removeItem(TILE_URL_KEY);
+    else window.localStorage.setItem(TILE_URL_KEY, next);
+  };
+
+  useEffect(() => {
+    window.localStorage.setItem(SCENARIOS_KEY, JSON.stringify(scenarios));
+  }, [scenarios]);
+  useEffect(() => {
+    window.localStorage.setItem(STRESS_KEY, JSON.stringify(shocks));
+  }, [shocks]);
+  useEffect(() => {
+    window.localStorage.setItem(RULES_KEY, JSON.stringify(rules));
+  }, [rules]);
+  useEffect(() => {
+    window.localStorage.setItem(MAPPINGS_KEY, JSON.stringify(mappings));
+  }, [mappings]);
+
+  // Mirror the cross-filter state in the URL so a view can be shared as a link
+  useEffect(() => {
+    const query = crossfilterToQuery(crossfilter, selectedKey);
+    const url = `${window.location.pathname}${query ? `?${query}` : ""}${window.location.hash}`;
+    if (url !== `${window.location.pathname}${window.location.search}${window.location.hash}`) window.history.replaceState(null, "", url);
+  }, [crossfilter, selectedKey]);
+
+  // Snapshots live in IndexedDB; the list is re-read after every change
+  const refreshSnapshots = useCallback(
+    () =>
+      listSnapshots()
+        .then(setSnapshots)
+        .catch((err) => setSnapshotError(err.message)),
+    []
+  );
+  useEffect(() => {
+    refreshSnapshots();
+  }, [refreshSnapshots]);
+
+  const onSaveSnapshot = (date, rows = companies, label = companiesLabel) =>
+    saveSnapshot({ date, label, rows })
+      .then(refreshSnapshots)
+      .catch((err) => setSnapshotError(err.message));
+  const onDeleteSnapshot = (date) => deleteSnapshot(date).then(refreshSnapshots).catch((err) => setSnapshotError(err.message));
+  const onLoadSnapshot = (s) => {
+    setCompanies(s.rows);
+    setCompaniesLabel(`Snapshot ${s.date}`);
+  };
+
+  const toggleFilter = (key, value) => setCrossfilter((f) => ({ ...f, [key]: toggleValue(f[key], value) }));
+
+  const onSaveScenario = (name, p) => setScenarios((prev) => [...prev.filter((s) => s.name !== name), { name, params: p }]);
+  const onDeleteScenario = (name) => setScenarios((prev) => prev.filter((s) => s.name !== name));
+
+  // Companies re-scored under the live params (identity with the documented formula),
+  // then stressed; the shocked rows replace them everywhere when the stress view is on
+  const rescored = useMemo(() => rescoreCompanies(companies, params), [companies, params]);
+  const stress = useMemo(() => applyShocks(rescored, shocks, { params, book: companies }), [rescored, shocks, params, companies]);
+  const stressActive = stressApplied && stress.rows !== rescored;
+  const scored = stressActive ? stress.rows : rescored;
+  const weightsChanged = !isDefaultParams(params);
+  const isScenario = weightsChanged || stressActive;
+  const threshold = params.threshold;
+  const baselineRows = useMemo(() => applyCrossfilter(companies, crossfilter, { threshold }), [companies, crossfilter, threshold]);
+  const filteredCompanies = useMemo(() => applyCrossfilter(scored, crossfilter, { threshold }), [scored, crossfilter, threshold]);
+  // The map keeps showing what lies outside its own selection rectangle
+  const mapRows = useMemo(() => applyCrossfilter(scored, crossfilter, { threshold, except: "bbox" }), [scored, crossfilter, threshold]);
 
   const industries = useMemo(
-    () => ["All", ...Array.from(new Set([...SAMPLE_PORTFOLIO.map((d) => d.industry), ...companies.map((c) => c.industry)]))],
-    [companies]
+    () => [...new Set([...companies.map((c) => groupValue(c, "industry")), ...(uploadedPortfolio || []).map((d) => d.industry)])].sort(),
+    [companies, uploadedPortfolio]
+  );
+  const geos = useMemo(() => [...new Set(companies.map((c) => groupValue(c, "geo")))].sort(), [companies]);
+
+  // Count- vs exposure-weighted view; falls back to count when the chosen column is not loaded
+  const exposures = useMemo(() => availableExposures(companies), [companies]);
+  const weight = exposures.includes(weighting) ? weighting : "count";
+  const weightLabel = weight === "count" ? "" : ` (${EXPOSURE_COLUMNS[weight].toLowerCase()}-weighted)`;
+
+  const kpis = useMemo(() => computeKpis(filteredCompanies, { weight }), [filteredCompanies, weight]);
+
+  // Shocked vs unshocked scores over the same rows in view (membership decided on the unshocked scores)
+  const stressView = useMemo(() => {
+    const shockedOf = new Map(rescored.map((c, i) => [c, stress.rows[i]]));
+    const pairs = applyCrossfilter(rescored, crossfilter, { threshold }).map((c) => [c, shockedOf.get(c)]);
+    return stressImpact(pairs, { threshold, weight });
+  }, [rescored, stress, crossfilter, threshold, weight]);
+  const exposureStats = useMemo(() => exposureKpis(filteredCompanies), [filteredCompanies]);
+
+  // Industry aggregation: derived from the loaded companies unless the uploaded file is explicitly selected
+  const derivedPortfolio = useMemo(() => aggregateByIndustry(companies), [companies]);
+  // The uploaded file is count-based and industry-only, so weighted views, scenarios and
+  // geo / band / area filters always use the derived figures
+  const otherFiltersActive = crossfilter.geos.length > 0 || crossfilter.bands.length > 0 || !!crossfilter.bbox;
+  const usingUploadedPortfolio =
+    portfolioSource === "upload" && !!uploadedPortfolio && !isScenario && weight === "count" && !otherFiltersActive;
+  const portfolioDiffs = useMemo(
+    () => (uploadedPortfolio ? compareAggregates(uploadedPortfolio, derivedPortfolio) : []),
+    [uploadedPortfolio, derivedPortfolio]
   );
 
-  const kpis = useMemo(() => {
-    const rows = industryFilter === "All" ? companies : companies.filter((c) => c.industry === industryFilter);
-    const totalCompanies = rows.length || 0;
-    const high = rows.filter((c) => String(c.is_high_risk) === "1").length;
-    const highPct = totalCompanies ? (high / totalCompanies) * 100 : 0;
-    const avgEHEI = rows.reduce((a, c) => a + (Number(c.EHEI) || 0), 0) / (totalCompanies || 1);
-    return { totalCompanies, highPct: +highPct.toFixed(1), avgEHEI: +avgEHEI.toFixed(2) };
-  }, [companies, industryFilter]);
-
-  const topCompanies = useMemo(() => {
-    const rows = industryFilter === "All" ? companies : companies.filter((c) => c.industry === industryFilter);
-    return [...rows]
-      .map((c) => ({ ...c, EHEI: Number(c.EHEI) }))
-      .sort((a, b) => b.EHEI - a.EHEI)
-      .slice(0, 10);
-  }, [companies, industryFilter]);
-
-  const filteredPortfolio = useMemo(() => {
-    if (industryFilter === "All") return portfolio;
-    return portfolio.filter((p) => p.industry === industryFilter);
-  }, [portfolio, industryFilter]);
-
-  // File upload handlers
-  const onUploadPortfolio = async (file) => {
-    const text = await file.text();
-    const rows = parseCSV(text);
-    const clean = rows
-      .filter((r) => r.industry)
-      .map((r) => ({
-        industry: r.industry,
-        companies: Number(r.companies || 0),
-        avg_EHEI: Number(r.avg_EHEI || r.avg_ehei || 0),
-        pct_high_risk: Number(r.pct_high_risk || r.percent_high_risk || 0),
-      }));
-    if (clean.length) setPortfolio(clean);
+  // High-risk % chart grouped by industry / geo / EHEI band; under a scenario, baseline shares sit alongside.
+  // Filtered by everything except its own dimension, so every bar stays clickable.
+  const groupFilter = GROUP_FILTERS[groupBy];
+  const groupChart = useMemo(() => {
+    const opts = { threshold, except: groupFilter };
+    const rows =
+      groupBy === "industry" && usingUploadedPortfolio
+        ? uploadedPortfolio.map((d) => ({ ...d, group: d.industry }))
+        : aggregateBy(applyCrossfilter(scored, crossfilter, opts), groupBy, { threshold, weight });
+    const base = isScenario
+      ? new Map(aggregateBy(applyCrossfilter(companies, crossfilter, opts), groupBy, { threshold, weight }).map((d) => [d.group, d]))
+      : null;
+    return rows.map((d) => ({
+      ...d,
+      pct: Math.round(Number(d.pct_high_risk) * 100),
+      ...(base ? { basePct: Math.round((base.get(d.group)?.pct_high_risk || 0) * 100) } : {}),
+    }));
+  }, [groupBy, groupFilter, usingUploadedPortfolio, uploadedPortfolio, scored, companies, crossfilter, isScenario, threshold, weight]);
+
+  // File uploads (CSV, XLSX, JSON, GeoJSON) — ingested with a saved or guessed column mapping, or held
+  // in the mapping wizard when a required column is missing or a header is unrecognized. Each upload
+  // records a validation report; nothing is replaced if no row survives.
+  const schemaOf = (kind) => (kind === "snapshot" ? "companies" : kind);
+  const ingestors = { companies: ingestCompanies, portfolio: ingestPortfolio, features: ingestFeatures };
+
+  const applyUpload = (kind, source, mapping, date) => {
+    const { rows, report } = ingestors[schemaOf(kind)](source, { file: source.file, mapping });
+    setReports((prev) => ({ ...prev, [kind]: report }));
+    setLastUploads((prev) => ({ ...prev, [kind]: { source, mapping, date } }));
+    if (!rows.length) return;
+    if (kind === "portfolio") {
+      setUploadedPortfolio(rows);
+      setPortfolioSource("upload");
+    } else if (kind === "features") {
+      setFeatures(rows);
+    } else if (kind === "companies") {
+      // Raw driver exports (no precomputed score) are normalized and scored with the documented formula
+      setCompanies(rows);
+      setCompaniesLabel(source.file);
+    } else {
+      // A dated snapshot goes straight to IndexedDB without replacing the current book
+      onSaveSnapshot(date, rows, source.file);
+    }
   };
 
-  const onUploadFeatures = async (file) => {
-    const text = await file.text();
-    const rows = parseCSV(text);
-    const clean = rows
-      .filter((r) => r.feature)
-      .map((r) => ({ feature: r.feature, importance: Number(r.importance || 0) }));
-    if (clean.length) setFeatures(clean);
+  const onUpload = async (kind, file, date) => {
+    let match;
+    try {
+      match = matchSavedMapping(mappings, schemaOf(kind), await readFileSource(file));
+    } catch (err) {
+      setReports((prev) => ({ ...prev, [kind]: failedReport(file.name, schemaOf(kind), err.message) }));
+      return;
+    }
+    const { source, saved } = match;
+    const mapping = saved?.mapping || guessMapping(source.head, schemaOf(kind));
+    if (saved || !needsReview(mapping, schemaOf(kind))) applyUpload(kind, source, mapping, date);
+    else setPendingUpload({ kind, source, mapping, saved, date });
   };
 
-  const onUploadCompanies = async (file) => {
-    const text = await file.text();
-    const rows = parseCSV(text);
-    const clean = rows
-      .filter((r) => r.company)
-      .map((r) => ({
-        company_id: r.company_id || r.id || "",
-        company: r.company,
-        industry: r.industry || "",
-        EHEI: Number(r.EHEI || r.ehei || 0),
-        is_high_risk: String(r.is_high_risk || r.high || 0),
-        geo: r.geo || r.region || "",
-        lat: r.lat === undefined && r.latitude === undefined ? null : Number(r.lat || r.latitude || 0),
-        lon: r.lon === undefined && r.longitude === undefined ? null : Number(r.lon || r.longitude || 0),
-      }));
-    if (clean.length) setCompanies(clean);
+  const onMappingSheet = (sheet) => {
+    const { kind, source } = pendingUpload;
+    try {
+      const { source: next, saved } = matchSavedMapping(mappings, schemaOf(kind), readSource({ name: source.file, bytes: source.bytes }, { sheet }));
+      setPendingUpload({ ...pendingUpload, source: next, saved, mapping: saved?.mapping || guessMapping(next.head, schemaOf(kind)) });
+    } catch (err) {
+      setReports((prev) => ({ ...prev, [kind]: failedReport(source.file, schemaOf(kind), err.message) }));
+      setPendingUpload(null);
+    }
   };
 
-  // Color helper for EHEI
-  const colorFor = (ehei) => {
-    if (ehei >= 0.75) return "#ef4444"; // red
-    if (ehei >= 0.6) return "#f59e0b"; // amber
-    if (ehei >= 0.45) return "#eab308"; // yellow
-    return "#22c55e"; // green
+  const onMappingImport = (mapping, remember) => {
+    const { kind, source, date } = pendingUpload;
+    if (remember) setMappings((prev) => rememberMapping(prev, { kind: schemaOf(kind), head: source.head, source: source.file, sheet: source.sheet, mapping }));
+    setPendingUpload(null);
+    applyUpload(kind, source, mapping, date);
+  };
+  const closeMappingWizard = useCallback(() => setPendingUpload(null), []);
+  const onEditMapping = (kind) => {
+    const { source, mapping, date } = lastUploads[kind];
+    setPendingUpload({ kind, source, mapping, saved: null, date });
   };
 
+  // Color helper for EHEI — bands sit around the high-risk threshold (0.45 / 0.60 / 0.75 by default)
+  const colorFor = useCallback((ehei) => BAND_COLORS[eheiBand(ehei, params.threshold)], [params.threshold]);
+
+  // Referral rules are evaluated once over the whole (re-scored / shocked) book, keyed by company
+  const referrals = useMemo(() => evaluateRules(scored, rules, { threshold }), [scored, rules, threshold]);
+  // Peer percentiles rank every company within its industry / geo across the whole book, regardless of filters
+  const percentiles = useMemo(() => peerPercentiles(scored), [scored]);
+
   // Build map points; if lat/lon missing, snap to country centroid using `geo`
-  const mapPoints = useMemo(() => {
-    const rows = industryFilter === "All" ? companies : companies.filter((c) => c.industry === industryFilter);
-    return rows
-      .map((r) => {
-        let lat = Number.isFinite(r.lat) ? r.lat : null;
-        let lon = Number.isFinite(r.lon) ? r.lon : null;
-        let placement = "exact";
-        if ((!Number.isFinite(lat) || !Number.isFinite(lon)) && r.geo && CENTROIDS[r.geo]) {
-          const [clat, clon] = CENTROIDS[r.geo];
-          lat = clat; lon = clon; placement = "centroid";
-        }
-        return lat != null && lon != null ? { ...r, lat, lon, placement } : null;
-      })
-      .filter(Boolean);
-  }, [companies, industryFilter, CENTROIDS]);
-
-  // ---------------- Self-Checks / "Tests" ----------------
-  useEffect(() => {
-    const eps = 1e-6;
-    const inRange = (x) => typeof x === "number" && x >= -eps && x <= 1 + eps;
-    console.assert(Array.isArray(companies), "companies should be an array");
-    companies.slice(0, 5).forEach((c) => {
-      console.assert(typeof c.company === "string", "company should be string");
-      console.assert(inRange(Number(c.EHEI)), "EHEI should be in [0,1]");
-    });
-    // CSV parser smoke test
-    const csv = `industry,companies,avg_EHEI,pct_high_risk\nTest,5,0.5,0.2`;
-    const parsed = parseCSV(csv);
-    console.assert(parsed.length === 1 && parsed[0].industry === "Test", "CSV parser smoke test failed");
-    // Centroid fallback tests
-    const rows = [
-      { company: "X", industry: "Chemicals", EHEI: 0.5, is_high_risk: 0, geo: "FR" },
-      { company: "Y", industry: "Energy", EHEI: 0.7, is_high_risk: 1, geo: "UK" },
-      { company: "Z", industry: "Energy", EHEI: 0.3, is_high_risk: 0, geo: "ZZ" }, // unknown
+  const mapPoints = useMemo(() => placeCompanies(mapRows), [mapRows]);
+
+  // Company open in the drawer (looked up by key so it follows re-scoring) and its map placement
+  const selectedCompany = useMemo(
+    () => (selectedKey ? scored.find((c) => companyKey(c) === selectedKey) || null : null),
+    [scored, selectedKey]
+  );
+  const selectedPoint = useMemo(
+    () => (selectedKey ? mapPoints.find((p) => companyKey(p) === selectedKey) || null : null),
+    [mapPoints, selectedKey]
+  );
+  const closeDrawer = useCallback(() => setSelectedKey(null), []);
+
+  // Companies that could not be placed: unresolved geo codes (with counts) vs no location at all
+  const unplaced = useMemo(() => unplacedSummary(mapRows), [mapRows]);
+
+  const clusterMarkers = clusterPref ?? mapPoints.length > AUTO_CLUSTER_ABOVE;
+
+  // Radius accumulation around the clicked point (true placements, not the spread display positions)
+  const accumulation = useMemo(
+    () => (accCenter ? { center: accCenter, radiusKm: accRadiusKm, ...accumulateWithin(mapPoints, accCenter, accRadiusKm, exposures) } : null),
+    [accCenter, accRadiusKm, mapPoints, exposures]
+  );
+
+  // Country choropleth, aggregated from the same points the markers use
+  const choropleth = useMemo(() => {
+    const byIso2 = new Map(
+      aggregateBy(
+        mapPoints.map((p) => ({ ...p, geo: resolveGeo(p.geo)?.country || p.geo })),
+        "geo",
+        { threshold: params.threshold, weight }
+      ).map((d) => [d.geo, d])
+    );
+    byIso2.delete("Unknown");
+    if (choroplethMetric === "pct_high_risk") {
+      return { byIso2, metric: "pct_high_risk", label: `High-risk share${weightLabel}`, color: shareColor, legend: SHARE_STEPS };
+    }
+    const t = params.threshold;
+    const legend = [
+      { color: colorFor(1), label: `≥ ${(t + 0.15).toFixed(2)}` },
+      { color: colorFor(t), label: `${t.toFixed(2)}–${(t + 0.15).toFixed(2)}` },
+      { color: colorFor(t - 0.15), label: `${(t - 0.15).toFixed(2)}–${t.toFixed(2)}` },
+      { color: colorFor(0), label: `< ${(t - 0.15).toFixed(2)}` },
+    ];
+    return { byIso2, metric: "avg_EHEI", label: `Avg EHEI${weightLabel}`, color: colorFor, legend };
+  }, [mapPoints, choroplethMetric, params.threshold, weight, weightLabel, colorFor]);
+
+  // Report of the current view, assembled at export time from the same state as the screen
+  const buildReport = async () => {
+    const boundaries = await loadCountryBoundaries().catch(() => null); // outlines are optional
+    const inView = new Set(filteredCompanies.map(companyKey));
+    const points = mapPoints.filter((p) => inView.has(companyKey(p)));
+    const fileOf = (kind) => (reports[kind]?.accepted ? reports[kind].file : null);
+    const kpiCards = [
+      { label: "Total Companies", value: kpis.totalCompanies },
+      { label: `% High Risk${weightLabel}`, value: `${kpis.highPct}%` },
+      { label: `Avg EHEI${weightLabel}`, value: kpis.avgEHEI },
     ];
-    const toPoints = (rs) => rs.map((r) => {
-      let lat = null, lon = null, placement = "exact";
-      if ((!Number.isFinite(lat) || !Number.isFinite(lon)) && r.geo && CENTROIDS[r.geo]) {
-        const [clat, clon] = CENTROIDS[r.geo]; lat = clat; lon = clon; placement = "centroid";
-      }
-      return lat != null && lon != null ? { ...r, lat, lon, placement } : null;
-    }).filter(Boolean);
-    const pts = toPoints(rows);
-    console.assert(pts.length === 2 && pts.every(p => p.placement === "centroid"), "Centroid fallback failed");
-  }, [companies, CENTROIDS]);
-
-  // Table cell styles
-  const th = { textAlign: "left", padding: 10, borderBottom: "1px solid #e5e7eb" };
-  const td = { padding: 10, borderBottom: "1px solid #f1f5f9" };
+    if (exposureStats.highRiskLimit != null) {
+      kpiCards.push({
+        label: "Limit Exposed to High-Risk Names",
+        value: fmtExposure(exposureStats.highRiskLimit),
+        note: `${exposureStats.highRiskLimitPct}% of ${fmtExposure(exposureStats.totalLimit)} total limit`,
+      });
+    }
+    if (exposureStats.premiumWeightedEHEI != null) kpiCards.push({ label: "Premium-Weighted EHEI", value: exposureStats.premiumWeightedEHEI });
+    if (exposureStats.expectedLossProxy != null) {
+      kpiCards.push({
+        label: "Expected-Loss Proxy (Σ limit × EHEI)",
+        value: fmtExposure(exposureStats.expectedLossProxy),
+        ...(exposureStats.namesWithoutLimit ? { note: `${exposureStats.namesWithoutLimit} names without a limit not included` } : {}),
+      });
+    }
+    return {
+      title: "ESG–Casualty Risk Report",
+      generatedAt: new Date(),
+      provenance: [
+        ["Companies", companiesLabel],
+        ["Industry aggregation", usingUploadedPortfolio ? fileOf("portfolio") : "Derived from companies"],
+        ["Feature importances", fileOf("features") || "Sample data"],
+      ],
+      filters: [
+        ...describeCrossfilter(crossfilter),
+        ...(weightsChanged ? ["Custom EHEI weights / threshold (see formula)"] : []),
+        ...(stressActive ? [`Stress shocks: ${shocks.map((s) => s.label || `${s.target} ${s.value}`).join(", ")}`] : []),
+      ],
+      kpis: kpiCards,
+      charts: [
+        [`High-Risk % by ${GROUP_KEYS[groupBy]}`, groupChartRef],
+        ["Feature Importances", featureChartRef],
+      ]
+        .map(([title, ref]) => ({ title, svg: chartSvg(ref.current)?.svg }))
+        .filter((c) => c.svg),
+      map: {
+        svg: staticMapSvg({ points, boundaries, colorFor, choropleth }),
+        caption: `${points.length} of ${filteredCompanies.length} companies placed; hollow markers sit at country / subdivision centroids. Countries shaded by ${choropleth.label.toLowerCase()}.`,
+      },
+      rows: filteredCompanies,
+      formula: formulaText(params),
+      notes: [
+        `High risk: EHEI ≥ ${threshold.toFixed(2)}. Raw drivers are min-max scaled 0–1 across the loaded book; ESG acts as a mitigation factor.`,
+        "The EHEI is a transparent prototype index for portfolio exploration, not a calibrated loss cost.",
+      ],
+    };
+  };
 
   return (
     <div style={{ padding: 24, minHeight: "100vh" }}>
@@ -315,7 +482,7 @@ export default function App() {
         <header style={{ marginBottom: 24 }}>
           <h1 style={{ fontSize: 28, margin: 0 }}>ESG–Casualty Risk Dashboard</h1>
           <p style={{ opacity: 0.9, marginTop: 8 }}>
-            Interactive portfolio view with <strong>map</strong>, industry slicer, KPIs, and model explainers. Upload the CSVs to replace sample data.
+            Interactive portfolio view with <strong>map</strong>, cross-filtering slicers, KPIs, and model explainers. Upload CSV, Excel, JSON or GeoJSON files to replace sample data.
           </p>
         </header>
 
@@ -329,31 +496,94 @@ export default function App() {
 
         {/* Upload + slicer */}
         <section style={{ ...card, background: "#111827", color: "#e5e7eb", marginBottom: 24 }}>
-          <h3 style={{ marginTop: 0 }}>Upload Data (optional) & Industry Slicer</h3>
+          <h3 style={{ marginTop: 0 }}>Upload Data (optional) & Slicers</h3>
           <div style={{ ...hstack, alignItems: "flex-end" }}>
-            <div style={vstack}>
-              <label>portfolio_aggregation_by_industry.csv</label>
-              <input type="file" accept=".csv" onChange={(e) => e.target.files[0] && onUploadPortfolio(e.target.files[0])} />
-            </div>
-            <div style={vstack}>
-              <label>model_feature_importance.csv</label>
-              <input type="file" accept=".csv" onChange={(e) => e.target.files[0] && onUploadFeatures(e.target.files[0])} />
-            </div>
-            <div style={vstack}>
-              <label>esg_casualty_companies.csv</label>
-              <input type="file" accept=".csv" onChange={(e) => e.target.files[0] && onUploadCompanies(e.target.files[0])} />
-            </div>
-            <div style={vstack}>
-              <label>Filter by Industry</label>
-              <select value={industryFilter} onChange={(e) => setIndustryFilter(e.target.value)} style={{ padding: 8, borderRadius: 8 }}>
-                {industries.map((ind) => (
-                  <option key={ind} value={ind}>{ind}</option>
-                ))}
-              </select>
-            </div>
+            <FileDrop label="Portfolio aggregation by industry" onFile={(file) => onUpload("portfolio", file)} />
+            <FileDrop label="Model feature importance" onFile={(file) => onUpload("features", file)} />
+            <FileDrop label="Companies" onFile={(file) => onUpload("companies", file)} />
+            {[
+              ["industries", "Industry", industries],
+              ["geos", "Geo", geos],
+              ["bands", "EHEI band", EHEI_BANDS],
+            ].map(([key, label, options]) => (
+              <div key={key} style={vstack}>
+                <label>{label}</label>
+                <select
+                  multiple
+                  size={4}
+                  value={crossfilter[key]}
+                  onChange={(e) => setCrossfilter((f) => ({ ...f, [key]: Array.from(e.target.selectedOptions, (o) => o.value) }))}
+                  style={{ padding: 8, borderRadius: 8, minWidth: 120 }}
+                >
+                  {options.map((v) => (
+                    <option key={v} value={v}>{v}</option>
+                  ))}
+                </select>
+              </div>
+            ))}
+            {exposures.length > 0 && (
+              <div style={vstack}>
+                <label>Weighting</label>
+                <select value={weight} onChange={(e) => setWeighting(e.target.value)} style={{ padding: 8, borderRadius: 8 }}>
+                  <option value="count">Count (every company equal)</option>
+                  {exposures.map((col) => (
+                    <option key={col} value={col}>{EXPOSURE_COLUMNS[col]}</option>
+                  ))}
+                </select>
+              </div>
+            )}
           </div>
+          <div style={{ fontSize: 12, opacity: 0.7, marginTop: 8 }}>Ctrl/⌘-click to pick several values; bars in the High-Risk % chart and a map area selection filter too.</div>
+          {["companies", "portfolio", "features", "snapshot"].map((kind) =>
+            reports[kind] ? (
+              <ValidationReport
+                key={kind}
+                report={reports[kind]}
+                onDismiss={() => setReports(({ [kind]: _, ...rest }) => rest)}
+                onEditMapping={lastUploads[kind] && !reports[kind].error ? () => onEditMapping(kind) : undefined}
+              />
+            ) : null
+          )}
+          {mappings.length > 0 && (
+            <details style={{ marginTop: 12, fontSize: 13 }}>
+              <summary>Saved column mappings ({mappings.length})</summary>
+              <ul style={{ margin: "6px 0 0", paddingLeft: 18 }}>
+                {mappings.map((m) => (
+                  <li key={m.kind + m.signature} style={{ marginBottom: 4 }}>
+                    {SCHEMAS[m.kind]?.label || m.kind} · {m.source || "unnamed source"}
+                    {m.sheet && ` (sheet "${m.sheet}")`} · {Object.values(m.mapping).filter(Boolean).length} columns · saved {m.savedAt.slice(0, 10)}{" "}
+                    <button onClick={() => setMappings((prev) => prev.filter((x) => x !== m))} style={{ borderRadius: 8, fontSize: 12 }}>
+                      Forget
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            </details>
+          )}
         </section>
 
+        {pendingUpload && (
+          <MappingWizard
+            key={`${pendingUpload.kind}:${pendingUpload.source.file}:${pendingUpload.source.sheet}`}
+            source={pendingUpload.source}
+            kind={schemaOf(pendingUpload.kind)}
+            initialMapping={pendingUpload.mapping}
+            saved={pendingUpload.saved}
+            onSheet={onMappingSheet}
+            onCancel={closeMappingWizard}
+            onImport={onMappingImport}
+          />
+        )}
+
+        <FilterBar
+          filters={crossfilter}
+          onChange={setCrossfilter}
+          selected={selectedCompany?.company || selectedKey}
+          onClearSelected={closeDrawer}
+          total={scored.length}
+          shown={filteredCompanies.length}
+        />
+
         {/* KPI cards */}
         <section style={{ ...hstack, marginBottom: 24 }}>
           <div style={{ ...card, flex: 1, background: "#111827", color: "#e5e7eb" }}>
@@ -361,35 +591,264 @@ export default function App() {
             <div style={{ fontSize: 28, fontWeight: 700 }}>{kpis.totalCompanies}</div>
           </div>
           <div style={{ ...card, flex: 1, background: "#111827", color: "#e5e7eb" }}>
-            <div style={{ fontSize: 12, opacity: 0.8 }}>% High Risk</div>
+            <div style={{ fontSize: 12, opacity: 0.8 }}>% High Risk{weightLabel}</div>
             <div style={{ fontSize: 28, fontWeight: 700 }}>{kpis.highPct}%</div>
           </div>
           <div style={{ ...card, flex: 1, background: "#111827", color: "#e5e7eb" }}>
-            <div style={{ fontSize: 12, opacity: 0.8 }}>Avg EHEI</div>
+            <div style={{ fontSize: 12, opacity: 0.8 }}>Avg EHEI{weightLabel}</div>
             <div style={{ fontSize: 28, fontWeight: 700 }}>{kpis.avgEHEI}</div>
           </div>
         </section>
 
-        {/* MAP PANEL (Leaflet via CDN) */}
+        {/* Exposure KPI cards (only when exposure columns are loaded) */}
+        {(exposureStats.highRiskLimit != null || exposureStats.premiumWeightedEHEI != null) && (
+          <section style={{ ...hstack, marginBottom: 24 }}>
+            {exposureStats.highRiskLimit != null && (
+              <div style={{ ...card, flex: 1, background: "#111827", color: "#e5e7eb" }}>
+                <div style={{ fontSize: 12, opacity: 0.8 }}>Limit Exposed to High-Risk Names</div>
+                <div style={{ fontSize: 28, fontWeight: 700 }}>{fmtExposure(exposureStats.highRiskLimit)}</div>
+                <div style={{ fontSize: 12, opacity: 0.8 }}>{exposureStats.highRiskLimitPct}% of {fmtExposure(exposureStats.totalLimit)} total limit</div>
+              </div>
+            )}
+            {exposureStats.premiumWeightedEHEI != null && (
+              <div style={{ ...card, flex: 1, background: "#111827", color: "#e5e7eb" }}>
+                <div style={{ fontSize: 12, opacity: 0.8 }}>Premium-Weighted EHEI</div>
+                <div style={{ fontSize: 28, fontWeight: 700 }}>{exposureStats.premiumWeightedEHEI}</div>
+              </div>
+            )}
+            {exposureStats.expectedLossProxy != null && (
+              <div style={{ ...card, flex: 1, background: "#111827", color: "#e5e7eb" }}>
+                <div style={{ fontSize: 12, opacity: 0.8 }}>Expected-Loss Proxy (Σ limit × EHEI)</div>
+                <div style={{ fontSize: 28, fontWeight: 700 }}>{fmtExposure(exposureStats.expectedLossProxy)}</div>
+                {exposureStats.namesWithoutLimit > 0 && (
+                  <div style={{ fontSize: 12, opacity: 0.8 }}>{exposureStats.namesWithoutLimit} names without a limit not included</div>
+                )}
+              </div>
+            )}
+          </section>
+        )}
+
+        {/* Report export */}
+        <section style={{ ...card, marginBottom: 24 }}>
+          <h3 style={{ marginTop: 0, color: "#0f172a" }}>Export Report</h3>
+          <p style={{ marginTop: 0, color: "#334155" }}>Board-ready snapshot of the current filtered view — KPIs, charts, a static map, the company table and the formula with data sources — generated in the browser. Each chart also exports on its own as PNG / SVG.</p>
+          <ReportExport buildReport={buildReport} rows={filteredCompanies} fileBase={`esg-casualty-${new Date().toISOString().slice(0, 10)}`} />
+        </section>
+
+        {/* EHEI weight editor & scenarios */}
+        <section style={{ ...card, background: "#111827", color: "#e5e7eb", marginBottom: 24 }}>
+          <h3 style={{ marginTop: 0 }}>EHEI Weights & Scenarios {weightsChanged && <span style={{ fontSize: 12, color: "#fbbf24" }}>· scenario active</span>}</h3>
+          <ScenarioPanel
+            params={params}
+            onChange={setParams}
+            scenarios={scenarios}
+            onSaveScenario={onSaveScenario}
+            onDeleteScenario={onDeleteScenario}
+            rows={baselineRows}
+          />
+        </section>
+
+        {/* Stress-test shocks */}
         <section style={{ ...card, marginBottom: 24 }}>
-          <h3 style={{ marginTop: 0, color: "#0f172a" }}>Interactive Map — High-Risk Areas & Companies</h3>
-          <p style={{ marginTop: 0, color: "#334155" }}>Familiar Leaflet map with OSM tiles. Markers are sized/colored by EHEI; companies lacking coordinates are placed at country centroids when a valid GEO code is present. Use the industry slicer above to focus the view.</p>
-          <LeafletVanillaMap points={mapPoints} colorFor={colorFor} />
+          <h3 style={{ marginTop: 0, color: "#0f172a" }}>
+            Stress Tests {stressActive && <span style={{ fontSize: 12, color: "#b45309" }}>· shocked scores shown across the dashboard</span>}
+          </h3>
+          <p style={{ marginTop: 0, color: "#334155" }}>Shock a raw driver (in % or absolute units) or the EHEI itself for chosen industries and geographies, e.g. +30% climate risk in IT and ES or +0.1 EHEI for Chemicals. Shocks stack in order on top of the current weights.</p>
+          <StressPanel
+            shocks={shocks}
+            onChange={setShocks}
+            industries={industries}
+            geos={geos}
+            impact={stressView}
+            skipped={stress.skipped}
+            applied={stressApplied}
+            onApply={setStressApplied}
+            onSelect={(c) => setSelectedKey(companyKey(c))}
+          />
+        </section>
+
+        {/* MAP PANEL (bundled Leaflet) */}
+        <section ref={mapSectionRef} style={{ ...card, marginBottom: 24 }}>
+          <h3 style={{ marginTop: 0, color: "#0f172a" }}>
+            Interactive Map — High-Risk Areas & Companies {stressActive && <span style={{ fontSize: 12, color: "#b45309" }}>· colored by shocked EHEI</span>}
+          </h3>
+          <p style={{ marginTop: 0, color: "#334155" }}>Familiar Leaflet map with OSM tiles. Markers are sized/colored by EHEI; companies lacking coordinates are placed at country centroids when a valid GEO code is present and drawn hollow with a dashed outline, spread around the centroid. Toggle the country choropleth in the layer control. Turn on area selection and drag a rectangle to filter the rest of the dashboard to that area.</p>
+          <div style={{ ...hstack, gap: 12, marginBottom: 12, color: "#0f172a", fontSize: 14 }}>
+            <label>
+              Choropleth metric{" "}
+              <select value={choroplethMetric} onChange={(e) => setChoroplethMetric(e.target.value)} style={{ padding: 6, borderRadius: 8 }}>
+                <option value="avg_EHEI">Avg EHEI</option>
+                <option value="pct_high_risk">High-risk share</option>
+              </select>
+            </label>
+            <label>
+              <input type="checkbox" checked={clusterMarkers} onChange={(e) => setClusterPref(e.target.checked)} /> Cluster markers
+            </label>
+            <label>
+              <input
+                type="checkbox"
+                checked={selectMode}
+                onChange={(e) => {
+                  setSelectMode(e.target.checked);
+                  if (e.target.checked) {
+                    setAccumulateMode(false);
+                    setAccCenter(null);
+                  }
+                }}
+              />{" "}
+              Select area
+            </label>
+            <label>
+              <input
+                type="checkbox"
+                checked={accumulateMode}
+                onChange={(e) => {
+                  setAccumulateMode(e.target.checked);
+                  if (e.target.checked) setSelectMode(false);
+                  else setAccCenter(null);
+                }}
+              />{" "}
+              Accumulation tool
+            </label>
+            {accumulateMode && (
+              <label>
+                Radius{" "}
+                <input type="number" min={1} step={5} value={accRadiusKm} onChange={(e) => setAccRadiusKm(Math.max(1, Number(e.target.value) || 1))} style={{ width: 72, padding: 6, borderRadius: 8 }} />{" "}
+                km
+              </label>
+            )}
+          </div>
+          {(unplaced.unresolvedCount > 0 || unplaced.noLocation > 0) && (
+            <div style={{ background: "#fffbeb", border: "1px solid #f59e0b", color: "#78350f", borderRadius: 12, padding: 10, marginBottom: 12, fontSize: 13 }}>
+              <strong>{unplaced.unresolvedCount + unplaced.noLocation} companies not on the map.</strong>{" "}
+              {unplaced.unresolvedCount > 0 && (
+                <>
+                  Unresolved geo codes: {unplaced.unresolved.map(([code, n]) => `${code} (${n})`).join(", ")}.{" "}
+                </>
+              )}
+              {unplaced.noLocation > 0 && `${unplaced.noLocation} without geo or coordinates.`}
+            </div>
+          )}
+          <LeafletVanillaMap
+            points={mapPoints}
+            colorFor={colorFor}
+            choropleth={choropleth}
+            tileUrl={tileUrl}
+            cluster={clusterMarkers}
+            accumulateMode={accumulateMode}
+            accumulation={accumulation}
+            onAccumulate={setAccCenter}
+            focus={selectedPoint && selectedKey}
+            referrals={referrals.hits}
+            selectMode={selectMode}
+            selection={crossfilter.bbox}
+            onSelectArea={(bbox) => setCrossfilter((f) => ({ ...f, bbox }))}
+          />
+          {accumulateMode && (
+            <div style={{ marginTop: 12, padding: 12, borderRadius: 12, background: "#f8fafc", color: "#0f172a", fontSize: 14 }}>
+              {!accumulation ? (
+                "Click a company or anywhere on the map to accumulate the book within the radius."
+              ) : (
+                <>
+                  <strong>Within {accumulation.radiusKm} km</strong> of {accumulation.center.lat.toFixed(2)}, {accumulation.center.lon.toFixed(2)}:{" "}
+                  {accumulation.companies} companies · {accumulation.high} high risk · avg EHEI {accumulation.avgEHEI}
+                  {Object.entries(accumulation.exposure).map(([col, total]) => (
+                    <span key={col}> · {EXPOSURE_COLUMNS[col]} {fmtExposure(total)}</span>
+                  ))}
+                  {accumulation.centroidPlaced > 0 && (
+                    <div style={{ fontSize: 12, color: "#92400e", marginTop: 4 }}>
+                      {accumulation.centroidPlaced} of these are placed at a country centroid, so their true location may lie outside the radius.
+                    </div>
+                  )}
+                </>
+              )}
+            </div>
+          )}
+          <form
+            onSubmit={(e) => {
+              e.preventDefault();
+              applyTileUrl(tileUrlDraft);
+            }}
+            style={{ ...hstack, gap: 8, marginTop: 12, color: "#0f172a", fontSize: 14, alignItems: "center" }}
+          >
+            <label htmlFor="tile-url">Tile URL</label>
+            <input id="tile-url" value={tileUrlDraft} onChange={(e) => setTileUrlDraft(e.target.value)} style={{ flex: 1, minWidth: 280, padding: 6, borderRadius: 8 }} />
+            <button type="submit" style={{ padding: "6px 12px", borderRadius: 8 }}>Apply</button>
+            <button type="button" onClick={() => applyTileUrl("")} style={{ padding: "6px 12px", borderRadius: 8 }}>Default</button>
+          </form>
         </section>
 
         {/* Industry risk chart */}
         <section style={{ ...card, marginBottom: 24 }}>
-          <h3 style={{ marginTop: 0, color: "#0f172a" }}>High-Risk % by Industry</h3>
-          <p style={{ marginTop: 0, color: "#334155" }}>Compares portfolio share of companies flagged as High casualty risk across industries.</p>
-          <div style={{ width: "100%", height: 340 }}>
+          <h3 style={{ marginTop: 0, color: "#0f172a", display: "flex", gap: 12, alignItems: "center" }}>
+            High-Risk % by {GROUP_KEYS[groupBy]} <ChartExport chartRef={groupChartRef} name={`High-Risk % by ${GROUP_KEYS[groupBy]}`} />
+          </h3>
+          <p style={{ marginTop: 0, color: "#334155" }}>
+            Compares portfolio share of companies flagged as High casualty risk across {groupBy === "band" ? "EHEI bands" : groupBy === "geo" ? "geographies" : "industries"}. Click a bar to filter the rest of the dashboard to it.
+            {groupBy === "industry" && (usingUploadedPortfolio ? " Source: uploaded portfolio file." : " Derived from the loaded companies.")}
+          </p>
+          <div style={{ ...hstack, gap: 12, marginBottom: 12, color: "#0f172a" }}>
+            <label>
+              Group by{" "}
+              <select value={groupBy} onChange={(e) => setGroupBy(e.target.value)} style={{ padding: 6, borderRadius: 8 }}>
+                {Object.entries(GROUP_KEYS).map(([k, label]) => (
+                  <option key={k} value={k}>{label}</option>
+                ))}
+              </select>
+            </label>
+            {uploadedPortfolio && groupBy === "industry" && (
+              <label>
+                Source{" "}
+                <select value={portfolioSource} onChange={(e) => setPortfolioSource(e.target.value)} style={{ padding: 6, borderRadius: 8 }}>
+                  <option value="companies">Derived from companies</option>
+                  <option value="upload">Uploaded portfolio file</option>
+                </select>
+              </label>
+            )}
+          </div>
+          {portfolioDiffs.length > 0 && (
+            <div style={{ background: "#fffbeb", border: "1px solid #f59e0b", color: "#78350f", borderRadius: 12, padding: 12, marginBottom: 12, fontSize: 14 }}>
+              <strong>Uploaded portfolio disagrees with the companies file</strong> ({portfolioDiffs.length} difference{portfolioDiffs.length > 1 ? "s" : ""} beyond tolerance)
+              <ul style={{ margin: "6px 0 0", paddingLeft: 18 }}>
+                {portfolioDiffs.slice(0, 8).map((d, i) => (
+                  <li key={i}>
+                    {d.field === "industry"
+                      ? `${d.industry}: only in the ${d.uploaded == null ? "companies" : "portfolio"} file`
+                      : `${d.industry} · ${d.field}: uploaded ${d.uploaded} vs computed ${d.computed}`}
+                  </li>
+                ))}
+                {portfolioDiffs.length > 8 && <li>… {portfolioDiffs.length - 8} more</li>}
+              </ul>
+            </div>
+          )}
+          <div ref={groupChartRef} style={{ width: "100%", height: 340 }}>
             <ResponsiveContainer>
-              <BarChart data={filteredPortfolio.map((d) => ({ ...d, pct: Math.round(Number(d.pct_high_risk) * 100) }))}>
+              <BarChart data={groupChart}>
                 <CartesianGrid strokeDasharray="3 3" />
-                <XAxis dataKey="industry" />
+                <XAxis dataKey="group" />
                 <YAxis unit="%" />
                 <Tooltip formatter={(v) => `${v}%`} />
                 <Legend />
-                <Bar dataKey="pct" name="High Risk %" fill="#6366f1">
+                {isScenario && <Bar dataKey="basePct" name="Baseline High Risk %" fill="#94a3b8" />}
+                <Bar
+                  dataKey="pct"
+                  name={`${isScenario ? "Scenario High Risk %" : "High Risk %"}${weightLabel}`}
+                  fill="#6366f1"
+                  cursor="pointer"
+                  onClick={(d) => toggleFilter(groupFilter, d.group)}
+                >
+                  {groupChart.map((d) => {
+                    const active = crossfilter[groupFilter];
+                    const isSelectedGroup = selectedCompany && groupValue(selectedCompany, groupBy, threshold) === d.group;
+                    return (
+                      <Cell
+                        key={d.group}
+                        fill={active.length && !active.includes(d.group) ? "#c7d2fe" : "#6366f1"}
+                        stroke={isSelectedGroup ? "#0f172a" : undefined}
+                        strokeWidth={isSelectedGroup ? 2 : 0}
+                      />
+                    );
+                  })}
                   <LabelList dataKey="pct" position="top" />
                 </Bar>
               </BarChart>
@@ -399,9 +858,11 @@ export default function App() {
 
         {/* Feature importances */}
         <section style={{ ...card, marginBottom: 24 }}>
-          <h3 style={{ marginTop: 0, color: "#0f172a" }}>Feature Importances</h3>
-          <p style={{ marginTop: 0, color: "#334155" }}>Ranks model drivers contributing most to High-risk classification on the current dataset.</p>
-          <div style={{ width: "100%", height: 360 }}>
+          <h3 style={{ marginTop: 0, color: "#0f172a", display: "flex", gap: 12, alignItems: "center" }}>
+            Feature Importances <ChartExport chartRef={featureChartRef} name="Feature Importances" />
+          </h3>
+          <p style={{ marginTop: 0, color: "#334155" }}>Ranks model drivers contributing most to High-risk classification on the current dataset. These are global; the attribution below explains a single company.</p>
+          <div ref={featureChartRef} style={{ width: "100%", height: 360 }}>
             <ResponsiveContainer>
               <BarChart data={[...features].sort((a, b) => a.importance - b.importance)} layout="vertical">
                 <CartesianGrid strokeDasharray="3 3" />
@@ -416,34 +877,76 @@ export default function App() {
           </div>
         </section>
 
-        {/* Top companies table */}
+        {/* Per-company driver attribution */}
         <section style={{ ...card, marginBottom: 24 }}>
-          <h3 style={{ marginTop: 0, color: "#0f172a" }}>Top Companies by EHEI</h3>
-          <p style={{ marginTop: 0, color: "#334155" }}>Lists the companies with the highest modeled hazard exposure index (EHEI) after ESG mitigation.</p>
-          <div style={{ marginTop: 0, color: "#0f172a" }}>
-            <table style={{ width: "100%", borderCollapse: "collapse" }}>
-              <thead>
-                <tr style={{ background: "#f8fafc" }}>
-                  <th style={th}>Company</th>
-                  <th style={th}>Industry</th>
-                  <th style={th}>EHEI</th>
-                  <th style={th}>High Risk?</th>
-                  <th style={th}>Region</th>
-                </tr>
-              </thead>
-              <tbody>
-                {topCompanies.map((c) => (
-                  <tr key={c.company_id}>
-                    <td style={td}>{c.company}</td>
-                    <td style={td}>{c.industry}</td>
-                    <td style={td}>{c.EHEI.toFixed ? c.EHEI.toFixed(2) : Number(c.EHEI).toFixed(2)}</td>
-                    <td style={td}>{String(c.is_high_risk) === "1" ? "Yes" : "No"}</td>
-                    <td style={td}>{c.geo}</td>
-                  </tr>
-                ))}
-              </tbody>
-            </table>
-          </div>
+          <h3 style={{ marginTop: 0, color: "#0f172a" }}>Driver Attribution</h3>
+          <p style={{ marginTop: 0, color: "#334155" }}>
+            How each term of the EHEI formula builds one company's score — hazard drivers add, ESG mitigation subtracts — compared with the
+            median contribution in its industry. Select a company in the explorer, or pick one here; "Copy explanation" gives a summary for referral notes.
+          </p>
+          <AttributionPanel rows={filteredCompanies} book={scored} params={params} selected={selectedCompany} />
+        </section>
+
+        {/* Classification diagnostics (only with observed outcomes) */}
+        {hasOutcomes(filteredCompanies) && (
+          <section style={{ ...card, marginBottom: 24 }}>
+            <h3 style={{ marginTop: 0, color: "#0f172a" }}>Model Diagnostics vs Observed Outcomes</h3>
+            <p style={{ marginTop: 0, color: "#334155" }}>
+              Checks EHEI against the uploaded outcomes (<code>had_claim</code>, or <code>incurred_loss</code> &gt; 0) for the companies in view.
+              Move the threshold to see how many names would be referred and what share of claims and losses they account for.
+            </p>
+            <DiagnosticsPanel rows={filteredCompanies} threshold={params.threshold} onApplyThreshold={(t) => setParams((p) => ({ ...p, threshold: t }))} />
+          </section>
+        )}
+
+        {/* Peer benchmarking */}
+        <section style={{ ...card, marginBottom: 24 }}>
+          <h3 style={{ marginTop: 0, color: "#0f172a" }}>Peer Benchmarking — EHEI Distributions</h3>
+          <p style={{ marginTop: 0, color: "#334155" }}>Averages hide tails. These views show the spread of EHEI per industry or geography, whether a group's high-risk share comes from the whole sector or a few extreme names, and how the selected company sits against its peers on EHEI and each driver.</p>
+          <BenchmarkPanel rows={filteredCompanies} book={scored} threshold={threshold} selected={selectedCompany} />
+        </section>
+
+        {/* Referral rules & alerts */}
+        <section style={{ ...card, marginBottom: 24 }}>
+          <h3 style={{ marginTop: 0, color: "#0f172a" }}>Referral Rules & Alerts</h3>
+          <p style={{ marginTop: 0, color: "#334155" }}>Underwriting referral rules beyond the single high-risk flag. Companies are tagged with every rule they trigger — see the badges in the explorer, the detail drawer and map popups. Rules are saved in this browser; export them as JSON to share one rule set across the team.</p>
+          <RulesPanel
+            rules={rules}
+            onChange={setRules}
+            errors={referrals.errors}
+            rows={filteredCompanies}
+            hits={referrals.hits}
+            onSelect={(c) => setSelectedKey(companyKey(c))}
+          />
+        </section>
+
+        {/* Company explorer */}
+        <section style={{ ...card, marginBottom: 24 }}>
+          <h3 style={{ marginTop: 0, color: "#0f172a" }}>Company Explorer</h3>
+          <p style={{ marginTop: 0, color: "#334155" }}>
+            Every company in the current view, ranked by modeled hazard exposure index (EHEI) after ESG mitigation
+            {weight === "count" ? "" : ` × ${EXPOSURE_COLUMNS[weight].toLowerCase()}`}. Click a column to sort, search by name or ID,
+            filter by industry, geo, EHEI range or high-risk flag, and click a row to open its details and center the map on it.
+          </p>
+          <CompanyExplorer rows={filteredCompanies} weight={weight} selectedKey={selectedKey} onSelect={(c) => setSelectedKey(companyKey(c))} referrals={referrals.hits} percentiles={percentiles} />
+        </section>
+
+        {/* Snapshots, trends & migration */}
+        <section style={{ ...card, marginBottom: 24 }}>
+          <h3 style={{ marginTop: 0, color: "#0f172a" }}>Portfolio Snapshots & Trends</h3>
+          <p style={{ marginTop: 0, color: "#334155" }}>
+            Keeps dated copies of the company book in this browser (IndexedDB) so quarters can be compared: KPI and industry EHEI trends,
+            band migration and high-risk flips between two snapshots (matched on <code>company_id</code>), and new, lapsed and deteriorating names.
+          </p>
+          <SnapshotPanel
+            snapshots={snapshots}
+            threshold={params.threshold}
+            error={snapshotError}
+            onSaveCurrent={(date) => onSaveSnapshot(date)}
+            onUpload={(file, date) => onUpload("snapshot", file, date)}
+            onLoad={onLoadSnapshot}
+            onDelete={onDeleteSnapshot}
+          />
         </section>
 
         {/* EHEI formula & Data provenance */}
@@ -451,8 +954,11 @@ export default function App() {
           <h3 style={{ marginTop: 0, color: "#0f172a" }}>EHEI Formula & Data Notes</h3>
           <p style={{ marginTop: 0, color: "#334155" }}>Shows how the hazard exposure index is constructed and where the demo data comes from.</p>
           <div style={{ background: "#0f172a", color: "#e2e8f0", padding: 12, borderRadius: 12 }}>
-            <pre style={{ margin: 0 }}>{`EHEI = 0.40·ClimateRisk + 0.25·WorkerIncidents + 0.20·ComplianceFines + 0.15·HazardExposure\nEHEI = EHEI × (1 − 0.6·ESG_Mitigation);   ESG_Mitigation = 0.35·E + 0.35·S + 0.30·G (scaled 0–1)`}</pre>
+            <pre style={{ margin: 0 }}>{formulaText(params)}</pre>
           </div>
+          <p style={{ color: "#334155", marginTop: 8 }}>
+            <strong>Raw drivers:</strong> upload a companies CSV with <code>climate_risk</code>, <code>worker_incidents_per_1k</code>, <code>compliance_fines_musd</code>, <code>hazardous_material_exposure</code> and optionally <code>E_score</code>/<code>S_score</code>/<code>G_score</code> instead of an <code>EHEI</code> column. Each driver is min-max scaled 0–1 across the uploaded book, then scored with the formula above; <code>is_high_risk</code> is set when EHEI ≥ {DEFAULT_PARAMS.threshold.toFixed(2)} (adjustable in the weight editor).
+          </p>
           <p style={{ color: "#334155", marginTop: 8 }}>
             <strong>Where is this from?</strong> The EHEI is a prototype metric we designed for this demo, grounded in casualty-liability drivers (climate/physical hazards, worker safety, regulatory/compliance, and product/hazard exposure), with ESG acting as a mitigation factor. It is <em>not</em> copied from a single publication; it’s a transparent, explainable construct intended for model product exploration.
           </p>
@@ -461,6 +967,19 @@ export default function App() {
           </p>
         </section>
 
+        {selectedCompany && (
+          <CompanyDrawer
+            company={selectedCompany}
+            point={selectedPoint}
+            params={params}
+            colorFor={colorFor}
+            referrals={referrals.hits.get(selectedKey)}
+            percentiles={percentiles.get(selectedKey)}
+            onClose={closeDrawer}
+            onShowOnMap={() => mapSectionRef.current?.scrollIntoView({ behavior: "smooth", block: "start" })}
+          />
+        )}
+
         <footer style={{ opacity: 0.8, fontSize: 12, textAlign: "center", marginTop: 24 }}>
           ESG–Casualty Risk Dashboard · Demo build for presentation · © 2025 Nav Singh Hira
         </footer>
@@ -0,0 +1,135 @@
+import React, { useMemo, useRef, useState } from "react";
+import { Bar, BarChart, CartesianGrid, Cell, ReferenceLine, ResponsiveContainer, Tooltip, XAxis, YAxis } from "recharts";
+import { companyKey } from "../lib/portfolio.js";
+import ChartExport from "./ChartExport.jsx";
+import { attributeEhei, canAttribute, explanationText, industryMedianAttribution, waterfallSeries } from "../lib/attribution.js";
+
+/**
+ * Per-company driver attribution
+ * ------------------------------
+ * Waterfall of one company's EHEI built from the formula terms (hazard drivers up, ESG
+ * mitigation down), next to its industry's median contribution per term. Follows the company
+ * selected in the explorer; otherwise any company with drivers can be picked here.
+ */
+
+const STEP_COLORS = { hazard: "#ef4444", mitigation: "#22c55e", clamp: "#94a3b8", adjustment: "#a855f7", total: "#6366f1" };
+
+const th = { textAlign: "left", padding: 8, borderBottom: "1px solid #e5e7eb", fontSize: 13 };
+const td = { padding: 8, borderBottom: "1px solid #f1f5f9", fontSize: 13 };
+const signed = (x) => (x == null ? "—" : `${x >= 0 ? "+" : "−"}${Math.abs(x).toFixed(3)}`);
+
+export default function AttributionPanel({ rows, book, params, selected }) {
+  const [picked, setPicked] = useState("");
+  const [copied, setCopied] = useState(false);
+  const chartRef = useRef(null);
+
+  const candidates = useMemo(() => rows.filter(canAttribute).sort((a, b) => Number(b.EHEI) - Number(a.EHEI)), [rows]);
+  const company = canAttribute(selected)
+    ? selected
+    : candidates.find((c) => `${c.company} (${companyKey(c)})` === picked) || candidates[0] || null;
+
+  const attribution = useMemo(() => company && attributeEhei(company, params), [company, params]);
+  const peers = useMemo(() => company && industryMedianAttribution(book, company.industry, params), [book, company, params]);
+  const series = useMemo(() => attribution && waterfallSeries(attribution), [attribution]);
+
+  if (!company) {
+    return (
+      <p style={{ margin: 0, color: "#64748b", fontSize: 14 }}>
+        Attribution needs the raw driver columns (<code>climate_risk</code>, <code>worker_incidents_per_1k</code>, …). Upload a companies CSV that includes them.
+      </p>
+    );
+  }
+
+  const copy = () =>
+    navigator.clipboard?.writeText(explanationText(company, attribution, peers)).then(() => {
+      setCopied(true);
+      setTimeout(() => setCopied(false), 1500);
+    });
+
+  return (
+    <div style={{ color: "#0f172a" }}>
+      <div style={{ display: "flex", gap: 12, alignItems: "center", flexWrap: "wrap", marginBottom: 12, fontSize: 14 }}>
+        {canAttribute(selected) ? (
+          <span>
+            Explaining the company selected in the explorer: <strong>{company.company}</strong>
+          </span>
+        ) : (
+          <label>
+            Company{" "}
+            <input
+              list="attribution-companies"
+              value={picked}
+              onChange={(e) => setPicked(e.target.value)}
+              placeholder={`${company.company} (${companyKey(company)})`}
+              style={{ padding: 6, borderRadius: 8, border: "1px solid #cbd5e1", minWidth: 260 }}
+            />
+            <datalist id="attribution-companies">
+              {candidates.map((c) => (
+                <option key={companyKey(c)} value={`${c.company} (${companyKey(c)})`} />
+              ))}
+            </datalist>
+          </label>
+        )}
+        <span style={{ color: "#64748b" }}>
+          {company.industry || "Unknown industry"} · EHEI {attribution.ehei.toFixed(2)}
+          {peers.ehei != null && ` vs industry median ${peers.ehei.toFixed(2)} (${peers.n} peers)`}
+        </span>
+        <button onClick={copy} style={{ borderRadius: 8, padding: "4px 10px" }}>{copied ? "Copied!" : "Copy explanation"}</button>
+        <ChartExport chartRef={chartRef} name={`EHEI attribution ${company.company}`} />
+      </div>
+
+      <div style={{ display: "flex", gap: 16, flexWrap: "wrap" }}>
+        <div ref={chartRef} style={{ flex: "2 1 420px", height: 320 }}>
+          <ResponsiveContainer>
+            <BarChart data={series}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis dataKey="label" interval={0} angle={-25} textAnchor="end" height={70} tick={{ fontSize: 11 }} />
+              <YAxis domain={[0, "auto"]} />
+              <Tooltip formatter={(v, name, item) => (name === "bar" ? signed(item.payload.value) : null)} />
+              {peers.ehei != null && <ReferenceLine y={peers.ehei} stroke="#0f172a" strokeDasharray="4 3" label={{ value: "Industry median EHEI", position: "insideTopRight", fontSize: 11 }} />}
+              <Bar dataKey="base" stackId="w" fill="transparent" isAnimationActive={false} tooltipType="none" />
+              <Bar dataKey="bar" stackId="w" isAnimationActive={false}>
+                {series.map((d) => (
+                  <Cell key={d.key} fill={STEP_COLORS[d.kind]} />
+                ))}
+              </Bar>
+            </BarChart>
+          </ResponsiveContainer>
+        </div>
+        <div style={{ flex: "1 1 300px" }}>
+          <table style={{ width: "100%", borderCollapse: "collapse" }}>
+            <thead>
+              <tr style={{ background: "#f8fafc" }}>
+                <th style={th}>Term</th>
+                <th style={th}>Company</th>
+                <th style={th}>Industry median</th>
+                <th style={th}>Δ</th>
+              </tr>
+            </thead>
+            <tbody>
+              {attribution.steps.map((st) => {
+                const med = peers.steps[st.key];
+                const delta = med == null ? null : st.value - med;
+                // Positive Δ pushes the score up relative to peers
+                return (
+                  <tr key={st.key}>
+                    <td style={td}>{st.label}</td>
+                    <td style={td}>{signed(st.value)}</td>
+                    <td style={td}>{signed(med)}</td>
+                    <td style={{ ...td, color: delta == null ? undefined : delta > 0.005 ? "#b91c1c" : delta < -0.005 ? "#15803d" : undefined }}>{signed(delta)}</td>
+                  </tr>
+                );
+              })}
+              <tr>
+                <td style={{ ...td, fontWeight: 700 }}>EHEI</td>
+                <td style={{ ...td, fontWeight: 700 }}>{attribution.ehei.toFixed(3)}</td>
+                <td style={{ ...td, fontWeight: 700 }}>{peers.ehei == null ? "—" : peers.ehei.toFixed(3)}</td>
+                <td style={{ ...td, fontWeight: 700 }}>{peers.ehei == null ? "—" : signed(attribution.ehei - peers.ehei)}</td>
+              </tr>
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,182 @@
+import React, { useMemo, useRef, useState } from "react";
+import { Bar, BarChart, CartesianGrid, Legend, ReferenceLine, ResponsiveContainer, Tooltip, XAxis, YAxis } from "recharts";
+import { distributionBy, histogram } from "../lib/benchmark.js";
+import { GROUP_KEYS, groupValue } from "../lib/portfolio.js";
+import ChartExport from "./ChartExport.jsx";
+import PeerComparison from "./PeerComparison.jsx";
+
+/**
+ * Peer benchmarking
+ * -----------------
+ * EHEI distributions behind the averages: box plots per industry or geo (Tukey whiskers,
+ * threshold line), a table saying whether each group's high-risk names are sector-wide or a
+ * few extreme ones, a histogram of one group against the rows in view, and the peer comparison
+ * for the selected company (peers drawn from the whole `book`, like the percentiles).
+ */
+
+const th = { textAlign: "left", padding: 8, borderBottom: "1px solid #e5e7eb", fontSize: 13 };
+const td = { padding: 8, borderBottom: "1px solid #f1f5f9", fontSize: 13 };
+const input = { padding: 6, borderRadius: 8, border: "1px solid #cbd5e1" };
+
+const SHAPE_COLORS = { "Sector-wide": "#b91c1c", Mixed: "#b45309", "Tail-driven": "#7c3aed", "None high": "#15803d" };
+const MAX_GROUPS = 25;
+
+// Box-plot segments are stacked bars; whiskers draw as a line through their segment
+const Whisker = ({ x, y, width, height }) =>
+  width > 0 ? (
+    <g stroke="#475569" strokeWidth={1.5}>
+      <line x1={x} x2={x + width} y1={y + height / 2} y2={y + height / 2} />
+    </g>
+  ) : null;
+const BoxHalf = ({ x, y, width, height }) => <rect x={x} y={y + 3} width={Math.max(0, width)} height={Math.max(0, height - 6)} fill="#c7d2fe" stroke="#4f46e5" />;
+
+function BoxTooltip({ active, payload }) {
+  if (!active || !payload?.length) return null;
+  const d = payload[0].payload;
+  const f = (x) => x.toFixed(2);
+  return (
+    <div style={{ background: "#fff", border: "1px solid #e5e7eb", borderRadius: 8, padding: 8, fontSize: 12, color: "#0f172a" }}>
+      <strong>{d.group}</strong> ({d.n} companies)
+      <div>Min {f(d.min)} · Q1 {f(d.q1)} · Median {f(d.median)} · Q3 {f(d.q3)} · Max {f(d.max)}</div>
+      <div>Mean {f(d.mean)} · {d.outliers} outlier{d.outliers === 1 ? "" : "s"} beyond 1.5 × IQR</div>
+    </div>
+  );
+}
+
+export default function BenchmarkPanel({ rows, book, threshold, selected }) {
+  const [key, setKey] = useState("industry");
+  const [histGroup, setHistGroup] = useState("");
+  const [peerKey, setPeerKey] = useState("industry");
+  const boxRef = useRef(null);
+  const histRef = useRef(null);
+
+  const dist = useMemo(() => distributionBy(rows, key, { threshold }), [rows, key, threshold]);
+  const boxes = dist.slice(0, MAX_GROUPS).map((d) => ({
+    ...d,
+    base: d.lowWhisker,
+    wLow: d.q1 - d.lowWhisker,
+    boxLow: d.median - d.q1,
+    boxHigh: d.q3 - d.median,
+    wHigh: d.highWhisker - d.q3,
+  }));
+
+  const group = dist.some((d) => d.group === histGroup) ? histGroup : dist[0]?.group || "";
+  const hist = useMemo(() => histogram(rows.filter((c) => groupValue(c, key) === group), rows), [rows, key, group]);
+
+  return (
+    <div style={{ color: "#0f172a" }}>
+      <div style={{ display: "flex", gap: 12, alignItems: "center", flexWrap: "wrap", marginBottom: 12, fontSize: 14 }}>
+        <label>
+          Compare by{" "}
+          <select value={key} onChange={(e) => setKey(e.target.value)} style={input}>
+            <option value="industry">Industry</option>
+            <option value="geo">Geo</option>
+          </select>
+        </label>
+        <span style={{ color: "#64748b" }}>Boxes span the interquartile range with the median inside; whiskers reach the furthest names within 1.5 × IQR.</span>
+      </div>
+
+      <div style={{ display: "flex", gap: 16, flexWrap: "wrap" }}>
+        <div style={{ flex: "2 1 480px", minWidth: 0 }}>
+          <h4 style={{ margin: "0 0 6px", display: "flex", gap: 8, alignItems: "center" }}>
+            EHEI distribution by {GROUP_KEYS[key].toLowerCase()} <ChartExport chartRef={boxRef} name={`EHEI distribution by ${GROUP_KEYS[key]}`} />
+          </h4>
+          <div ref={boxRef} style={{ height: 60 + 30 * boxes.length }}>
+            <ResponsiveContainer>
+              <BarChart data={boxes} layout="vertical" margin={{ left: 8, right: 16 }}>
+                <CartesianGrid strokeDasharray="3 3" horizontal={false} />
+                <XAxis type="number" domain={[0, 1]} tickFormatter={(v) => v.toFixed(1)} />
+                <YAxis type="category" dataKey="group" width={120} tick={{ fontSize: 12 }} />
+                <Tooltip content={<BoxTooltip />} cursor={{ fill: "#f1f5f9" }} />
+                <ReferenceLine x={threshold} stroke="#ef4444" strokeDasharray="4 3" label={{ value: "High-risk threshold", position: "top", fontSize: 11 }} />
+                <Bar dataKey="base" stackId="box" fill="transparent" isAnimationActive={false} />
+                <Bar dataKey="wLow" stackId="box" shape={<Whisker />} isAnimationActive={false} />
+                <Bar dataKey="boxLow" stackId="box" shape={<BoxHalf />} isAnimationActive={false} />
+                <Bar dataKey="boxHigh" stackId="box" shape={<BoxHalf />} isAnimationActive={false} />
+                <Bar dataKey="wHigh" stackId="box" shape={<Whisker />} isAnimationActive={false} />
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+          {dist.length > MAX_GROUPS && <div style={{ fontSize: 12, color: "#64748b" }}>Showing the {MAX_GROUPS} groups with the highest median of {dist.length}.</div>}
+        </div>
+
+        <div style={{ flex: "1 1 360px", minWidth: 0 }}>
+          <h4 style={{ margin: "0 0 6px" }}>Where does the risk come from?</h4>
+          <div style={{ maxHeight: 60 + 30 * Math.min(boxes.length, 12), overflowY: "auto" }}>
+            <table style={{ width: "100%", borderCollapse: "collapse" }}>
+              <thead>
+                <tr style={{ background: "#f8fafc" }}>
+                  <th style={th}>{GROUP_KEYS[key]}</th>
+                  <th style={th}>Median</th>
+                  <th style={th}>IQR</th>
+                  <th style={th}>High risk</th>
+                  <th style={th}>Shape</th>
+                </tr>
+              </thead>
+              <tbody>
+                {dist.map((d) => (
+                  <tr key={d.group} onClick={() => setHistGroup(d.group)} style={{ cursor: "pointer", background: d.group === group ? "#e0f2fe" : undefined }}>
+                    <td style={td}>
+                      {d.group} <span style={{ color: "#64748b" }}>({d.n})</span>
+                    </td>
+                    <td style={td}>{d.median.toFixed(2)}</td>
+                    <td style={td}>
+                      {d.q1.toFixed(2)}–{d.q3.toFixed(2)}
+                    </td>
+                    <td style={td}>{Math.round(d.highShare * 100)}%</td>
+                    <td style={{ ...td, color: SHAPE_COLORS[d.shape], fontWeight: 600 }}>{d.shape}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <p style={{ fontSize: 12, color: "#64748b" }}>
+            Sector-wide: the median name is high risk. Tail-driven: under a quarter of names are, so a few extremes carry the share. Mixed: in between.
+          </p>
+        </div>
+      </div>
+
+      <div style={{ display: "flex", gap: 16, flexWrap: "wrap", marginTop: 16 }}>
+        <div style={{ flex: "1 1 420px", minWidth: 0 }}>
+          <h4 style={{ margin: "0 0 6px", display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
+            EHEI histogram:
+            <select value={group} onChange={(e) => setHistGroup(e.target.value)} style={input}>
+              {dist.map((d) => (
+                <option key={d.group} value={d.group}>{d.group}</option>
+              ))}
+            </select>
+            vs all companies in view <ChartExport chartRef={histRef} name={`EHEI histogram ${group}`} />
+          </h4>
+          <div ref={histRef} style={{ height: 260 }}>
+            <ResponsiveContainer>
+              <BarChart data={hist}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="bin" tick={{ fontSize: 11 }} />
+                <YAxis tickFormatter={(v) => `${Math.round(v * 100)}%`} />
+                <Tooltip formatter={(v) => `${(v * 100).toFixed(1)}%`} />
+                <Legend />
+                <Bar dataKey="share" name={`${group} (share of names)`} fill="#6366f1" isAnimationActive={false} />
+                <Bar dataKey="bookShare" name="All in view" fill="#cbd5e1" isAnimationActive={false} />
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+        </div>
+
+        <div style={{ flex: "1 1 420px", minWidth: 0 }}>
+          <h4 style={{ margin: "0 0 6px", display: "flex", gap: 8, alignItems: "center" }}>
+            Peer comparison
+            <select value={peerKey} onChange={(e) => setPeerKey(e.target.value)} style={input}>
+              <option value="industry">Industry peers</option>
+              <option value="geo">Geo peers</option>
+            </select>
+          </h4>
+          {selected ? (
+            <PeerComparison company={selected} rows={book} peerKey={peerKey} />
+          ) : (
+            <p style={{ margin: 0, fontSize: 14, color: "#64748b" }}>Select a company in the explorer or the alerts list to compare it with its peers.</p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,32 @@
+import React, { useState } from "react";
+import { chartSvg, downloadFile, slug, svgToPng } from "../lib/download.js";
+
+/**
+ * PNG / SVG download buttons for the Recharts chart rendered inside `chartRef`.
+ */
+
+const btn = { borderRadius: 6, padding: "2px 8px", fontSize: 12 };
+
+export default function ChartExport({ chartRef, name }) {
+  const [error, setError] = useState(null);
+
+  const exportAs = async (format) => {
+    setError(null);
+    const chart = chartSvg(chartRef.current);
+    if (!chart) return setError("Chart not rendered");
+    try {
+      if (format === "svg") downloadFile(`${slug(name)}.svg`, chart.svg, "image/svg+xml");
+      else downloadFile(`${slug(name)}.png`, await svgToPng(chart));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <span style={{ display: "inline-flex", gap: 6, alignItems: "center", fontSize: 12, fontWeight: 400 }}>
+      <button onClick={() => exportAs("png")} style={btn} title={`Download "${name}" as PNG`}>PNG</button>
+      <button onClick={() => exportAs("svg")} style={btn} title={`Download "${name}" as SVG`}>SVG</button>
+      {error && <span style={{ color: "#b91c1c" }}>{error}</span>}
+    </span>
+  );
+}
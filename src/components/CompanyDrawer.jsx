@@ -0,0 +1,120 @@
+import React, { useEffect } from "react";
+import { DRIVER_COLUMNS, DRIVER_LABELS, ESG_DRIVERS } from "../lib/ehei.js";
+import { EXPOSURE_COLUMNS, eheiBand, exposureOf, fmtExposure, isHigh } from "../lib/portfolio.js";
+import { geoName } from "../lib/countries.js";
+import { centroidLabel } from "../lib/spatial.js";
+import RuleBadges from "./RuleBadges.jsx";
+
+/**
+ * Company detail drawer
+ * ---------------------
+ * Slides in from the right for the company selected in the explorer: score, placement,
+ * peer percentiles, triggered referral rules, exposures and every raw driver with its scaled (0–1) value and current weight.
+ * Escape or the close button dismisses it.
+ */
+
+const th = { textAlign: "left", padding: 6, borderBottom: "1px solid #e5e7eb", fontSize: 12 };
+const td = { padding: 6, borderBottom: "1px solid #f1f5f9", fontSize: 13 };
+const dt = { fontSize: 12, color: "#64748b" };
+const dd = { margin: "0 0 8px", fontSize: 14 };
+
+const fmtNum = (x) => (x == null || !Number.isFinite(Number(x)) ? "—" : Number(x).toLocaleString("en", { maximumFractionDigits: 3 }));
+
+export default function CompanyDrawer({ company, point, params, colorFor, referrals = [], percentiles = null, onClose, onShowOnMap }) {
+  useEffect(() => {
+    const onKey = (e) => e.key === "Escape" && onClose();
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [onClose]);
+
+  const c = company;
+  const band = eheiBand(c.EHEI, params.threshold);
+  const hasDriverValues = DRIVER_COLUMNS.some((col) => c[col] != null && c[col] !== "");
+  const exposures = Object.keys(EXPOSURE_COLUMNS).filter((col) => exposureOf(c, col) > 0);
+  const weightOf = (col) => (ESG_DRIVERS.includes(col) ? params.esgWeights[col] : params.hazardWeights[col]);
+
+  return (
+    <aside
+      role="dialog"
+      aria-label={`${c.company} details`}
+      style={{ position: "fixed", top: 0, right: 0, bottom: 0, width: "min(420px, 100vw)", zIndex: 2000, background: "#fff", color: "#0f172a", boxShadow: "-8px 0 24px rgba(0,0,0,.2)", padding: 20, overflowY: "auto" }}
+    >
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "flex-start", gap: 12 }}>
+        <div>
+          <h3 style={{ margin: 0 }}>{c.company}</h3>
+          <div style={{ fontSize: 13, color: "#64748b" }}>
+            {[c.company_id, c.industry, c.geo && geoName(c.geo)].filter(Boolean).join(" · ")}
+          </div>
+        </div>
+        <button onClick={onClose} aria-label="Close" style={{ borderRadius: 8 }}>✕</button>
+      </div>
+
+      <div style={{ display: "flex", gap: 12, alignItems: "center", margin: "16px 0" }}>
+        <div style={{ fontSize: 32, fontWeight: 700 }}>{Number(c.EHEI).toFixed(2)}</div>
+        <div>
+          <span style={{ background: colorFor(c.EHEI), color: "#0f172a", borderRadius: 999, padding: "2px 10px", fontSize: 12, fontWeight: 600 }}>{band}</span>
+          <div style={{ fontSize: 12, color: "#64748b", marginTop: 4 }}>
+            {isHigh(c) ? "High risk" : "Not high risk"} · EHEI {c.ehei_source === "computed" ? "computed from drivers" : "supplied"}
+          </div>
+        </div>
+      </div>
+
+      <dl style={{ margin: 0 }}>
+        <dt style={dt}>Location</dt>
+        <dd style={dd}>
+          {point
+            ? `${point.lat.toFixed(4)}, ${point.lon.toFixed(4)} · ${point.placement === "centroid" ? `${centroidLabel(point.geo)} (approximate)` : "exact coordinates"}`
+            : "Not on the map (no coordinates and no resolvable geo code)"}
+        </dd>
+        {percentiles && (
+          <>
+            <dt style={dt}>EHEI percentile among peers</dt>
+            <dd style={dd}>
+              {Math.round(percentiles.pct_industry)} in {c.industry || "Unknown"} · {Math.round(percentiles.pct_geo)} in {c.geo || "Unknown"} · {Math.round(percentiles.pct_book)} in the book
+            </dd>
+          </>
+        )}
+        <dt style={dt}>Referral rules</dt>
+        <dd style={dd}>{referrals.length ? <RuleBadges rules={referrals} /> : "None triggered"}</dd>
+        {exposures.map((col) => (
+          <React.Fragment key={col}>
+            <dt style={dt}>{EXPOSURE_COLUMNS[col]}</dt>
+            <dd style={dd}>{fmtExposure(exposureOf(c, col))}</dd>
+          </React.Fragment>
+        ))}
+      </dl>
+
+      <h4 style={{ margin: "16px 0 6px" }}>Drivers</h4>
+      {hasDriverValues ? (
+        <table style={{ width: "100%", borderCollapse: "collapse" }}>
+          <thead>
+            <tr style={{ background: "#f8fafc" }}>
+              <th style={th}>Driver</th>
+              <th style={th}>Raw</th>
+              <th style={th}>Scaled</th>
+              <th style={th}>Weight</th>
+            </tr>
+          </thead>
+          <tbody>
+            {DRIVER_COLUMNS.map((col) => (
+              <tr key={col}>
+                <td style={td}>{DRIVER_LABELS[col]}{ESG_DRIVERS.includes(col) && " (mitigation)"}</td>
+                <td style={td}>{fmtNum(c[col])}</td>
+                <td style={td}>{fmtNum(c.scaled?.[col])}</td>
+                <td style={td}>{fmtNum(weightOf(col))}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      ) : (
+        <p style={{ margin: 0, fontSize: 13, color: "#64748b" }}>No raw driver columns were uploaded for this company; its EHEI was supplied directly.</p>
+      )}
+
+      {point && (
+        <button onClick={onShowOnMap} style={{ marginTop: 16, padding: "8px 12px", borderRadius: 8 }}>
+          Show on map
+        </button>
+      )}
+    </aside>
+  );
+}
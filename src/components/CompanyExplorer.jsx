@@ -0,0 +1,156 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { EXPOSURE_COLUMNS, companyKey, exposureOf, fmtExposure, isHigh } from "../lib/portfolio.js";
+import RuleBadges from "./RuleBadges.jsx";
+import { EMPTY_FILTERS, PAGE_SIZES, activeFilterCount, filterCompanies, paginate, sortCompanies } from "../lib/explorer.js";
+
+/**
+ * Company explorer grid
+ * ---------------------
+ * Every company in the current (cross-filtered) view, with column sorting, name/id search,
+ * EHEI-range and high-risk filters and pagination, plus each company's EHEI percentile within
+ * its industry and region. Triggered referral rules show as badges next to the name. Clicking a
+ * row reports it to the parent, which opens the detail drawer, centers the map and highlights
+ * the company's chart bar.
+ */
+
+const th = { textAlign: "left", padding: 10, borderBottom: "1px solid #e5e7eb", whiteSpace: "nowrap", userSelect: "none" };
+const td = { padding: 10, borderBottom: "1px solid #f1f5f9" };
+const field = { display: "flex", flexDirection: "column", gap: 4, fontSize: 12, color: "#334155" };
+const input = { padding: 6, borderRadius: 8, border: "1px solid #cbd5e1" };
+
+export default function CompanyExplorer({ rows, weight = "count", selectedKey, onSelect, referrals = new Map(), percentiles = new Map() }) {
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [sort, setSort] = useState({ key: weight === "count" ? "EHEI" : `risk:${weight}`, dir: "desc" });
+  const [page, setPage] = useState(0);
+  const [pageSize, setPageSize] = useState(PAGE_SIZES[1]);
+
+  // Weighted views rank by EHEI × exposure by default, like the old top-10 table
+  useEffect(() => {
+    setSort({ key: weight === "count" ? "EHEI" : `risk:${weight}`, dir: "desc" });
+  }, [weight]);
+
+  // Peer percentiles ride along on the rows so they sort like any other column
+  const ranked = useMemo(() => rows.map((c) => ({ ...c, ...percentiles.get(companyKey(c)) })), [rows, percentiles]);
+  const filtered = useMemo(() => filterCompanies(ranked, filters), [ranked, filters]);
+  const sorted = useMemo(() => sortCompanies(filtered, sort), [filtered, sort]);
+  const view = paginate(sorted, page, pageSize);
+
+  const setFilter = (k, v) => {
+    setFilters((f) => ({ ...f, [k]: v }));
+    setPage(0);
+  };
+  const toggleSort = (key) => setSort((s) => (s.key === key ? { key, dir: s.dir === "asc" ? "desc" : "asc" } : { key, dir: key === "company" || key === "company_id" || key === "industry" || key === "geo" ? "asc" : "desc" }));
+
+  const columns = [
+    { key: "company", label: "Company" },
+    { key: "company_id", label: "ID" },
+    { key: "industry", label: "Industry" },
+    { key: "EHEI", label: "EHEI" },
+    { key: "is_high_risk", label: "High Risk?" },
+    { key: "geo", label: "Region" },
+    { key: "pct_industry", label: "Industry pctl" },
+    { key: "pct_geo", label: "Region pctl" },
+    ...(weight !== "count"
+      ? [
+          { key: weight, label: EXPOSURE_COLUMNS[weight] },
+          { key: `risk:${weight}`, label: "EHEI × exposure" },
+        ]
+      : []),
+  ];
+  const active = activeFilterCount(filters);
+
+  return (
+    <div style={{ color: "#0f172a" }}>
+      <div style={{ display: "flex", gap: 12, flexWrap: "wrap", alignItems: "flex-end", marginBottom: 12 }}>
+        <label style={{ ...field, flex: "1 1 200px" }}>
+          Search name or ID
+          <input type="search" value={filters.search} onChange={(e) => setFilter("search", e.target.value)} placeholder="e.g. Acme or C0042" style={input} />
+        </label>
+        <div style={field}>
+          EHEI range
+          <div style={{ display: "flex", gap: 6, alignItems: "center" }}>
+            <input type="number" min={0} max={1} step={0.05} value={filters.eheiMin} onChange={(e) => setFilter("eheiMin", e.target.value)} placeholder="min" style={{ ...input, width: 64 }} />
+            –
+            <input type="number" min={0} max={1} step={0.05} value={filters.eheiMax} onChange={(e) => setFilter("eheiMax", e.target.value)} placeholder="max" style={{ ...input, width: 64 }} />
+          </div>
+        </div>
+        <label style={field}>
+          High risk
+          <select value={filters.highRisk} onChange={(e) => setFilter("highRisk", e.target.value)} style={input}>
+            <option value="all">All</option>
+            <option value="yes">Yes</option>
+            <option value="no">No</option>
+          </select>
+        </label>
+        {active > 0 && (
+          <button onClick={() => { setFilters(EMPTY_FILTERS); setPage(0); }} style={{ padding: "6px 10px", borderRadius: 8 }}>
+            Clear {active} filter{active > 1 ? "s" : ""}
+          </button>
+        )}
+      </div>
+
+      <div style={{ overflowX: "auto" }}>
+        <table style={{ width: "100%", borderCollapse: "collapse" }}>
+          <thead>
+            <tr style={{ background: "#f8fafc" }}>
+              {columns.map((col) => (
+                <th key={col.key} style={{ ...th, cursor: "pointer" }} onClick={() => toggleSort(col.key)} aria-sort={sort.key === col.key ? (sort.dir === "asc" ? "ascending" : "descending") : "none"}>
+                  {col.label}
+                  {sort.key === col.key ? (sort.dir === "asc" ? " ▲" : " ▼") : ""}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {view.rows.map((c) => {
+              const key = companyKey(c);
+              return (
+                <tr key={key} onClick={() => onSelect(c)} style={{ cursor: "pointer", background: key === selectedKey ? "#e0f2fe" : undefined }}>
+                  <td style={td}>
+                    {c.company}
+                    <RuleBadges rules={referrals.get(key)} />
+                  </td>
+                  <td style={{ ...td, color: "#64748b" }}>{c.company_id}</td>
+                  <td style={td}>{c.industry}</td>
+                  <td style={td}>{Number(c.EHEI).toFixed(2)}</td>
+                  <td style={td}>{isHigh(c) ? "Yes" : "No"}</td>
+                  <td style={td}>{c.geo}</td>
+                  <td style={td}>{c.pct_industry == null ? "—" : Math.round(c.pct_industry)}</td>
+                  <td style={td}>{c.pct_geo == null ? "—" : Math.round(c.pct_geo)}</td>
+                  {weight !== "count" && (
+                    <>
+                      <td style={td}>{fmtExposure(exposureOf(c, weight))}</td>
+                      <td style={td}>{fmtExposure(Number(c.EHEI) * exposureOf(c, weight))}</td>
+                    </>
+                  )}
+                </tr>
+              );
+            })}
+            {!view.rows.length && (
+              <tr>
+                <td style={{ ...td, color: "#64748b" }} colSpan={columns.length}>No companies match these filters.</td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      <div style={{ display: "flex", gap: 12, alignItems: "center", justifyContent: "space-between", flexWrap: "wrap", marginTop: 12, fontSize: 13, color: "#334155" }}>
+        <span>
+          {sorted.length ? `${view.start + 1}–${view.start + view.rows.length} of ${sorted.length}` : "0"} companies
+          {sorted.length !== rows.length && ` (filtered from ${rows.length})`}
+        </span>
+        <div style={{ display: "flex", gap: 6, alignItems: "center" }}>
+          <button onClick={() => setPage(0)} disabled={view.page === 0} style={{ borderRadius: 8 }}>«</button>
+          <button onClick={() => setPage(view.page - 1)} disabled={view.page === 0} style={{ borderRadius: 8 }}>‹</button>
+          Page {view.page + 1} / {view.pages}
+          <button onClick={() => setPage(view.page + 1)} disabled={view.page >= view.pages - 1} style={{ borderRadius: 8 }}>›</button>
+          <button onClick={() => setPage(view.pages - 1)} disabled={view.page >= view.pages - 1} style={{ borderRadius: 8 }}>»</button>
+          <select value={pageSize} onChange={(e) => { setPageSize(Number(e.target.value)); setPage(0); }} style={{ padding: 4, borderRadius: 8 }}>
+            {PAGE_SIZES.map((n) => <option key={n} value={n}>{n} / page</option>)}
+          </select>
+        </div>
+      </div>
+    </div>
+  );
+}
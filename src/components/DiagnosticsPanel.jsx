@@ -0,0 +1,200 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import {
+  Bar,
+  CartesianGrid,
+  ComposedChart,
+  Legend,
+  Line,
+  LineChart,
+  ReferenceDot,
+  ResponsiveContainer,
+  Scatter,
+  Tooltip,
+  XAxis,
+  YAxis,
+} from "recharts";
+import ChartExport from "./ChartExport.jsx";
+import { calibration, confusionMatrix, flagConfusion, labelled, liftByDecile, prCurve, referralTradeoff, rocCurve } from "../lib/diagnostics.js";
+
+/**
+ * Classification diagnostics
+ * --------------------------
+ * EHEI checked against uploaded outcomes (`had_claim` / `incurred_loss`): confusion matrix at a
+ * threshold slider, ROC and precision-recall curves, lift by decile, calibration, and the
+ * referral-volume vs captured-loss trade-off. Everything is computed in the browser.
+ */
+
+const th = { textAlign: "left", padding: 8, borderBottom: "1px solid #e5e7eb", fontSize: 13 };
+const td = { padding: 8, borderBottom: "1px solid #f1f5f9", fontSize: 13 };
+const chartBox = { flex: "1 1 340px", minWidth: 0 };
+const pct = (x) => (x == null ? "—" : `${(x * 100).toFixed(1)}%`);
+const num = (x, dp = 2) => (x == null ? "—" : x.toFixed(dp));
+const rate = (a, b) => (b ? a / b : 0);
+
+function ChartCard({ title, children }) {
+  const ref = useRef(null);
+  return (
+    <div style={chartBox}>
+      <h4 style={{ margin: "0 0 6px", display: "flex", gap: 8, alignItems: "center", justifyContent: "space-between" }}>
+        {title} <ChartExport chartRef={ref} name={title} />
+      </h4>
+      <div ref={ref} style={{ height: 240 }}>
+        <ResponsiveContainer>{children}</ResponsiveContainer>
+      </div>
+    </div>
+  );
+}
+
+export default function DiagnosticsPanel({ rows, threshold, onApplyThreshold }) {
+  const [t, setT] = useState(threshold);
+  useEffect(() => setT(threshold), [threshold]);
+
+  const n = useMemo(() => labelled(rows).length, [rows]);
+  const roc = useMemo(() => rocCurve(rows), [rows]);
+  const pr = useMemo(() => prCurve(rows), [rows]);
+  const lift = useMemo(() => liftByDecile(rows), [rows]);
+  const calib = useMemo(() => calibration(rows), [rows]);
+  const tradeoff = useMemo(() => referralTradeoff(rows), [rows]);
+  const flag = useMemo(() => flagConfusion(rows), [rows]);
+  const cm = useMemo(() => confusionMatrix(rows, t), [rows, t]);
+  const here = tradeoff.at(t);
+  const rocHere = roc.points.length ? { fpr: rate(cm.fp, cm.fp + cm.tn), tpr: rate(cm.tp, cm.tp + cm.fn) } : null;
+
+  return (
+    <div style={{ color: "#0f172a" }}>
+      <div style={{ display: "flex", gap: 16, alignItems: "center", flexWrap: "wrap", marginBottom: 16, fontSize: 14 }}>
+        <label style={{ display: "flex", alignItems: "center", gap: 8 }}>
+          Referral threshold
+          <input type="range" min={0} max={1} step={0.01} value={t} onChange={(e) => setT(Number(e.target.value))} style={{ width: 220 }} />
+          <strong>EHEI ≥ {t.toFixed(2)}</strong>
+        </label>
+        <span>
+          Refers <strong>{here.referred}</strong> of {n} companies ({pct(here.referredPct)}) and captures <strong>{pct(here.claimsPct)}</strong> of claims
+          and <strong>{pct(here.lossPct)}</strong> of losses
+          {tradeoff.basis === "amount"
+            ? " by incurred amount."
+            : ` counted per claim${tradeoff.missing < n ? ` (incurred_loss missing on ${tradeoff.missing} of ${n} companies)` : ""}.`}
+        </span>
+        {t !== threshold && (
+          <button onClick={() => onApplyThreshold(t)} style={{ borderRadius: 8, padding: "4px 10px" }}>
+            Use as high-risk threshold
+          </button>
+        )}
+      </div>
+
+      <div style={{ display: "flex", gap: 24, flexWrap: "wrap", alignItems: "flex-start", marginBottom: 16 }}>
+        <table style={{ borderCollapse: "collapse" }}>
+          <thead>
+            <tr>
+              <th style={th} />
+              <th style={th}>Claim</th>
+              <th style={th}>No claim</th>
+            </tr>
+          </thead>
+          <tbody>
+            <tr>
+              <th style={th}>EHEI ≥ {t.toFixed(2)}</th>
+              <td style={{ ...td, background: "#dcfce7" }}>{cm.tp} TP</td>
+              <td style={{ ...td, background: "#fef3c7" }}>{cm.fp} FP</td>
+            </tr>
+            <tr>
+              <th style={th}>EHEI &lt; {t.toFixed(2)}</th>
+              <td style={{ ...td, background: "#fee2e2" }}>{cm.fn} FN</td>
+              <td style={{ ...td, background: "#f1f5f9" }}>{cm.tn} TN</td>
+            </tr>
+          </tbody>
+        </table>
+        <table style={{ borderCollapse: "collapse" }}>
+          <thead>
+            <tr>
+              <th style={th} />
+              <th style={th}>Precision</th>
+              <th style={th}>Recall</th>
+              <th style={th}>Specificity</th>
+              <th style={th}>F1</th>
+            </tr>
+          </thead>
+          <tbody>
+            <tr>
+              <th style={th}>EHEI ≥ {t.toFixed(2)}</th>
+              <td style={td}>{pct(cm.precision)}</td>
+              <td style={td}>{pct(cm.recall)}</td>
+              <td style={td}>{pct(cm.specificity)}</td>
+              <td style={td}>{num(cm.f1)}</td>
+            </tr>
+            <tr>
+              <th style={th}>Uploaded is_high_risk</th>
+              <td style={td}>{pct(flag.precision)}</td>
+              <td style={td}>{pct(flag.recall)}</td>
+              <td style={td}>{pct(flag.specificity)}</td>
+              <td style={td}>{num(flag.f1)}</td>
+            </tr>
+          </tbody>
+        </table>
+        <div style={{ fontSize: 14, lineHeight: 1.7 }}>
+          <div>ROC AUC: <strong>{num(roc.auc, 3)}</strong></div>
+          <div>Average precision: <strong>{num(pr.averagePrecision, 3)}</strong> (base rate {pct(pr.baseRate)})</div>
+          <div style={{ color: "#64748b" }}>{n} companies with a known outcome</div>
+        </div>
+      </div>
+
+      <div style={{ display: "flex", gap: 16, flexWrap: "wrap" }}>
+        <ChartCard title={`ROC curve (AUC ${num(roc.auc, 3)})`}>
+          <LineChart data={roc.points}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis type="number" dataKey="fpr" domain={[0, 1]} name="False positive rate" tickFormatter={(v) => v.toFixed(1)} />
+            <YAxis type="number" domain={[0, 1]} tickFormatter={(v) => v.toFixed(1)} />
+            <Tooltip formatter={(v) => num(v, 3)} labelFormatter={(v) => `FPR ${num(v, 3)}`} />
+            <Line dataKey="tpr" name="True positive rate" stroke="#6366f1" dot={false} isAnimationActive={false} />
+            <Line data={[{ fpr: 0, chance: 0 }, { fpr: 1, chance: 1 }]} dataKey="chance" name="Chance" stroke="#94a3b8" strokeDasharray="4 3" dot={false} isAnimationActive={false} />
+            {rocHere && <ReferenceDot x={rocHere.fpr} y={rocHere.tpr} r={5} fill="#ef4444" stroke="none" />}
+          </LineChart>
+        </ChartCard>
+        <ChartCard title={`Precision-recall (AP ${num(pr.averagePrecision, 3)})`}>
+          <LineChart data={pr.points}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis type="number" dataKey="recall" domain={[0, 1]} tickFormatter={(v) => v.toFixed(1)} />
+            <YAxis type="number" domain={[0, 1]} tickFormatter={(v) => v.toFixed(1)} />
+            <Tooltip formatter={(v) => num(v, 3)} labelFormatter={(v) => `Recall ${num(v, 3)}`} />
+            <Line dataKey="precision" name="Precision" stroke="#14b8a6" dot={false} isAnimationActive={false} />
+            {cm.recall != null && cm.precision != null && <ReferenceDot x={cm.recall} y={cm.precision} r={5} fill="#ef4444" stroke="none" />}
+          </LineChart>
+        </ChartCard>
+        <ChartCard title="Lift by EHEI decile (1 = highest)">
+          <ComposedChart data={lift}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="decile" />
+            <YAxis yAxisId="lift" />
+            <YAxis yAxisId="share" orientation="right" domain={[0, 1]} tickFormatter={(v) => `${Math.round(v * 100)}%`} />
+            <Tooltip formatter={(v, name) => (name === "Lift" ? num(v) : pct(v))} />
+            <Legend />
+            <Bar yAxisId="lift" dataKey="lift" name="Lift" fill="#6366f1" isAnimationActive={false} />
+            <Line yAxisId="share" dataKey="cumLossShare" name="Cumulative loss share" stroke="#ef4444" isAnimationActive={false} />
+          </ComposedChart>
+        </ChartCard>
+        <ChartCard title="Calibration (observed claim rate vs mean EHEI)">
+          <ComposedChart data={calib}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis type="number" dataKey="meanEHEI" domain={[0, 1]} tickFormatter={(v) => v.toFixed(1)} />
+            <YAxis type="number" domain={[0, 1]} tickFormatter={(v) => v.toFixed(1)} />
+            <Tooltip formatter={(v) => num(v, 3)} labelFormatter={(v) => `Mean EHEI ${num(v, 3)}`} />
+            <Line data={[{ meanEHEI: 0, ideal: 0 }, { meanEHEI: 1, ideal: 1 }]} dataKey="ideal" name="Perfect calibration" stroke="#94a3b8" strokeDasharray="4 3" dot={false} isAnimationActive={false} />
+            <Scatter dataKey="observedRate" name="Observed rate" fill="#f59e0b" isAnimationActive={false} />
+          </ComposedChart>
+        </ChartCard>
+        <ChartCard title="Referral volume vs captured claims and losses">
+          <LineChart data={tradeoff.curve}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis type="number" dataKey="referredPct" domain={[0, 1]} tickFormatter={(v) => `${Math.round(v * 100)}%`} />
+            <YAxis type="number" domain={[0, 1]} tickFormatter={(v) => `${Math.round(v * 100)}%`} />
+            <Tooltip formatter={(v) => pct(v)} labelFormatter={(v) => `Referred ${pct(v)}`} />
+            <Legend />
+            <Line dataKey="claimsPct" name="Claims captured" stroke="#6366f1" dot={false} isAnimationActive={false} />
+            <Line dataKey="lossPct" name="Losses captured" stroke="#ef4444" dot={false} isAnimationActive={false} />
+            <ReferenceDot x={here.referredPct} y={here.lossPct} r={5} fill="#ef4444" stroke="none" />
+          </LineChart>
+        </ChartCard>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,52 @@
+import React, { useState } from "react";
+import { SOURCE_ACCEPT } from "../lib/sources.js";
+
+/**
+ * File picker with drag-and-drop
+ * ------------------------------
+ * A labelled upload input that also takes a file dropped anywhere on it. Any upload format
+ * (lib/sources.js) is accepted; the input is cleared after each pick so the same file can be
+ * uploaded again.
+ */
+export default function FileDrop({ label, hint = "CSV, XLSX, JSON or GeoJSON — or drop a file here", accept = SOURCE_ACCEPT, onFile }) {
+  const [over, setOver] = useState(false);
+
+  const onDrop = (e) => {
+    e.preventDefault();
+    setOver(false);
+    const file = e.dataTransfer.files[0];
+    if (file) onFile(file);
+  };
+
+  return (
+    <div
+      onDragOver={(e) => {
+        e.preventDefault();
+        setOver(true);
+      }}
+      onDragLeave={() => setOver(false)}
+      onDrop={onDrop}
+      style={{
+        display: "flex",
+        flexDirection: "column",
+        gap: 6,
+        padding: 10,
+        borderRadius: 12,
+        border: `1px dashed ${over ? "#38bdf8" : "#475569"}`,
+        background: over ? "rgba(56,189,248,.12)" : "transparent",
+      }}
+    >
+      <label>{label}</label>
+      <input
+        type="file"
+        accept={accept}
+        onChange={(e) => {
+          const file = e.target.files[0];
+          if (file) onFile(file);
+          e.target.value = "";
+        }}
+      />
+      <span style={{ fontSize: 11, opacity: 0.7 }}>{hint}</span>
+    </div>
+  );
+}
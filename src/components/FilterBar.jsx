@@ -0,0 +1,74 @@
+import React, { useState } from "react";
+import { EMPTY_CROSSFILTER, hasCrossfilter } from "../lib/filters.js";
+
+/**
+ * Active cross-filters
+ * --------------------
+ * Sticky strip listing every active filter (chart bars, slicers, map area) and the selected
+ * company as removable chips. The filters live in the URL, so "Copy link" shares this exact view;
+ * when the clipboard is unavailable or refused, the link is shown to copy by hand.
+ */
+
+const chip = { display: "inline-flex", alignItems: "center", gap: 6, background: "#e0f2fe", color: "#0c4a6e", borderRadius: 999, padding: "2px 4px 2px 10px", fontSize: 13 };
+const x = { border: "none", background: "transparent", cursor: "pointer", color: "inherit", padding: "0 4px", fontSize: 14 };
+
+const LIST_LABELS = { industries: "Industry", geos: "Geo", bands: "Band" };
+
+function Chip({ label, onRemove }) {
+  return (
+    <span style={chip}>
+      {label}
+      <button onClick={onRemove} aria-label={`Remove ${label}`} style={x}>✕</button>
+    </span>
+  );
+}
+
+export default function FilterBar({ filters, onChange, selected, onClearSelected, total, shown }) {
+  const [copy, setCopy] = useState(null); // null | "copied" | "failed"
+  if (!hasCrossfilter(filters) && !selected) return null;
+
+  const copyLink = () => {
+    const write = navigator.clipboard?.writeText(window.location.href) ?? Promise.reject(new Error("Clipboard unavailable"));
+    write
+      .then(() => {
+        setCopy("copied");
+        setTimeout(() => setCopy((c) => (c === "copied" ? null : c)), 1500);
+      })
+      .catch(() => setCopy("failed"));
+  };
+  const fmt = (n) => n.toFixed(2);
+
+  return (
+    <div style={{ position: "sticky", top: 8, zIndex: 1500, display: "flex", flexWrap: "wrap", gap: 8, alignItems: "center", background: "#fff", color: "#0f172a", borderRadius: 12, padding: "8px 12px", marginBottom: 24, boxShadow: "0 8px 24px rgba(0,0,0,.15)" }}>
+      <strong style={{ fontSize: 13 }}>
+        Showing {shown} of {total} companies
+      </strong>
+      {Object.entries(LIST_LABELS).map(([k, label]) =>
+        filters[k].map((v) => <Chip key={`${k}:${v}`} label={`${label}: ${v}`} onRemove={() => onChange({ ...filters, [k]: filters[k].filter((y) => y !== v) })} />)
+      )}
+      {filters.bbox && (
+        <Chip
+          label={`Area: ${fmt(filters.bbox[1])}…${fmt(filters.bbox[3])}°N, ${fmt(filters.bbox[0])}…${fmt(filters.bbox[2])}°E`}
+          onRemove={() => onChange({ ...filters, bbox: null })}
+        />
+      )}
+      {selected && <Chip label={`Selected: ${selected}`} onRemove={onClearSelected} />}
+      <span style={{ flex: 1 }} />
+      {copy === "failed" && (
+        <input
+          readOnly
+          aria-label="Link to copy"
+          value={window.location.href}
+          onFocus={(e) => e.target.select()}
+          style={{ minWidth: 220, padding: "4px 8px", borderRadius: 8, border: "1px solid #f59e0b", fontSize: 12 }}
+        />
+      )}
+      <button onClick={copyLink} style={{ borderRadius: 8, padding: "4px 10px" }}>
+        {copy === "copied" ? "Copied!" : copy === "failed" ? "Copy failed" : "Copy link"}
+      </button>
+      {hasCrossfilter(filters) && (
+        <button onClick={() => onChange(EMPTY_CROSSFILTER)} style={{ borderRadius: 8, padding: "4px 10px" }}>Clear filters</button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,379 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import L from "leaflet";
+import "leaflet/dist/leaflet.css";
+import Supercluster from "supercluster";
+import { loadCountryBoundaries } from "../lib/boundaries.js";
+import { escapeHtml } from "../lib/html.js";
+import { centroidLabel, spreadCentroidPoints } from "../lib/spatial.js";
+import { companyKey } from "../lib/portfolio.js";
+
+/**
+ * LeafletVanillaMap (bundled Leaflet, no react-leaflet)
+ * -----------------------------------------------------
+ * - Leaflet JS/CSS ship with the app bundle; no CDN needed.
+ * - Basemap tiles come from a configurable URL; if none load, the map switches to the
+ *   bundled country outlines and shows a visible notice instead of a dark box.
+ * - Overlays: company markers and a country choropleth (colors/legend supplied by the parent).
+ *   If the bundled boundaries fail to load, the choropleth and outline layers are withdrawn with a notice.
+ * - Markers render on canvas and can be clustered (count + avg/max EHEI per cluster). Centroid-placed
+ *   companies are spread on a spiral around their country / subdivision centroid and drawn
+ *   hollow/dashed. Without clustering the markers are drawn once per data change, not per pan/zoom.
+ * - Accumulation tool: with `accumulateMode`, clicking the map or a marker reports a center to the
+ *   parent, which passes back `accumulation` ({ center, radiusKm }) to draw.
+ * - `focus` (a company key) centers the map on that company, rings it and opens its popup.
+ * - Area selection: with `selectMode`, dragging draws a rectangle reported through `onSelectArea`
+ *   as [west, south, east, north]; the current `selection` is drawn until cleared.
+ * - `referrals` (company key -> triggered referral rules) are listed as badges in a point's popup,
+ *   looked up when the popup opens so rule edits don't redraw the markers.
+ */
+
+export const DEFAULT_TILE_URL = import.meta.env.VITE_TILE_URL || "https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png";
+const DEFAULT_ATTRIBUTION = import.meta.env.VITE_TILE_ATTRIBUTION || "&copy; OpenStreetMap contributors";
+
+const OUTLINE_STYLE = { color: "#475569", weight: 0.6, fillColor: "#1e293b", fillOpacity: 1 };
+const EMPTY_STYLE = { color: "#94a3b8", weight: 0.4, fillOpacity: 0, opacity: 0.4 };
+
+const notice = { background: "#fffbeb", color: "#78350f", border: "1px solid #f59e0b", borderRadius: 8, padding: "6px 10px", fontSize: 12 };
+
+const pct = (x) => `${Math.round(Number(x) * 100)}%`;
+
+function pointPopup(p, referrals = []) {
+  const where = centroidLabel(p.geo);
+  const placement = p.placement === "centroid" ? `${where[0].toUpperCase()}${where.slice(1)} (approximate)` : "Exact coordinates";
+  const badges = referrals
+    .map((r) => `<span style="display:inline-block;background:#fef3c7;color:#92400e;border:1px solid #fcd34d;border-radius:999px;padding:0 8px;margin:2px 4px 0 0;font-size:11px">${escapeHtml(r.name)}</span>`)
+    .join("");
+  return `<div style="min-width:180px"><strong>${escapeHtml(p.company)}</strong><br/>Industry: ${escapeHtml(p.industry)}<br/>EHEI: ${Number(p.EHEI).toFixed(2)}<br/>High Risk: ${String(p.is_high_risk) === "1" ? "Yes" : "No"}<br/>Placement: ${placement}${badges ? `<div style="margin-top:4px">${badges}</div>` : ""}</div>`;
+}
+
+function clusterIcon({ point_count: count, sum, max }, colorFor) {
+  const avg = sum / count;
+  const size = Math.round(28 + Math.min(28, 6 * Math.log2(count)));
+  const html =
+    `<div style="width:${size}px;height:${size}px;border-radius:50%;background:${colorFor(avg)};border:4px solid ${colorFor(max)};` +
+    `display:flex;align-items:center;justify-content:center;color:#0f172a;font:700 12px/1 system-ui;opacity:.9">${count}</div>`;
+  return L.divIcon({ html, className: "", iconSize: [size, size] });
+}
+
+function legendHtml(choropleth) {
+  const rows = choropleth.legend
+    .map((l) => `<div><span style="display:inline-block;width:12px;height:12px;margin-right:6px;background:${l.color}"></span>${l.label}</div>`)
+    .join("");
+  return `<div style="background:#fff;color:#0f172a;padding:8px 10px;border-radius:8px;font-size:12px;line-height:18px;box-shadow:0 2px 8px rgba(0,0,0,.2)"><strong>${choropleth.label}</strong>${rows}</div>`;
+}
+
+export default function LeafletVanillaMap({
+  points,
+  colorFor,
+  choropleth,
+  tileUrl = DEFAULT_TILE_URL,
+  cluster = false,
+  accumulateMode = false,
+  accumulation = null,
+  onAccumulate,
+  focus = null,
+  referrals = new Map(),
+  selectMode = false,
+  selection = null,
+  onSelectArea,
+  height = 420,
+}) {
+  const mapRef = useRef(null); // container div
+  const leafletMap = useRef(null);
+  const markersLayer = useRef(null);
+  const tileLayer = useRef(null);
+  const outlineLayer = useRef(null);
+  const choroplethLayer = useRef(null);
+  const legendControl = useRef(null);
+  const legendDiv = useRef(null);
+  const accumulationLayer = useRef(null);
+  const focusLayer = useRef(null);
+  const selectionLayer = useRef(null);
+  const renderMarkers = useRef(() => {});
+  const handlers = useRef({});
+  handlers.current = { accumulateMode, onAccumulate, selectMode, onSelectArea, referrals };
+  const [boundaries, setBoundaries] = useState(null);
+  const [tileStatus, setTileStatus] = useState("loading"); // "loading" | "ok" | "failed"
+  const [boundaryError, setBoundaryError] = useState(null); // why the bundled boundaries did not load
+
+  // Init map + layer control once
+  useEffect(() => {
+    const map = L.map(mapRef.current, { center: [50, 10], zoom: 4, zoomControl: true, preferCanvas: true });
+    leafletMap.current = map;
+    tileLayer.current = L.tileLayer(tileUrl, { attribution: DEFAULT_ATTRIBUTION, maxZoom: 19 }).addTo(map);
+    map.createPane("outlines").style.zIndex = 250; // above tiles, below choropleth and markers
+    outlineLayer.current = L.layerGroup();
+    markersLayer.current = L.layerGroup().addTo(map);
+    choroplethLayer.current = L.layerGroup();
+    accumulationLayer.current = L.layerGroup().addTo(map);
+    focusLayer.current = L.layerGroup().addTo(map);
+    selectionLayer.current = L.layerGroup().addTo(map);
+    map.on("moveend", () => renderMarkers.current());
+    map.on("click", (e) => {
+      const { accumulateMode: active, onAccumulate: report } = handlers.current;
+      if (active && report) report({ lat: e.latlng.lat, lon: e.latlng.lng });
+    });
+
+    // Rectangle selection: primary-button press, drag, release (map panning is disabled while
+    // selecting). The release is heard on the document, so letting go outside the map still ends it.
+    let dragStart = null;
+    let dragRect = null;
+    const endDrag = (ev) => {
+      document.removeEventListener("mouseup", endDrag);
+      if (map.getContainer().contains(ev.target)) dragRect.setBounds(L.latLngBounds(dragStart, map.mouseEventToLatLng(ev)));
+      const b = dragRect.getBounds();
+      map.removeLayer(dragRect);
+      dragStart = dragRect = null;
+      const { onSelectArea: report } = handlers.current;
+      if (report && !b.getNorthEast().equals(b.getSouthWest())) report([b.getWest(), b.getSouth(), b.getEast(), b.getNorth()]);
+    };
+    map.on("mousedown", (e) => {
+      if (!handlers.current.selectMode || e.originalEvent.button !== 0 || dragStart) return;
+      dragStart = e.latlng;
+      dragRect = L.rectangle(L.latLngBounds(dragStart, dragStart), { color: "#0ea5e9", weight: 2, dashArray: "4 3", fillOpacity: 0.08, interactive: false }).addTo(map);
+      document.addEventListener("mouseup", endDrag);
+    });
+    map.on("mousemove", (e) => dragStart && dragRect.setBounds(L.latLngBounds(dragStart, e.latlng)));
+
+    legendDiv.current = L.DomUtil.create("div");
+    legendControl.current = L.control({ position: "bottomright" });
+    legendControl.current.onAdd = () => legendDiv.current;
+    map.on("overlayadd", (e) => e.layer === choroplethLayer.current && legendControl.current.addTo(map));
+    map.on("overlayremove", (e) => e.layer === choroplethLayer.current && legendControl.current.remove());
+
+    const layersControl = L.control
+      .layers(
+        { "Basemap tiles": tileLayer.current, "Country outlines (offline)": outlineLayer.current },
+        { Companies: markersLayer.current, "Country choropleth": choroplethLayer.current },
+        { collapsed: false }
+      )
+      .addTo(map);
+
+    // Without boundaries the choropleth and the offline outlines have nothing to draw: take them
+    // out of the layer control and say so on the map
+    let cancelled = false;
+    loadCountryBoundaries()
+      .then((fc) => !cancelled && setBoundaries(fc))
+      .catch((err) => {
+        if (cancelled) return;
+        [choroplethLayer.current, outlineLayer.current].forEach((layer) => {
+          layersControl.removeLayer(layer);
+          map.removeLayer(layer);
+        });
+        legendControl.current.remove();
+        setBoundaryError(err?.message || String(err));
+      });
+
+    return () => {
+      cancelled = true;
+      document.removeEventListener("mouseup", endDrag);
+      map.remove();
+      leafletMap.current = null;
+    };
+  }, []);
+
+  // Tile URL (re)configuration + failure detection: any loaded tile means the basemap works
+  useEffect(() => {
+    const map = leafletMap.current;
+    const layer = tileLayer.current;
+    if (!map || !layer) return;
+    let loaded = 0;
+    let failed = 0;
+    setTileStatus("loading");
+    const onLoad = () => {
+      loaded += 1;
+      setTileStatus("ok");
+    };
+    const onError = () => {
+      failed += 1;
+      if (!loaded && failed >= 4) setTileStatus("failed");
+    };
+    layer.on("tileload", onLoad);
+    layer.on("tileerror", onError);
+    layer.setUrl(tileUrl);
+    if (!map.hasLayer(layer)) {
+      map.removeLayer(outlineLayer.current);
+      layer.addTo(map);
+    }
+    return () => {
+      layer.off("tileload", onLoad);
+      layer.off("tileerror", onError);
+    };
+  }, [tileUrl]);
+
+  // Fall back to the bundled outlines when tiles are unreachable
+  useEffect(() => {
+    const map = leafletMap.current;
+    if (!map || tileStatus !== "failed") return;
+    map.removeLayer(tileLayer.current);
+    outlineLayer.current.addTo(map);
+  }, [tileStatus]);
+
+  // Build the outline + choropleth geometry once boundaries arrive
+  useEffect(() => {
+    if (!boundaries) return;
+    outlineLayer.current.clearLayers().addLayer(L.geoJSON(boundaries, { style: OUTLINE_STYLE, interactive: false, pane: "outlines" }));
+  }, [boundaries]);
+
+  // Restyle the choropleth whenever the aggregated data or metric changes
+  useEffect(() => {
+    const map = leafletMap.current;
+    if (!map || !boundaries || !choropleth) return;
+    const { byIso2, metric, color } = choropleth;
+    const layer = L.geoJSON(boundaries, {
+      style: (f) => {
+        const d = byIso2.get(f.properties.iso2);
+        if (!d) return EMPTY_STYLE;
+        return { color: "#334155", weight: 0.6, fillColor: color(d[metric]), fillOpacity: 0.6 };
+      },
+      onEachFeature: (f, l) => {
+        const d = byIso2.get(f.properties.iso2);
+        if (!d) return;
+        l.bindTooltip(
+          `<strong>${f.properties.name}</strong><br/>Companies: ${d.companies}<br/>Avg EHEI: ${Number(d.avg_EHEI).toFixed(2)}<br/>High-risk share: ${pct(d.pct_high_risk)}`
+        );
+      },
+    });
+    choroplethLayer.current.clearLayers().addLayer(layer);
+    layer.bringToBack();
+
+    legendDiv.current.innerHTML = legendHtml(choropleth);
+  }, [boundaries, choropleth]);
+
+  // Display positions: centroid-placed points spread around their centroid
+  const display = useMemo(
+    () => spreadCentroidPoints(points.filter((p) => Number.isFinite(p.lat) && Number.isFinite(p.lon))),
+    [points]
+  );
+
+  const clusterIndex = useMemo(() => {
+    if (!cluster) return null;
+    const index = new Supercluster({
+      radius: 60,
+      maxZoom: 16,
+      map: (p) => ({ sum: Number(p.EHEI) || 0, max: Number(p.EHEI) || 0 }),
+      reduce: (acc, p) => {
+        acc.sum += p.sum;
+        acc.max = Math.max(acc.max, p.max);
+      },
+    });
+    index.load(display.map((p, i) => ({ type: "Feature", properties: { ...p, i }, geometry: { type: "Point", coordinates: [p.dlon, p.dlat] } })));
+    return index;
+  }, [display, cluster]);
+
+  // Draw markers, or the clusters for the current viewport; only clusters re-run on pan/zoom
+  // (`moveend`), plain markers stay in place
+  useEffect(() => {
+    const draw = () => {
+      const map = leafletMap.current;
+      if (!map || !markersLayer.current) return;
+      markersLayer.current.clearLayers();
+      const drawPoint = (p) => {
+        const color = colorFor(p.EHEI);
+        const centroid = p.placement === "centroid";
+        L.circleMarker([p.dlat, p.dlon], {
+          radius: Math.max(6, Math.round(12 * Number(p.EHEI))),
+          color,
+          fillColor: color,
+          fillOpacity: centroid ? 0.25 : 0.7,
+          weight: centroid ? 2 : 1,
+          dashArray: centroid ? "4 3" : null,
+        })
+          .bindPopup(() => pointPopup(p, handlers.current.referrals.get(companyKey(p))))
+          .on("click", (e) => {
+            const { accumulateMode: active, onAccumulate: report } = handlers.current;
+            if (!active || !report) return;
+            L.DomEvent.stopPropagation(e); // accumulate around the company, not the click position
+            report({ lat: p.lat, lon: p.lon });
+          })
+          .addTo(markersLayer.current);
+      };
+      if (!clusterIndex) return display.forEach(drawPoint);
+
+      const b = map.getBounds();
+      const zoom = Math.round(map.getZoom());
+      clusterIndex.getClusters([b.getWest(), b.getSouth(), b.getEast(), b.getNorth()], zoom).forEach((f) => {
+        const [lon, lat] = f.geometry.coordinates;
+        if (!f.properties.cluster) return drawPoint(display[f.properties.i]);
+        const { point_count: count, sum, max } = f.properties;
+        L.marker([lat, lon], { icon: clusterIcon(f.properties, colorFor) })
+          .bindTooltip(`${count} companies<br/>Avg EHEI: ${(sum / count).toFixed(2)}<br/>Max EHEI: ${max.toFixed(2)}`)
+          .on("click", () => map.setView([lat, lon], Math.min(clusterIndex.getClusterExpansionZoom(f.properties.cluster_id), 18)))
+          .addTo(markersLayer.current);
+      });
+    };
+    renderMarkers.current = clusterIndex ? draw : () => {};
+    draw();
+  }, [display, clusterIndex, colorFor]);
+
+  // Which companies are on the map, regardless of order, scores or tags: re-scoring, stress
+  // shocks or a rule edit keep the user's pan / zoom, a different set of companies refits
+  const companySet = useMemo(() => display.map(companyKey).sort().join("\n"), [display]);
+
+  // Fit the view when the set of companies changes
+  useEffect(() => {
+    if (!leafletMap.current || !display.length) return;
+    leafletMap.current.fitBounds(display.map((p) => [p.dlat, p.dlon]), { padding: [24, 24] });
+  }, [companySet]);
+
+  // Center on the focused company (after any refit above, so it wins)
+  useEffect(() => {
+    const map = leafletMap.current;
+    const layer = focusLayer.current;
+    if (!map || !layer) return;
+    layer.clearLayers();
+    const p = focus && display.find((d) => companyKey(d) === focus);
+    if (!p) return;
+    map.setView([p.dlat, p.dlon], Math.max(map.getZoom(), 8));
+    L.circleMarker([p.dlat, p.dlon], { radius: 16, color: "#0ea5e9", weight: 3, fill: false, interactive: false }).addTo(layer);
+    L.popup({ offset: [0, -8] }).setLatLng([p.dlat, p.dlon]).setContent(pointPopup(p, handlers.current.referrals.get(focus))).openOn(map);
+  }, [focus, companySet]);
+
+  // Accumulation circle
+  useEffect(() => {
+    const layer = accumulationLayer.current;
+    if (!layer) return;
+    layer.clearLayers();
+    if (!accumulation) return;
+    const { center, radiusKm } = accumulation;
+    L.circle([center.lat, center.lon], { radius: radiusKm * 1000, color: "#6366f1", weight: 2, fillOpacity: 0.08, interactive: false }).addTo(layer);
+    L.circleMarker([center.lat, center.lon], { radius: 3, color: "#6366f1", fillOpacity: 1, interactive: false }).addTo(layer);
+  }, [accumulation]);
+
+  // Selected area
+  useEffect(() => {
+    const layer = selectionLayer.current;
+    if (!layer) return;
+    layer.clearLayers();
+    if (!selection) return;
+    const [w, s, e, n] = selection;
+    L.rectangle([[s, w], [n, e]], { color: "#0ea5e9", weight: 2, fillOpacity: 0.06, interactive: false }).addTo(layer);
+  }, [selection]);
+
+  useEffect(() => {
+    const map = leafletMap.current;
+    if (map) map.dragging[selectMode ? "disable" : "enable"]();
+    if (mapRef.current) mapRef.current.style.cursor = accumulateMode || selectMode ? "crosshair" : "";
+  }, [accumulateMode, selectMode]);
+
+  return (
+    <div style={{ position: "relative" }}>
+      <div ref={mapRef} style={{ width: "100%", height, borderRadius: 12, overflow: "hidden", background: "#0b1220" }} />
+      {(tileStatus === "failed" || boundaryError) && (
+        <div style={{ position: "absolute", top: 10, left: 56, right: 200, zIndex: 1000, display: "flex", flexDirection: "column", gap: 6 }}>
+          {tileStatus === "failed" && (
+            <div style={notice}>
+              Basemap tiles could not be loaded from <code>{tileUrl}</code>.{" "}
+              {boundaryError ? "The bundled country outlines are unavailable too" : "Showing bundled country outlines instead"} — set a reachable tile URL below.
+            </div>
+          )}
+          {boundaryError && (
+            <div style={notice}>
+              Country boundaries could not be loaded ({boundaryError}), so the country choropleth is unavailable. Company markers still work.
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
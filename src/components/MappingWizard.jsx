@@ -0,0 +1,165 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { tableFromGrid } from "../lib/csv.js";
+import { SCHEMAS, duplicateTargets, missingColumns } from "../lib/mapping.js";
+import { describeSource } from "../lib/sources.js";
+
+/**
+ * Column-mapping wizard
+ * ---------------------
+ * Modal step between reading an upload and ingesting it: pick the workbook sheet, map each source
+ * header to a schema column (or ignore it) with sample values alongside, and check a preview of
+ * the mapped rows. Import stays disabled until the required columns are mapped; the mapping can be
+ * remembered for files with the same headers. Escape or Cancel leaves the current data untouched.
+ * The parent re-keys the wizard per sheet, so a new sheet starts from its own first guess.
+ */
+
+const th = { textAlign: "left", padding: 6, borderBottom: "1px solid #e5e7eb", fontSize: 12 };
+const td = { padding: 6, borderBottom: "1px solid #f1f5f9", fontSize: 13 };
+const input = { padding: 6, borderRadius: 8, border: "1px solid #cbd5e1" };
+const SAMPLE_ROWS = 3;
+const PREVIEW_ROWS = 5;
+
+export default function MappingWizard({ source, kind, initialMapping, saved, onSheet, onCancel, onImport }) {
+  const [mapping, setMapping] = useState(initialMapping);
+  const [remember, setRemember] = useState(true);
+  const schema = SCHEMAS[kind];
+
+  useEffect(() => {
+    const onKey = (e) => e.key === "Escape" && onCancel();
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [onCancel]);
+
+  const headers = Object.keys(mapping);
+  const missing = missingColumns(mapping, kind);
+  const duplicates = duplicateTargets(mapping);
+  const samples = (i) =>
+    source.body
+      .slice(0, SAMPLE_ROWS)
+      .map((r) => r.fields[i])
+      .filter((v) => v != null && String(v).trim() !== "");
+  const indexOf = useMemo(() => new Map(source.head.map((h, i) => [String(h).trim(), i])), [source]);
+
+  const mappedColumns = Object.keys(schema.fields).filter((c) => Object.values(mapping).includes(c));
+  const preview = useMemo(
+    () => tableFromGrid(source.head, source.body.slice(0, PREVIEW_ROWS), { delimiter: source.delimiter, mapping }).records,
+    [source, mapping]
+  );
+
+  return (
+    <div style={{ position: "fixed", inset: 0, zIndex: 2100, background: "rgba(15,23,42,.55)", display: "flex", alignItems: "center", justifyContent: "center", padding: 16 }}>
+      <div
+        role="dialog"
+        aria-label="Map columns"
+        style={{ background: "#fff", color: "#0f172a", borderRadius: 16, padding: 20, width: "min(880px, 100%)", maxHeight: "90vh", overflowY: "auto", boxShadow: "0 8px 24px rgba(0,0,0,.3)" }}
+      >
+        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "flex-start", gap: 12 }}>
+          <div>
+            <h3 style={{ margin: 0 }}>Map columns — {schema.label}</h3>
+            <div style={{ fontSize: 13, color: "#64748b" }}>
+              {source.file} · {describeSource(source)} · {source.body.length} rows
+            </div>
+          </div>
+          <button onClick={onCancel} aria-label="Close" style={{ borderRadius: 8 }}>✕</button>
+        </div>
+
+        {source.sheets.length > 1 && (
+          <label style={{ display: "block", margin: "12px 0", fontSize: 14 }}>
+            Sheet{" "}
+            <select value={source.sheet} onChange={(e) => onSheet(e.target.value)} style={input}>
+              {source.sheets.map((s) => (
+                <option key={s} value={s}>{s}</option>
+              ))}
+            </select>
+          </label>
+        )}
+        {saved && (
+          <p style={{ fontSize: 13, color: "#334155" }}>
+            Using the mapping saved from {saved.source || "an earlier upload"} on {saved.savedAt.slice(0, 10)}.
+          </p>
+        )}
+
+        {headers.length ? (
+          <table style={{ width: "100%", borderCollapse: "collapse", margin: "12px 0" }}>
+            <thead>
+              <tr style={{ background: "#f8fafc" }}>
+                <th style={th}>Column in file</th>
+                <th style={th}>Sample values</th>
+                <th style={th}>Maps to</th>
+              </tr>
+            </thead>
+            <tbody>
+              {headers.map((h) => (
+                <tr key={h}>
+                  <td style={{ ...td, fontFamily: "ui-monospace, monospace" }}>{h}</td>
+                  <td style={{ ...td, color: "#64748b", maxWidth: 260, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>
+                    {samples(indexOf.get(h)).join(" · ") || "—"}
+                  </td>
+                  <td style={td}>
+                    <select
+                      value={mapping[h]}
+                      onChange={(e) => setMapping((m) => ({ ...m, [h]: e.target.value }))}
+                      style={{ ...input, borderColor: duplicates.includes(mapping[h]) ? "#f59e0b" : "#cbd5e1", color: mapping[h] ? "#0f172a" : "#94a3b8" }}
+                    >
+                      <option value="">— ignore —</option>
+                      {Object.entries(schema.fields).map(([col, label]) => (
+                        <option key={col} value={col}>
+                          {col} · {label}
+                        </option>
+                      ))}
+                    </select>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        ) : (
+          <p style={{ color: "#b91c1c", fontSize: 14 }}>No header row found{source.sheet ? ` on sheet "${source.sheet}"` : ""}.</p>
+        )}
+
+        {(missing.length > 0 || duplicates.length > 0) && (
+          <div style={{ background: "#fffbeb", border: "1px solid #f59e0b", color: "#78350f", borderRadius: 12, padding: 10, marginBottom: 12, fontSize: 13 }}>
+            {missing.length > 0 && <div>Still needed: {missing.join("; ")}.</div>}
+            {duplicates.length > 0 && <div>Mapped from more than one column (the first non-empty value wins): {duplicates.join(", ")}.</div>}
+          </div>
+        )}
+
+        {mappedColumns.length > 0 && preview.length > 0 && (
+          <>
+            <h4 style={{ margin: "0 0 6px" }}>Preview</h4>
+            <div style={{ overflowX: "auto", marginBottom: 12 }}>
+              <table style={{ borderCollapse: "collapse" }}>
+                <thead>
+                  <tr style={{ background: "#f8fafc" }}>
+                    {mappedColumns.map((c) => (
+                      <th key={c} style={th}>{c}</th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {preview.map(({ line, row }) => (
+                    <tr key={line}>
+                      {mappedColumns.map((c) => (
+                        <td key={c} style={{ ...td, whiteSpace: "nowrap" }}>{row[c]}</td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </>
+        )}
+
+        <div style={{ display: "flex", gap: 12, alignItems: "center", flexWrap: "wrap", justifyContent: "flex-end" }}>
+          <label style={{ fontSize: 14, marginRight: "auto" }}>
+            <input type="checkbox" checked={remember} onChange={(e) => setRemember(e.target.checked)} /> Remember this mapping for files with these columns
+          </label>
+          <button onClick={onCancel} style={{ padding: "6px 10px", borderRadius: 8 }}>Cancel</button>
+          <button onClick={() => onImport(mapping, remember)} disabled={missing.length > 0} style={{ padding: "6px 14px", borderRadius: 8, fontWeight: 600 }}>
+            Import {source.body.length} rows
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,42 @@
+import React, { useEffect, useState } from "react";
+
+/**
+ * Number input with a draft
+ * -------------------------
+ * Keeps what the user is typing ("", "-", "0.") as text and only calls `onChange` with a
+ * finite number inside [`min`, `max`] (when given). An out-of-range draft is outlined as invalid
+ * and not committed. On blur an unfinished, empty or out-of-range entry snaps back to the last
+ * committed value, so clearing the field to retype never zeroes a weight or drops a shock midway.
+ */
+export default function NumberInput({ value, onChange, min, max, style, ...props }) {
+  const [draft, setDraft] = useState(String(value));
+
+  // Follow outside changes (reset, scenario load) unless the draft already says the same number
+  useEffect(() => {
+    setDraft((d) => (d.trim() !== "" && Number(d) === Number(value) ? d : String(value)));
+  }, [value]);
+
+  const inRange = (n) => (min == null || n >= min) && (max == null || n <= max);
+  const n = Number(draft);
+  const invalid = draft.trim() !== "" && Number.isFinite(n) && !inRange(n);
+
+  return (
+    <input
+      type="number"
+      {...props}
+      min={min}
+      max={max}
+      value={draft}
+      aria-invalid={invalid || undefined}
+      title={invalid ? `Enter a value from ${min ?? "−∞"} to ${max ?? "∞"}` : props.title}
+      style={invalid ? { ...style, outline: "2px solid #ef4444" } : style}
+      onChange={(e) => {
+        const text = e.target.value;
+        setDraft(text);
+        const next = Number(text);
+        if (text.trim() !== "" && Number.isFinite(next) && inRange(next)) onChange(next);
+      }}
+      onBlur={() => setDraft(String(value))}
+    />
+  );
+}
@@ -0,0 +1,81 @@
+import React, { useMemo } from "react";
+import { DRIVER_LABELS, ESG_DRIVERS } from "../lib/ehei.js";
+import { peerProfile } from "../lib/benchmark.js";
+import { GROUP_KEYS, groupValue } from "../lib/portfolio.js";
+
+/**
+ * Peer comparison
+ * ---------------
+ * One company against the distribution of its industry or geo peers on EHEI and every raw
+ * driver: a strip per metric (p10–p90 line, interquartile box, median tick) with the company
+ * marked, plus its percentile. Each strip has its own scale, since drivers use different units.
+ */
+
+const th = { textAlign: "left", padding: 8, borderBottom: "1px solid #e5e7eb", fontSize: 13 };
+const td = { padding: 8, borderBottom: "1px solid #f1f5f9", fontSize: 13 };
+const W = 260;
+const H = 24;
+
+const ordinal = (n) => {
+  const s = ["th", "st", "nd", "rd"];
+  const v = n % 100;
+  return `${n}${s[(v - 20) % 10] || s[v] || s[0]}`;
+};
+const fmt = (x) => (Math.abs(x) >= 100 ? x.toFixed(0) : Math.abs(x) >= 10 ? x.toFixed(1) : x.toFixed(2));
+
+function Strip({ row }) {
+  const lo = Math.min(row.min, row.value);
+  const hi = Math.max(row.max, row.value);
+  const x = (v) => 6 + ((v - lo) / (hi - lo || 1)) * (W - 12);
+  // High ESG pillars mitigate, so their "bad" tail is the low end
+  const risk = ESG_DRIVERS.includes(row.metric) ? 100 - row.percentile : row.percentile;
+  const color = risk >= 75 ? "#ef4444" : risk <= 25 ? "#22c55e" : "#6366f1";
+  return (
+    <svg width={W} height={H} role="img" aria-label={`${row.metric}: ${fmt(row.value)} vs peer median ${fmt(row.median)}`}>
+      <line x1={x(row.p10)} x2={x(row.p90)} y1={H / 2} y2={H / 2} stroke="#94a3b8" strokeWidth={2} />
+      <rect x={x(row.q1)} y={5} width={Math.max(1, x(row.q3) - x(row.q1))} height={H - 10} fill="#e2e8f0" stroke="#64748b" />
+      <line x1={x(row.median)} x2={x(row.median)} y1={5} y2={H - 5} stroke="#0f172a" strokeWidth={2} />
+      <circle cx={x(row.value)} cy={H / 2} r={5} fill={color} stroke="#0f172a" />
+    </svg>
+  );
+}
+
+export default function PeerComparison({ company, rows, peerKey }) {
+  const profile = useMemo(() => peerProfile(company, rows, peerKey), [company, rows, peerKey]);
+  const group = groupValue(company, peerKey);
+
+  return (
+    <div>
+      <div style={{ fontSize: 14, marginBottom: 8 }}>
+        <strong>{company.company}</strong> vs {GROUP_KEYS[peerKey].toLowerCase()} peers <strong>{group}</strong> ({profile[0]?.n ?? 0} companies)
+      </div>
+      <table style={{ borderCollapse: "collapse" }}>
+        <thead>
+          <tr style={{ background: "#f8fafc" }}>
+            <th style={th}>Metric</th>
+            <th style={th}>Company</th>
+            <th style={th}>Peer median</th>
+            <th style={th}>Distribution (p10–p90, IQR, median)</th>
+            <th style={th}>Percentile</th>
+          </tr>
+        </thead>
+        <tbody>
+          {profile.map((r) => (
+            <tr key={r.metric}>
+              <td style={td}>{r.metric === "EHEI" ? "EHEI" : DRIVER_LABELS[r.metric]}</td>
+              <td style={td}>{fmt(r.value)}</td>
+              <td style={td}>{fmt(r.median)}</td>
+              <td style={td}>
+                <Strip row={r} />
+              </td>
+              <td style={td}>{ordinal(Math.round(r.percentile))}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {profile.length === 1 && (
+        <p style={{ fontSize: 12, color: "#64748b" }}>Driver comparisons appear when the companies file includes the raw driver columns.</p>
+      )}
+    </div>
+  );
+}
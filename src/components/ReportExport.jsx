@@ -0,0 +1,67 @@
+import React, { useState } from "react";
+import { exportRows, reportHtml } from "../lib/report.js";
+import { toCSV } from "../lib/csv.js";
+import { downloadFile } from "../lib/download.js";
+
+/**
+ * Report export
+ * -------------
+ * One-click, client-side exports of the current filtered view: a self-contained HTML report
+ * (also printable to PDF from the browser's print dialog) and the company rows as CSV / JSON.
+ * `buildReport` resolves to the data for lib/report.js at click time, so it always matches the screen.
+ */
+
+const btn = { padding: "6px 10px", borderRadius: 8 };
+
+export default function ReportExport({ buildReport, rows, fileBase }) {
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const run = async (fn) => {
+    setBusy(true);
+    setError(null);
+    try {
+      await fn();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const downloadHtml = () => run(async () => downloadFile(`${fileBase}.html`, reportHtml(await buildReport()), "text/html"));
+
+  // The window is opened inside the click handler so pop-up blockers allow it
+  const printPdf = () => {
+    const win = window.open("", "_blank");
+    if (!win) return setError("Pop-up blocked — allow pop-ups for this page or use the HTML download and print that.");
+    return run(async () => {
+      try {
+        win.document.write(reportHtml(await buildReport()));
+      } catch (err) {
+        win.close();
+        throw err;
+      }
+      win.document.close();
+      win.focus();
+      win.print();
+    });
+  };
+
+  const downloadRows = (format) => {
+    const flat = exportRows(rows);
+    if (format === "csv") downloadFile(`${fileBase}.csv`, toCSV(flat.rows, flat.columns, { escapeFormulas: true }), "text/csv");
+    else downloadFile(`${fileBase}.json`, JSON.stringify(flat.rows, null, 2), "application/json");
+  };
+
+  return (
+    <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap", fontSize: 14 }}>
+      <button onClick={downloadHtml} disabled={busy} style={btn}>Download HTML report</button>
+      <button onClick={printPdf} disabled={busy} style={btn}>Print / save as PDF</button>
+      <button onClick={() => downloadRows("csv")} disabled={!rows.length} style={btn}>Rows as CSV ({rows.length})</button>
+      <button onClick={() => downloadRows("json")} disabled={!rows.length} style={btn}>Rows as JSON</button>
+      {busy && <span style={{ color: "#64748b" }}>Building report…</span>}
+      {error && <span style={{ color: "#b91c1c" }}>{error}</span>}
+    </div>
+  );
+}
@@ -0,0 +1,20 @@
+import React from "react";
+
+/**
+ * Referral-rule badges for one company (table rows, drawer, alerts list).
+ */
+
+export const badge = { display: "inline-block", background: "#fef3c7", color: "#92400e", border: "1px solid #fcd34d", borderRadius: 999, padding: "0 8px", fontSize: 11, lineHeight: "18px", whiteSpace: "nowrap" };
+
+export default function RuleBadges({ rules }) {
+  if (!rules?.length) return null;
+  return (
+    <span style={{ display: "inline-flex", flexWrap: "wrap", gap: 4, marginLeft: 6, verticalAlign: "middle" }}>
+      {rules.map((r) => (
+        <span key={r.id} style={badge} title={r.expr}>
+          {r.name}
+        </span>
+      ))}
+    </span>
+  );
+}
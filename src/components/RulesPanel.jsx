@@ -0,0 +1,167 @@
+import React, { useMemo, useState } from "react";
+import { DEFAULT_RULES, FLAGS, RULE_FIELDS, newRuleId, referralSummary, rulesFromJson, rulesToJson } from "../lib/rules.js";
+import { companyKey, isHigh } from "../lib/portfolio.js";
+import { toCSV } from "../lib/csv.js";
+import { downloadFile } from "../lib/download.js";
+import RuleBadges from "./RuleBadges.jsx";
+
+/**
+ * Referral rules & alerts
+ * -----------------------
+ * Rule editor (expressions from lib/rules.js, validated as you type), JSON import / export so
+ * a team shares one rule set, and the alerts watchlist: every company in view that triggers a
+ * rule, with counts per rule. The parent persists the rules and evaluates them once for the
+ * explorer, drawer and map badges.
+ */
+
+const MAX_ROWS = 200;
+
+const th = { textAlign: "left", padding: 8, borderBottom: "1px solid #e5e7eb", fontSize: 13 };
+const td = { padding: 8, borderBottom: "1px solid #f1f5f9", fontSize: 13 };
+const input = { padding: 6, borderRadius: 8, border: "1px solid #cbd5e1" };
+const btn = { padding: "6px 10px", borderRadius: 8 };
+
+export default function RulesPanel({ rules, onChange, errors, rows, hits, onSelect }) {
+  const [ruleFilter, setRuleFilter] = useState("all");
+  const [importErrors, setImportErrors] = useState([]);
+
+  const { referred, counts } = useMemo(() => referralSummary(rows, hits), [rows, hits]);
+  const shown = ruleFilter === "all" ? referred : referred.filter((r) => r.rules.some((x) => x.id === ruleFilter));
+
+  const update = (id, patch) => onChange(rules.map((r) => (r.id === id ? { ...r, ...patch } : r)));
+  const remove = (id) => onChange(rules.filter((r) => r.id !== id));
+
+  const onImport = async (file) => {
+    const { rules: parsed, errors: errs } = rulesFromJson(await file.text());
+    setImportErrors(errs);
+    if (parsed.length) onChange(parsed);
+  };
+
+  const exportReferrals = () => {
+    const out = shown.map(({ company: c, rules: rs }) => ({
+      company_id: c.company_id,
+      company: c.company,
+      industry: c.industry,
+      geo: c.geo,
+      EHEI: c.EHEI,
+      is_high_risk: isHigh(c) ? 1 : 0,
+      rules: rs.map((r) => r.name).join("; "),
+    }));
+    downloadFile("referrals.csv", toCSV(out, ["company_id", "company", "industry", "geo", "EHEI", "is_high_risk", "rules"], { escapeFormulas: true }), "text/csv");
+  };
+
+  return (
+    <div style={{ color: "#0f172a" }}>
+      <table style={{ width: "100%", borderCollapse: "collapse", marginBottom: 8 }}>
+        <thead>
+          <tr style={{ background: "#f8fafc" }}>
+            <th style={th}>On</th>
+            <th style={th}>Rule</th>
+            <th style={th}>Condition</th>
+            <th style={th}>Companies in view</th>
+            <th style={th} />
+          </tr>
+        </thead>
+        <tbody>
+          {rules.map((r) => (
+            <tr key={r.id}>
+              <td style={td}>
+                <input type="checkbox" checked={r.enabled} onChange={(e) => update(r.id, { enabled: e.target.checked })} aria-label={`Enable ${r.name}`} />
+              </td>
+              <td style={td}>
+                <input value={r.name} onChange={(e) => update(r.id, { name: e.target.value })} style={{ ...input, width: 200 }} />
+              </td>
+              <td style={td}>
+                <input
+                  value={r.expr}
+                  onChange={(e) => update(r.id, { expr: e.target.value })}
+                  style={{ ...input, width: "100%", minWidth: 280, fontFamily: "ui-monospace, monospace", borderColor: errors.has(r.id) ? "#ef4444" : "#cbd5e1" }}
+                />
+                {errors.has(r.id) && <div style={{ color: "#b91c1c", fontSize: 12, marginTop: 4 }}>{errors.get(r.id)}</div>}
+              </td>
+              <td style={td}>{r.enabled && !errors.has(r.id) ? counts.get(r.id) || 0 : "—"}</td>
+              <td style={td}>
+                <button onClick={() => remove(r.id)}>Remove</button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <p style={{ fontSize: 12, color: "#64748b", margin: "0 0 8px" }}>
+        Join conditions with <code>and</code>; quote a value that contains <code>and</code> or commas (<code>company = "Johnson and Johnson"</code>). Fields: {RULE_FIELDS.map((f) => <code key={f} style={{ marginRight: 6 }}>{f}</code>)} — flags: {Object.keys(FLAGS).map((f) => <code key={f} style={{ marginRight: 6 }}>{f}</code>)}
+      </p>
+
+      <div style={{ display: "flex", gap: 12, alignItems: "center", flexWrap: "wrap", marginBottom: 12, fontSize: 14 }}>
+        <button onClick={() => onChange([...rules, { id: newRuleId(), name: "New rule", expr: "EHEI >= 0.8", enabled: true }])} style={btn}>Add rule</button>
+        <button onClick={() => onChange(DEFAULT_RULES)} style={btn}>Reset to examples</button>
+        <button onClick={() => downloadFile("referral-rules.json", rulesToJson(rules), "application/json")} disabled={!rules.length} style={btn}>Export JSON</button>
+        <label>
+          Import JSON{" "}
+          <input type="file" accept=".json,application/json" onChange={(e) => e.target.files[0] && onImport(e.target.files[0])} />
+        </label>
+      </div>
+      {importErrors.length > 0 && (
+        <div style={{ background: "#fffbeb", border: "1px solid #f59e0b", color: "#78350f", borderRadius: 12, padding: 10, marginBottom: 12, fontSize: 13 }}>
+          <strong>Import issues</strong>
+          <ul style={{ margin: "4px 0 0", paddingLeft: 18 }}>
+            {importErrors.map((e) => (
+              <li key={e}>{e}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <div style={{ display: "flex", gap: 12, alignItems: "center", flexWrap: "wrap", margin: "16px 0 8px" }}>
+        <h4 style={{ margin: 0 }}>
+          Alerts — {referred.length} referral{referred.length === 1 ? "" : "s"} of {rows.length} companies in view
+        </h4>
+        <select value={ruleFilter} onChange={(e) => setRuleFilter(e.target.value)} style={input}>
+          <option value="all">All rules</option>
+          {rules
+            .filter((r) => r.enabled && !errors.has(r.id))
+            .map((r) => (
+              <option key={r.id} value={r.id}>
+                {r.name} ({counts.get(r.id) || 0})
+              </option>
+            ))}
+        </select>
+        <button onClick={exportReferrals} disabled={!shown.length} style={btn}>Download watchlist CSV</button>
+      </div>
+      {shown.length ? (
+        <div style={{ maxHeight: 360, overflowY: "auto" }}>
+          <table style={{ width: "100%", borderCollapse: "collapse" }}>
+            <thead>
+              <tr style={{ background: "#f8fafc" }}>
+                <th style={th}>Company</th>
+                <th style={th}>Industry</th>
+                <th style={th}>Geo</th>
+                <th style={th}>EHEI</th>
+                <th style={th}>Rules triggered</th>
+              </tr>
+            </thead>
+            <tbody>
+              {shown.slice(0, MAX_ROWS).map(({ company: c, rules: rs }) => (
+                <tr key={companyKey(c)} onClick={() => onSelect(c)} style={{ cursor: "pointer" }}>
+                  <td style={td}>{c.company}</td>
+                  <td style={td}>{c.industry}</td>
+                  <td style={td}>{c.geo}</td>
+                  <td style={td}>{Number(c.EHEI).toFixed(2)}</td>
+                  <td style={td}>
+                    <RuleBadges rules={rs} />
+                  </td>
+                </tr>
+              ))}
+              {shown.length > MAX_ROWS && (
+                <tr>
+                  <td style={{ ...td, color: "#64748b" }} colSpan={5}>… {shown.length - MAX_ROWS} more (download the CSV for the full list)</td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      ) : (
+        <div style={{ fontSize: 13, color: "#64748b" }}>No company in view triggers an enabled rule.</div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,136 @@
+import React, { useMemo, useState } from "react";
+import { DEFAULT_PARAMS, DRIVER_LABELS, ESG_DRIVERS, HAZARD_DRIVERS, rescoreCompanies } from "../lib/ehei.js";
+import { computeKpis } from "../lib/portfolio.js";
+import NumberInput from "./NumberInput.jsx";
+
+/**
+ * EHEI weight editor + named scenarios
+ * ------------------------------------
+ * Edits hazard/ESG weights, the mitigation factor and the high-risk threshold. The parent
+ * re-scores the book from `params`; this panel only compares saved scenarios against baseline.
+ */
+
+const input = { width: 72, padding: 6, borderRadius: 8 };
+const th = { textAlign: "left", padding: 8, borderBottom: "1px solid #334155" };
+const td = { padding: 8, borderBottom: "1px solid #1f2937" };
+
+const fmtDelta = (x, dp = 2, unit = "") => `${x > 0 ? "+" : ""}${x.toFixed(dp)}${unit}`;
+
+function NumberField({ label, value, onChange, step = 0.05 }) {
+  return (
+    <label style={{ display: "flex", flexDirection: "column", gap: 4, fontSize: 12 }}>
+      {label}
+      <NumberInput min={0} max={1} step={step} value={value} style={input} onChange={onChange} />
+    </label>
+  );
+}
+
+export default function ScenarioPanel({ params, onChange, scenarios, onSaveScenario, onDeleteScenario, rows }) {
+  const [name, setName] = useState("");
+
+  const setWeight = (group, key) => (v) => onChange({ ...params, [group]: { ...params[group], [key]: v } });
+  const hazardSum = HAZARD_DRIVERS.reduce((a, k) => a + Number(params.hazardWeights[k] || 0), 0);
+  const esgSum = ESG_DRIVERS.reduce((a, k) => a + Number(params.esgWeights[k] || 0), 0);
+  const rescorable = rows.filter((c) => c.ehei_source === "computed").length;
+
+  // Baseline vs current vs each saved scenario, on the same rows (the book under the shared cross-filter)
+  const comparison = useMemo(() => {
+    const base = computeKpis(rows);
+    const baseFlags = new Map(rows.map((c, i) => [i, String(c.is_high_risk)]));
+    const entries = [{ id: "current", name: "Current (unsaved)", params }, ...scenarios.map((s) => ({ ...s, id: `saved:${s.name}` }))];
+    return {
+      base,
+      rows: entries.map((s) => {
+        const scored = rescoreCompanies(rows, s.params);
+        const k = computeKpis(scored);
+        const flipped = scored.filter((c, i) => String(c.is_high_risk) !== baseFlags.get(i)).length;
+        return { id: s.id, name: s.name, k, flipped };
+      }),
+    };
+  }, [rows, params, scenarios]);
+
+  const save = () => {
+    const n = name.trim();
+    if (!n) return;
+    onSaveScenario(n, params);
+    setName("");
+  };
+
+  return (
+    <div>
+      <div style={{ display: "flex", gap: 24, flexWrap: "wrap", alignItems: "flex-end" }}>
+        <fieldset style={{ border: "1px solid #334155", borderRadius: 12, display: "flex", gap: 8 }}>
+          <legend style={{ fontSize: 12 }}>Hazard weights (Σ {hazardSum.toFixed(2)})</legend>
+          {HAZARD_DRIVERS.map((k) => (
+            <NumberField key={k} label={DRIVER_LABELS[k]} value={params.hazardWeights[k]} onChange={setWeight("hazardWeights", k)} />
+          ))}
+        </fieldset>
+        <fieldset style={{ border: "1px solid #334155", borderRadius: 12, display: "flex", gap: 8 }}>
+          <legend style={{ fontSize: 12 }}>ESG mitigation weights (Σ {esgSum.toFixed(2)})</legend>
+          {ESG_DRIVERS.map((k) => (
+            <NumberField key={k} label={DRIVER_LABELS[k]} value={params.esgWeights[k]} onChange={setWeight("esgWeights", k)} />
+          ))}
+        </fieldset>
+        <fieldset style={{ border: "1px solid #334155", borderRadius: 12, display: "flex", gap: 8 }}>
+          <legend style={{ fontSize: 12 }}>Mitigation & threshold</legend>
+          <NumberField label="Mitigation factor" value={params.mitigation} onChange={(v) => onChange({ ...params, mitigation: v })} />
+          <NumberField label="High-risk ≥" step={0.01} value={params.threshold} onChange={(v) => onChange({ ...params, threshold: v })} />
+        </fieldset>
+        <button onClick={() => onChange(DEFAULT_PARAMS)} style={{ padding: "8px 12px", borderRadius: 8 }}>Reset to documented</button>
+      </div>
+
+      {(Math.abs(hazardSum - 1) > 1e-6 || Math.abs(esgSum - 1) > 1e-6) && (
+        <p style={{ color: "#fbbf24", fontSize: 12 }}>Weights in a group do not sum to 1 — scores will no longer span 0–1.</p>
+      )}
+      <p style={{ fontSize: 12, opacity: 0.8 }}>
+        {rescorable} of {rows.length} companies in view were scored from raw drivers and are re-weighted live; the rest carry a supplied EHEI and only respond to the threshold.
+      </p>
+
+      <div style={{ display: "flex", gap: 8, alignItems: "center", margin: "12px 0" }}>
+        <input placeholder="Scenario name, e.g. Climate 0.5" value={name} onChange={(e) => setName(e.target.value)}
+          onKeyDown={(e) => e.key === "Enter" && save()} style={{ padding: 8, borderRadius: 8, minWidth: 240 }} />
+        <button onClick={save} disabled={!name.trim()} style={{ padding: "8px 12px", borderRadius: 8 }}>Save scenario</button>
+      </div>
+
+      <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 14 }}>
+        <thead>
+          <tr>
+            <th style={th}>Scenario</th>
+            <th style={th}>High-risk names</th>
+            <th style={th}>% High Risk</th>
+            <th style={th}>Avg EHEI</th>
+            <th style={th}>Flags changed</th>
+            <th style={th}></th>
+          </tr>
+        </thead>
+        <tbody>
+          <tr>
+            <td style={td}>Baseline (documented)</td>
+            <td style={td}>{comparison.base.high}</td>
+            <td style={td}>{comparison.base.highPct}%</td>
+            <td style={td}>{comparison.base.avgEHEI}</td>
+            <td style={td}>—</td>
+            <td style={td}></td>
+          </tr>
+          {comparison.rows.map(({ id, name: n, k, flipped }, i) => (
+            <tr key={id}>
+              <td style={td}>{n}</td>
+              <td style={td}>{k.high} ({fmtDelta(k.high - comparison.base.high, 0)})</td>
+              <td style={td}>{k.highPct}% ({fmtDelta(k.highPct - comparison.base.highPct, 1, " pp")})</td>
+              <td style={td}>{k.avgEHEI} ({fmtDelta(k.avgEHEI - comparison.base.avgEHEI)})</td>
+              <td style={td}>{flipped}</td>
+              <td style={td}>
+                {i > 0 && (
+                  <>
+                    <button onClick={() => onChange(scenarios[i - 1].params)} style={{ marginRight: 6 }}>Apply</button>
+                    <button onClick={() => onDeleteScenario(n)}>Delete</button>
+                  </>
+                )}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
@@ -0,0 +1,245 @@
+import React, { useMemo, useRef, useState } from "react";
+import { CartesianGrid, Legend, Line, LineChart, ResponsiveContainer, Tooltip, XAxis, YAxis } from "recharts";
+import { EHEI_BANDS } from "../lib/portfolio.js";
+import ChartExport from "./ChartExport.jsx";
+import { dateFromFileName } from "../lib/snapshots.js";
+import { SOURCE_ACCEPT } from "../lib/sources.js";
+import { DETERIORATION_DELTA, industryTrend, kpiTrend, migration } from "../lib/trends.js";
+
+/**
+ * Portfolio snapshots, trends and migration
+ * -----------------------------------------
+ * Dated company snapshots (persisted by the parent in IndexedDB): KPI and per-industry EHEI
+ * trend lines, a band migration matrix between any two snapshots, high-risk flips, and
+ * explicit new / lapsed / deteriorating name lists.
+ */
+
+const PALETTE = ["#6366f1", "#14b8a6", "#f59e0b", "#ef4444", "#0ea5e9", "#a855f7", "#22c55e", "#64748b", "#ec4899", "#84cc16"];
+const MAX_NAMES = 50;
+
+const th = { textAlign: "left", padding: 8, borderBottom: "1px solid #e5e7eb", fontSize: 13 };
+const td = { padding: 8, borderBottom: "1px solid #f1f5f9", fontSize: 13 };
+const input = { padding: 6, borderRadius: 8, border: "1px solid #cbd5e1" };
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+function NameList({ title, rows, render, color }) {
+  return (
+    <div style={{ flex: "1 1 260px", minWidth: 0 }}>
+      <h4 style={{ margin: "0 0 6px", color }}>
+        {title} ({rows.length})
+      </h4>
+      {rows.length ? (
+        <ul style={{ margin: 0, paddingLeft: 18, maxHeight: 220, overflowY: "auto", fontSize: 13 }}>
+          {rows.slice(0, MAX_NAMES).map((r) => (
+            <li key={r.company_id}>{render(r)}</li>
+          ))}
+          {rows.length > MAX_NAMES && <li>… {rows.length - MAX_NAMES} more</li>}
+        </ul>
+      ) : (
+        <div style={{ fontSize: 13, color: "#64748b" }}>None</div>
+      )}
+    </div>
+  );
+}
+
+export default function SnapshotPanel({ snapshots, threshold, error, onSaveCurrent, onUpload, onLoad, onDelete }) {
+  const [date, setDate] = useState(today);
+  const [fromDate, setFromDate] = useState("");
+  const [toDate, setToDate] = useState("");
+  const kpiChartRef = useRef(null);
+  const industryChartRef = useRef(null);
+
+  const kpis = useMemo(() => kpiTrend(snapshots), [snapshots]);
+  const industries = useMemo(() => industryTrend(snapshots), [snapshots]);
+
+  // Compare the two most recent snapshots unless others are picked
+  const dates = snapshots.map((s) => s.date);
+  const from = dates.includes(fromDate) ? fromDate : dates[dates.length - 2];
+  const to = dates.includes(toDate) ? toDate : dates[dates.length - 1];
+  const diff = useMemo(() => {
+    const a = snapshots.find((s) => s.date === from);
+    const b = snapshots.find((s) => s.date === to);
+    return a && b && a !== b ? migration(a.rows, b.rows, { threshold }) : null;
+  }, [snapshots, from, to, threshold]);
+
+  const maxCell = diff ? Math.max(1, ...EHEI_BANDS.flatMap((f) => EHEI_BANDS.map((t) => diff.matrix[f][t]))) : 1;
+
+  return (
+    <div style={{ color: "#0f172a" }}>
+      <div style={{ display: "flex", gap: 12, flexWrap: "wrap", alignItems: "flex-end", marginBottom: 12, fontSize: 14 }}>
+        <label style={{ display: "flex", flexDirection: "column", gap: 4, fontSize: 12, color: "#334155" }}>
+          As-of date
+          <input type="date" value={date} onChange={(e) => setDate(e.target.value)} style={input} />
+        </label>
+        <button onClick={() => date && onSaveCurrent(date)} disabled={!date} style={{ padding: "6px 10px", borderRadius: 8 }}>
+          Save current book as snapshot
+        </button>
+        <label style={{ display: "flex", flexDirection: "column", gap: 4, fontSize: 12, color: "#334155" }}>
+          …or add a companies file (date taken from the file name if present)
+          <input
+            type="file"
+            accept={SOURCE_ACCEPT}
+            onChange={(e) => {
+              const file = e.target.files[0];
+              if (file) onUpload(file, dateFromFileName(file.name) || date);
+              e.target.value = "";
+            }}
+          />
+        </label>
+      </div>
+      {error && (
+        <div style={{ background: "#fef2f2", border: "1px solid #ef4444", color: "#7f1d1d", borderRadius: 12, padding: 10, marginBottom: 12, fontSize: 13 }}>
+          Snapshots unavailable: {error}
+        </div>
+      )}
+
+      {snapshots.length > 0 && (
+        <table style={{ width: "100%", borderCollapse: "collapse", marginBottom: 16 }}>
+          <thead>
+            <tr style={{ background: "#f8fafc" }}>
+              <th style={th}>As of</th>
+              <th style={th}>Source</th>
+              <th style={th}>Companies</th>
+              <th style={th}>High risk</th>
+              <th style={th}>Avg EHEI</th>
+              <th style={th} />
+            </tr>
+          </thead>
+          <tbody>
+            {snapshots.map((s, i) => (
+              <tr key={s.date}>
+                <td style={td}>{s.date}</td>
+                <td style={{ ...td, color: "#64748b" }}>{s.label}</td>
+                <td style={td}>{kpis[i].totalCompanies}</td>
+                <td style={td}>{kpis[i].highPct}%</td>
+                <td style={td}>{kpis[i].avgEHEI}</td>
+                <td style={{ ...td, textAlign: "right", whiteSpace: "nowrap" }}>
+                  <button onClick={() => onLoad(s)} style={{ borderRadius: 8, marginRight: 6 }}>Load</button>
+                  <button onClick={() => onDelete(s.date)} style={{ borderRadius: 8 }}>Delete</button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {snapshots.length < 2 ? (
+        <p style={{ margin: 0, color: "#64748b", fontSize: 14 }}>Save at least two dated snapshots to see trends and migration.</p>
+      ) : (
+        <>
+          <div style={{ display: "flex", gap: 16, flexWrap: "wrap" }}>
+            <div style={{ flex: "1 1 420px" }}>
+              <h4 style={{ margin: "0 0 6px", display: "flex", gap: 8, alignItems: "center" }}>
+                KPI trend <ChartExport chartRef={kpiChartRef} name="KPI trend" />
+              </h4>
+              <div ref={kpiChartRef} style={{ height: 260 }}>
+                <ResponsiveContainer>
+                  <LineChart data={kpis}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="date" />
+                    <YAxis yAxisId="pct" unit="%" />
+                    <YAxis yAxisId="ehei" orientation="right" domain={[0, 1]} />
+                    <Tooltip />
+                    <Legend />
+                    <Line yAxisId="pct" dataKey="highPct" name="High Risk %" stroke="#ef4444" />
+                    <Line yAxisId="ehei" dataKey="avgEHEI" name="Avg EHEI" stroke="#6366f1" />
+                  </LineChart>
+                </ResponsiveContainer>
+              </div>
+            </div>
+            <div style={{ flex: "1 1 420px" }}>
+              <h4 style={{ margin: "0 0 6px", display: "flex", gap: 8, alignItems: "center" }}>
+                Avg EHEI by industry <ChartExport chartRef={industryChartRef} name="Avg EHEI by industry trend" />
+              </h4>
+              <div ref={industryChartRef} style={{ height: 260 }}>
+                <ResponsiveContainer>
+                  <LineChart data={industries.rows}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="date" />
+                    <YAxis domain={[0, 1]} />
+                    <Tooltip />
+                    <Legend />
+                    {industries.industries.map((ind, i) => (
+                      <Line key={ind} dataKey={ind} stroke={PALETTE[i % PALETTE.length]} connectNulls={false} />
+                    ))}
+                  </LineChart>
+                </ResponsiveContainer>
+              </div>
+            </div>
+          </div>
+
+          <div style={{ display: "flex", gap: 12, alignItems: "center", flexWrap: "wrap", margin: "24px 0 12px", fontSize: 14 }}>
+            <h4 style={{ margin: 0 }}>Migration</h4>
+            <select value={from} onChange={(e) => setFromDate(e.target.value)} style={input}>
+              {dates.map((d) => <option key={d} value={d}>{d}</option>)}
+            </select>
+            →
+            <select value={to} onChange={(e) => setToDate(e.target.value)} style={input}>
+              {dates.map((d) => <option key={d} value={d}>{d}</option>)}
+            </select>
+          </div>
+
+          {!diff ? (
+            <p style={{ margin: 0, color: "#64748b", fontSize: 14 }}>Pick two different snapshots.</p>
+          ) : (
+            <>
+              <div style={{ display: "flex", gap: 24, flexWrap: "wrap", alignItems: "flex-start" }}>
+                <table style={{ borderCollapse: "collapse" }}>
+                  <thead>
+                    <tr>
+                      <th style={th}>{from} ↓ / {to} →</th>
+                      {EHEI_BANDS.map((b) => <th key={b} style={{ ...th, textAlign: "center" }}>{b}</th>)}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {EHEI_BANDS.map((f, i) => (
+                      <tr key={f}>
+                        <th style={th}>{f}</th>
+                        {EHEI_BANDS.map((t, j) => {
+                          const n = diff.matrix[f][t];
+                          const tint = j > i ? "239,68,68" : j < i ? "34,197,94" : "99,102,241";
+                          return (
+                            <td key={t} style={{ ...td, textAlign: "center", background: n ? `rgba(${tint},${0.1 + 0.5 * (n / maxCell)})` : undefined }}>
+                              {n}
+                            </td>
+                          );
+                        })}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                <div style={{ fontSize: 14, lineHeight: 1.7 }}>
+                  <div><strong>{diff.matched}</strong> companies matched on <code>company_id</code></div>
+                  <div style={{ color: "#b91c1c" }}>{diff.flips.toHigh.length} flipped to high risk</div>
+                  <div style={{ color: "#15803d" }}>{diff.flips.toLow.length} no longer high risk</div>
+                  {(diff.unmatched.previous > 0 || diff.unmatched.current > 0) && (
+                    <div style={{ color: "#92400e" }}>
+                      {diff.unmatched.previous + diff.unmatched.current} rows without <code>company_id</code> could not be matched
+                    </div>
+                  )}
+                  {(diff.ambiguous.previous > 0 || diff.ambiguous.current > 0) && (
+                    <div style={{ color: "#92400e" }}>
+                      {diff.ambiguous.previous + diff.ambiguous.current} rows share a <code>company_id</code> with another row in the same snapshot and were left out
+                    </div>
+                  )}
+                </div>
+              </div>
+
+              <div style={{ display: "flex", gap: 16, flexWrap: "wrap", marginTop: 16 }}>
+                <NameList title="New" rows={diff.added} color="#0369a1" render={(r) => `${r.company} (${r.company_id}) · EHEI ${Number(r.EHEI).toFixed(2)}`} />
+                <NameList title="Lapsed" rows={diff.lapsed} color="#64748b" render={(r) => `${r.company} (${r.company_id}) · last EHEI ${Number(r.EHEI).toFixed(2)}`} />
+                <NameList
+                  title={`Deteriorating (worse band, flipped high, or +${DETERIORATION_DELTA} EHEI)`}
+                  rows={diff.deteriorating}
+                  color="#b91c1c"
+                  render={(r) => `${r.company} (${r.company_id}) · ${r.prevEHEI.toFixed(2)} → ${Number(r.EHEI).toFixed(2)}${r.fromBand !== r.toBand ? ` · ${r.fromBand} → ${r.toBand}` : ""}`}
+                />
+              </div>
+            </>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
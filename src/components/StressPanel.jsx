@@ -0,0 +1,223 @@
+import React, { useState } from "react";
+import { DRIVER_LABELS } from "../lib/ehei.js";
+import { SHOCK_OPS, SHOCK_TARGETS, newShock, shocksFromJson, shocksToJson } from "../lib/stress.js";
+import { downloadFile } from "../lib/download.js";
+
+/**
+ * Stress-test scenarios
+ * ---------------------
+ * Edits industry / geo shocks (lib/stress.js), compares shocked vs baseline KPIs on the rows in
+ * view, lists the names that cross the high-risk threshold and the industries / geos driving
+ * the move. Shock lists import / export as JSON; the parent persists them and can switch the
+ * rest of the dashboard (KPIs, chart, map colors) to the shocked scores.
+ */
+
+const MAX_NAMES = 50;
+
+const th = { textAlign: "left", padding: 8, borderBottom: "1px solid #e5e7eb", fontSize: 13 };
+const td = { padding: 8, borderBottom: "1px solid #f1f5f9", fontSize: 13 };
+const input = { padding: 6, borderRadius: 8, border: "1px solid #cbd5e1" };
+
+const signed = (x, dp = 2, unit = "") => `${x > 0 ? "+" : x < 0 ? "−" : ""}${Math.abs(x).toFixed(dp)}${unit}`;
+const targetLabel = (t) => (t === "EHEI" ? "EHEI" : DRIVER_LABELS[t]);
+
+function MultiSelect({ value, options, onChange, placeholder }) {
+  return (
+    <select
+      multiple
+      value={value}
+      title={placeholder}
+      onChange={(e) => onChange([...e.target.selectedOptions].map((o) => o.value))}
+      style={{ ...input, minWidth: 120, height: 64 }}
+    >
+      {options.map((o) => (
+        <option key={o} value={o}>{o}</option>
+      ))}
+    </select>
+  );
+}
+
+function DriverTable({ title, rows }) {
+  return (
+    <div style={{ flex: "1 1 320px", minWidth: 0 }}>
+      <h4 style={{ margin: "0 0 6px" }}>{title}</h4>
+      {rows.length ? (
+        <table style={{ width: "100%", borderCollapse: "collapse" }}>
+          <thead>
+            <tr style={{ background: "#f8fafc" }}>
+              <th style={th}>Group</th>
+              <th style={th}>Avg EHEI</th>
+              <th style={th}>Contribution</th>
+              <th style={th}>Crossing</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.slice(0, 10).map((d) => (
+              <tr key={d.group}>
+                <td style={td}>{d.group} <span style={{ color: "#64748b" }}>({d.companies})</span></td>
+                <td style={td}>{d.baseAvg?.toFixed(2) ?? "—"} → {d.shockedAvg.toFixed(2)}</td>
+                <td style={td}>{signed(d.contribution, 3)}</td>
+                <td style={td}>{d.crossedUp || "—"}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      ) : (
+        <div style={{ fontSize: 13, color: "#64748b" }}>No change</div>
+      )}
+    </div>
+  );
+}
+
+export default function StressPanel({ shocks, onChange, industries, geos, impact, skipped, applied, onApply, onSelect }) {
+  const [errors, setErrors] = useState([]);
+
+  const update = (i, patch) => onChange(shocks.map((s, j) => (j === i ? { ...s, ...patch } : s)));
+  const remove = (i) => onChange(shocks.filter((_, j) => j !== i));
+
+  const onImport = async (file) => {
+    const { shocks: parsed, errors: errs } = shocksFromJson(await file.text());
+    setErrors(errs);
+    if (parsed.length) onChange(parsed);
+  };
+
+  const { base, shocked, crossedUp, crossedDown } = impact;
+  const kpiRows = [
+    ["High-risk names", base.high, shocked.high, (x) => String(x), 0, ""],
+    ["% High Risk", base.highPct, shocked.highPct, (x) => `${x}%`, 1, " pp"],
+    ["Avg EHEI", base.avgEHEI, shocked.avgEHEI, (x) => x.toFixed(2), 2, ""],
+  ];
+
+  return (
+    <div style={{ color: "#0f172a" }}>
+      <table style={{ width: "100%", borderCollapse: "collapse", marginBottom: 8 }}>
+        <thead>
+          <tr style={{ background: "#f8fafc" }}>
+            <th style={th}>Label</th>
+            <th style={th}>Industries (none = all)</th>
+            <th style={th}>Geos (none = all)</th>
+            <th style={th}>Target</th>
+            <th style={th}>Shock</th>
+            <th style={th} />
+          </tr>
+        </thead>
+        <tbody>
+          {shocks.map((s, i) => (
+            <tr key={i}>
+              <td style={td}>
+                <input value={s.label} placeholder="e.g. Southern Europe heat" onChange={(e) => update(i, { label: e.target.value })} style={{ ...input, width: 180 }} />
+              </td>
+              <td style={td}>
+                <MultiSelect value={s.industries} options={[...new Set([...industries, ...s.industries])]} onChange={(v) => update(i, { industries: v })} placeholder="Industries" />
+              </td>
+              <td style={td}>
+                <MultiSelect value={s.geos} options={[...new Set([...geos, ...s.geos])]} onChange={(v) => update(i, { geos: v })} placeholder="Geos" />
+              </td>
+              <td style={td}>
+                <select value={s.target} onChange={(e) => update(i, { target: e.target.value })} style={input}>
+                  {SHOCK_TARGETS.map((t) => (
+                    <option key={t} value={t}>{targetLabel(t)}</option>
+                  ))}
+                </select>
+              </td>
+              <td style={td}>
+                <NumberInput step={s.op === "pct" ? 5 : 0.05} value={s.value} onChange={(value) => update(i, { value })} style={{ ...input, width: 80 }} />{" "}
+                <select value={s.op} onChange={(e) => update(i, { op: e.target.value })} style={input}>
+                  {Object.entries(SHOCK_OPS).map(([op, label]) => (
+                    <option key={op} value={op}>{label}</option>
+                  ))}
+                </select>
+              </td>
+              <td style={td}>
+                <button onClick={() => remove(i)}>Remove</button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <div style={{ display: "flex", gap: 12, alignItems: "center", flexWrap: "wrap", marginBottom: 12, fontSize: 14 }}>
+        <button onClick={() => onChange([...shocks, newShock()])} style={{ padding: "6px 10px", borderRadius: 8 }}>Add shock</button>
+        <button onClick={() => downloadFile("stress-scenario.json", shocksToJson(shocks), "application/json")} disabled={!shocks.length} style={{ padding: "6px 10px", borderRadius: 8 }}>
+          Export JSON
+        </button>
+        <label>
+          Import JSON{" "}
+          <input type="file" accept=".json,application/json" onChange={(e) => e.target.files[0] && onImport(e.target.files[0])} />
+        </label>
+        <label>
+          <input type="checkbox" checked={applied} onChange={(e) => onApply(e.target.checked)} /> Show shocked scores across the dashboard
+        </label>
+      </div>
+
+      {errors.length > 0 && (
+        <div style={{ background: "#fffbeb", border: "1px solid #f59e0b", color: "#78350f", borderRadius: 12, padding: 10, marginBottom: 12, fontSize: 13 }}>
+          <strong>Some shocks were not imported.</strong>
+          <ul style={{ margin: "4px 0 0", paddingLeft: 18 }}>
+            {errors.map((e) => (
+              <li key={e}>{e}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+      {skipped > 0 && (
+        <p style={{ fontSize: 13, color: "#64748b" }}>
+          {skipped} in-scope driver shock{skipped === 1 ? "" : "s"} had no effect because the company carries no raw driver columns (only EHEI shocks move supplied scores).
+        </p>
+      )}
+
+      <div style={{ display: "flex", gap: 24, flexWrap: "wrap", alignItems: "flex-start" }}>
+        <table style={{ borderCollapse: "collapse" }}>
+          <thead>
+            <tr style={{ background: "#f8fafc" }}>
+              <th style={th}>KPI (rows in view)</th>
+              <th style={th}>Baseline</th>
+              <th style={th}>Shocked</th>
+              <th style={th}>Δ</th>
+            </tr>
+          </thead>
+          <tbody>
+            {kpiRows.map(([label, b, s, fmt, dp, unit]) => (
+              <tr key={label}>
+                <td style={td}>{label}</td>
+                <td style={td}>{fmt(b)}</td>
+                <td style={td}>{fmt(s)}</td>
+                <td style={{ ...td, color: s > b ? "#b91c1c" : s < b ? "#15803d" : undefined }}>{signed(s - b, dp, unit)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {[
+          ["Cross into high risk", crossedUp, "#b91c1c"],
+          ["Fall below the threshold", crossedDown, "#15803d"],
+        ].map(([title, rows, color]) => (
+          <div key={title} style={{ flex: "1 1 240px", minWidth: 0 }}>
+            <h4 style={{ margin: "0 0 6px", color }}>
+              {title} ({rows.length})
+            </h4>
+            {rows.length ? (
+              <ul style={{ margin: 0, paddingLeft: 18, maxHeight: 200, overflowY: "auto", fontSize: 13 }}>
+                {rows.slice(0, MAX_NAMES).map((r) => (
+                  <li key={r.company_id || r.company}>
+                    <button onClick={() => onSelect(r)} style={{ border: "none", background: "none", padding: 0, color: "#4f46e5", cursor: "pointer" }}>
+                      {r.company}
+                    </button>{" "}
+                    {r.baseEHEI.toFixed(2)} → {r.EHEI.toFixed(2)} <span style={{ color: "#64748b" }}>({r.shockedBy.join(", ")})</span>
+                  </li>
+                ))}
+                {rows.length > MAX_NAMES && <li>… {rows.length - MAX_NAMES} more</li>}
+              </ul>
+            ) : (
+              <div style={{ fontSize: 13, color: "#64748b" }}>None</div>
+            )}
+          </div>
+        ))}
+      </div>
+
+      <div style={{ display: "flex", gap: 24, flexWrap: "wrap", marginTop: 16 }}>
+        <DriverTable title="Industries driving the change" rows={impact.byIndustry} />
+        <DriverTable title="Geographies driving the change" rows={impact.byGeo} />
+      </div>
+    </div>
+  );
+}
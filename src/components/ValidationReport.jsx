@@ -0,0 +1,82 @@
+import React from "react";
+import { describeSource } from "../lib/sources.js";
+
+/**
+ * Per-upload validation report
+ * ----------------------------
+ * Summarizes accepted / rejected rows, warnings (bad flags, invalid coordinates,
+ * ragged rows, non-point GeoJSON features) and unknown `geo` codes for the most recent upload
+ * of each file kind, or why the file could not be read at all. "Edit mapping" reopens the column
+ * mapping wizard on the same file.
+ */
+
+const MAX_LINES = 50;
+
+const list = { margin: "4px 0 0", paddingLeft: 18, maxHeight: 160, overflowY: "auto", fontSize: 12 };
+
+function Lines({ items, render }) {
+  return (
+    <ul style={list}>
+      {items.slice(0, MAX_LINES).map((it, i) => (
+        <li key={i}>{render(it)}</li>
+      ))}
+      {items.length > MAX_LINES && <li>… {items.length - MAX_LINES} more</li>}
+    </ul>
+  );
+}
+
+export default function ValidationReport({ report, onDismiss, onEditMapping }) {
+  const { file, kind, total, accepted, rejected, warnings, unknownGeo, error } = report;
+  const clean = !rejected.length && !warnings.length && !unknownGeo.length;
+  const border = error || rejected.length ? "#ef4444" : warnings.length || unknownGeo.length ? "#f59e0b" : "#22c55e";
+
+  if (error) {
+    return (
+      <div style={{ border: `1px solid ${border}`, borderRadius: 12, padding: 12, marginTop: 12, fontSize: 14, display: "flex", justifyContent: "space-between", gap: 12 }}>
+        <span>
+          <strong>{file || kind} could not be read:</strong> {error} — previous data kept
+        </span>
+        <button onClick={onDismiss} style={{ borderRadius: 8 }}>Dismiss</button>
+      </div>
+    );
+  }
+
+  return (
+    <div style={{ border: `1px solid ${border}`, borderRadius: 12, padding: 12, marginTop: 12, fontSize: 14 }}>
+      <div style={{ display: "flex", justifyContent: "space-between", gap: 12 }}>
+        <strong>
+          {file || kind} — {accepted}/{total} rows loaded
+          {rejected.length > 0 && `, ${rejected.length} rejected`}
+          {warnings.length > 0 && `, ${warnings.length} warnings`}
+        </strong>
+        <span style={{ display: "flex", gap: 6 }}>
+          {onEditMapping && (
+            <button onClick={onEditMapping} style={{ borderRadius: 8 }}>Edit mapping</button>
+          )}
+          <button onClick={onDismiss} style={{ borderRadius: 8 }}>Dismiss</button>
+        </span>
+      </div>
+      <div style={{ fontSize: 12, opacity: 0.8 }}>
+        {kind} file · {describeSource(report)}{clean && " · no issues found"}
+        {accepted === 0 && total > 0 && " · nothing loaded, previous data kept"}
+      </div>
+      {rejected.length > 0 && (
+        <details open>
+          <summary>Rejected rows</summary>
+          <Lines items={rejected} render={(r) => `Line ${r.line}: ${r.reason}`} />
+        </details>
+      )}
+      {warnings.length > 0 && (
+        <details>
+          <summary>Warnings</summary>
+          <Lines items={warnings} render={(w) => `Line ${w.line} · ${w.field}${w.value !== "" ? ` = "${w.value}"` : ""}: ${w.message}`} />
+        </details>
+      )}
+      {unknownGeo.length > 0 && (
+        <div style={{ marginTop: 6, fontSize: 12 }}>
+          <strong>Unknown geo codes:</strong> {unknownGeo.join(", ")}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,102 @@
+/**
+ * Per-company EHEI attribution
+ * ----------------------------
+ * Splits one company's score into the documented formula's terms:
+ *   hazard  = Σ w_k · scaled_k                       (one step per hazard driver)
+ *   EHEI    = hazard × (1 − m · Σ e_j · scaled_j)    (one negative step per ESG pillar: −hazard · m · e_j · scaled_j)
+ * The steps sum exactly to the formula score; a supplied EHEI that differs from it shows up as
+ * a separate "supplied score adjustment" step rather than being hidden in the drivers.
+ */
+import { DEFAULT_PARAMS, DRIVER_LABELS, ESG_DRIVERS, HAZARD_DRIVERS } from "./ehei.js";
+
+/** True when the row carries scaled drivers to attribute (i.e. driver columns were uploaded). */
+export const canAttribute = (c) => !!c && !!c.scaled && HAZARD_DRIVERS.some((k) => c[k] != null);
+
+/**
+ * Attribution for one company.
+ * Returns { steps: [{ key, label, value, kind: "hazard" | "mitigation" | "clamp" | "adjustment" }],
+ *           hazard, mitigation, formula, ehei }.
+ */
+export function attributeEhei(c, params = DEFAULT_PARAMS) {
+  const s = c.scaled || {};
+  const hazardSteps = HAZARD_DRIVERS.map((k) => ({ key: k, label: DRIVER_LABELS[k], value: (params.hazardWeights[k] || 0) * (s[k] || 0), kind: "hazard" }));
+  const hazard = hazardSteps.reduce((a, st) => a + st.value, 0);
+  const mitigationSteps = ESG_DRIVERS.map((k) => ({
+    key: k,
+    label: `${DRIVER_LABELS[k]} mitigation`,
+    value: -hazard * params.mitigation * (params.esgWeights[k] || 0) * (s[k] || 0),
+    kind: "mitigation",
+  }));
+  const mitigation = -mitigationSteps.reduce((a, st) => a + st.value, 0);
+  const raw = hazard - mitigation;
+  const formula = Math.min(1, Math.max(0, raw));
+  const steps = [...hazardSteps, ...mitigationSteps];
+  if (formula !== raw) steps.push({ key: "clamp", label: "Clamp to 0–1", value: formula - raw, kind: "clamp" });
+
+  const ehei = Number(c.EHEI);
+  const residual = ehei - formula;
+  if (Math.abs(residual) >= 0.005) steps.push({ key: "adjustment", label: "Supplied score adjustment", value: residual, kind: "adjustment" });
+  return { steps, hazard, mitigation, formula, ehei };
+}
+
+const median = (xs) => {
+  if (!xs.length) return null;
+  const v = [...xs].sort((a, b) => a - b);
+  const mid = v.length >> 1;
+  return v.length % 2 ? v[mid] : (v[mid - 1] + v[mid]) / 2;
+};
+
+/**
+ * Median value of every attribution step (and of hazard / EHEI) across `rows` of one industry,
+ * keyed like the steps: { n, steps: { [key]: median }, hazard, ehei }.
+ */
+export function industryMedianAttribution(rows, industry, params = DEFAULT_PARAMS) {
+  const peers = rows.filter((r) => r.industry === industry && canAttribute(r)).map((r) => attributeEhei(r, params));
+  const keys = [...HAZARD_DRIVERS, ...ESG_DRIVERS];
+  return {
+    n: peers.length,
+    steps: Object.fromEntries(keys.map((k) => [k, median(peers.map((p) => p.steps.find((st) => st.key === k).value))])),
+    hazard: median(peers.map((p) => p.hazard)),
+    ehei: median(peers.map((p) => p.ehei)),
+  };
+}
+
+/**
+ * Floating-bar series for a waterfall chart: each step becomes { label, base, value, kind }
+ * where the visible bar spans base..base+|value|; "Hazard subtotal" and "EHEI" are full bars.
+ */
+export function waterfallSeries(attribution) {
+  const out = [];
+  let running = 0;
+  const push = (st) => {
+    const next = running + st.value;
+    out.push({ label: st.label, key: st.key, kind: st.kind, base: Math.min(running, next), bar: Math.abs(st.value), value: st.value });
+    running = next;
+  };
+  attribution.steps.filter((st) => st.kind === "hazard").forEach(push);
+  out.push({ label: "Hazard subtotal", key: "hazard", kind: "total", base: 0, bar: running, value: running });
+  attribution.steps.filter((st) => st.kind !== "hazard").forEach(push);
+  out.push({ label: "EHEI", key: "ehei", kind: "total", base: 0, bar: running, value: running });
+  return out;
+}
+
+/** Plain-text explanation for referral notes: the largest drivers and how they compare with the industry median. */
+export function explanationText(c, attribution, peers) {
+  const f = (x) => x.toFixed(3);
+  const signed = (x) => `${x >= 0 ? "+" : "−"}${f(Math.abs(x))}`;
+  const lines = [
+    `${c.company}${c.company_id ? ` (${c.company_id})` : ""} — ${c.industry || "Unknown industry"}`,
+    `EHEI ${attribution.ehei.toFixed(2)}${peers.ehei != null ? ` vs industry median ${peers.ehei.toFixed(2)} (n=${peers.n})` : ""}`,
+    `Hazard before mitigation ${f(attribution.hazard)}; ESG mitigation ${signed(-attribution.mitigation)}`,
+  ];
+  [...attribution.steps]
+    .filter((st) => st.kind === "hazard" || st.kind === "mitigation")
+    .sort((a, b) => Math.abs(b.value) - Math.abs(a.value))
+    .forEach((st) => {
+      const med = peers.steps[st.key];
+      lines.push(`- ${st.label}: ${signed(st.value)}${med != null ? ` (industry median ${signed(med)}, ${signed(st.value - med)} vs median)` : ""}`);
+    });
+  const adj = attribution.steps.find((st) => st.kind === "adjustment");
+  if (adj) lines.push(`- Supplied score differs from the formula by ${signed(adj.value)}`);
+  return lines.join("\n");
+}
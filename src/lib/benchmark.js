@@ -0,0 +1,190 @@
+/**
+ * Peer benchmarking
+ * -----------------
+ * Distribution views behind the averages: box-plot statistics and histograms of EHEI per
+ * industry / geo, each company's percentile within its industry and geo, and a peer profile
+ * (EHEI and every raw driver) for one company against its peers.
+ */
+import { DRIVER_COLUMNS } from "./ehei.js";
+import { companyKey, groupValue } from "./portfolio.js";
+
+/** Linear-interpolated quantile of an ascending array (q in 0–1); null when empty. */
+export function quantile(sorted, q) {
+  if (!sorted.length) return null;
+  const pos = (sorted.length - 1) * q;
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+// First index in an ascending array whose element is not `before` the value (binary search)
+function bound(sorted, before) {
+  let lo = 0;
+  let hi = sorted.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (before(sorted[mid])) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+/** Percentile rank (0–100) of `value` in an ascending array; ties count half. */
+export function percentileRank(sorted, value) {
+  if (!sorted.length) return null;
+  const below = bound(sorted, (v) => v < value);
+  const equal = bound(sorted, (v) => v <= value) - below;
+  return ((below + equal / 2) / sorted.length) * 100;
+}
+
+const numbers = (rows, col) =>
+  rows
+    .map((c) => (c[col] == null || c[col] === "" ? NaN : Number(c[col])))
+    .filter(Number.isFinite)
+    .sort((a, b) => a - b);
+
+/**
+ * Box-plot statistics: { n, min, q1, median, q3, max, mean, lowWhisker, highWhisker, outliers }
+ * with Tukey whiskers (furthest values within 1.5 × IQR). Null for an empty list.
+ */
+export function boxStats(sorted) {
+  if (!sorted.length) return null;
+  const q1 = quantile(sorted, 0.25);
+  const q3 = quantile(sorted, 0.75);
+  const iqr = q3 - q1;
+  const inside = sorted.filter((v) => v >= q1 - 1.5 * iqr && v <= q3 + 1.5 * iqr);
+  return {
+    n: sorted.length,
+    min: sorted[0],
+    q1,
+    median: quantile(sorted, 0.5),
+    q3,
+    max: sorted[sorted.length - 1],
+    mean: sorted.reduce((a, v) => a + v, 0) / sorted.length,
+    lowWhisker: inside[0],
+    highWhisker: inside[inside.length - 1],
+    outliers: sorted.length - inside.length,
+  };
+}
+
+/**
+ * Where a group's high-risk names come from:
+ * - "Sector-wide": the median company is at or above the threshold
+ * - "Tail-driven": under a quarter of names are high risk, but some are
+ * - "Mixed": a quarter or more are high risk while the median is below the threshold
+ * - "None high": no company reaches the threshold
+ */
+export function riskShape(stats, highShare, threshold) {
+  if (!stats || highShare === 0) return "None high";
+  if (stats.median >= threshold) return "Sector-wide";
+  return highShare < 0.25 ? "Tail-driven" : "Mixed";
+}
+
+/**
+ * EHEI distribution per industry / geo (key "industry" | "geo"), highest median first:
+ * [{ group, ...boxStats, highShare, shape }].
+ */
+export function distributionBy(rows, key, { threshold = 0.6 } = {}) {
+  const groups = new Map();
+  rows.forEach((c) => {
+    const g = groupValue(c, key, threshold);
+    if (!groups.has(g)) groups.set(g, []);
+    groups.get(g).push(c);
+  });
+  return [...groups]
+    .map(([group, members]) => {
+      const values = numbers(members, "EHEI");
+      const stats = boxStats(values);
+      const highShare = values.length ? values.filter((v) => v >= threshold).length / values.length : 0;
+      return stats && { group, ...stats, highShare, shape: riskShape(stats, highShare, threshold) };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.median - a.median);
+}
+
+/**
+ * EHEI histogram on equal-width 0–1 bins for `rows`, with the book's share per bin alongside:
+ * [{ bin, x0, x1, count, share, bookShare }].
+ */
+export function histogram(rows, book = rows, bins = 10) {
+  const count = (rs) => {
+    const out = new Array(bins).fill(0);
+    numbers(rs, "EHEI").forEach((v) => (out[Math.min(bins - 1, Math.max(0, Math.floor(v * bins)))] += 1));
+    return out;
+  };
+  const mine = count(rows);
+  const all = count(book);
+  const n = mine.reduce((a, v) => a + v, 0) || 1;
+  const total = all.reduce((a, v) => a + v, 0) || 1;
+  return mine.map((c, i) => ({
+    bin: `${(i / bins).toFixed(1)}–${((i + 1) / bins).toFixed(1)}`,
+    x0: i / bins,
+    x1: (i + 1) / bins,
+    count: c,
+    share: c / n,
+    bookShare: all[i] / total,
+  }));
+}
+
+/**
+ * Each company's EHEI percentile within its industry, its geo and the whole book:
+ * Map<companyKey, { pct_industry, pct_geo, pct_book }> (0–100).
+ */
+export function peerPercentiles(rows) {
+  const sortedBy = (key) => {
+    const groups = new Map();
+    rows.forEach((c) => {
+      const g = groupValue(c, key);
+      if (!groups.has(g)) groups.set(g, []);
+      groups.get(g).push(c);
+    });
+    return new Map([...groups].map(([g, members]) => [g, numbers(members, "EHEI")]));
+  };
+  const industries = sortedBy("industry");
+  const geos = sortedBy("geo");
+  const book = numbers(rows, "EHEI");
+  return new Map(
+    rows.map((c) => {
+      const v = Number(c.EHEI);
+      return [
+        companyKey(c),
+        {
+          pct_industry: percentileRank(industries.get(groupValue(c, "industry")), v),
+          pct_geo: percentileRank(geos.get(groupValue(c, "geo")), v),
+          pct_book: percentileRank(book, v),
+        },
+      ];
+    })
+  );
+}
+
+/**
+ * One company against its peers (same industry or geo, itself included) on EHEI and each raw
+ * driver present: [{ metric, value, percentile, n, p10, q1, median, q3, p90, min, max }].
+ * Metrics without a value for the company or its peers are skipped.
+ */
+export function peerProfile(company, rows, key = "industry") {
+  const group = groupValue(company, key);
+  const peers = rows.filter((c) => groupValue(c, key) === group);
+  return ["EHEI", ...DRIVER_COLUMNS]
+    .map((metric) => {
+      const value = company[metric] == null || company[metric] === "" ? NaN : Number(company[metric]);
+      const sorted = numbers(peers, metric);
+      if (!Number.isFinite(value) || !sorted.length) return null;
+      const stats = boxStats(sorted);
+      return {
+        metric,
+        value,
+        percentile: percentileRank(sorted, value),
+        n: sorted.length,
+        p10: quantile(sorted, 0.1),
+        q1: stats.q1,
+        median: stats.median,
+        q3: stats.q3,
+        p90: quantile(sorted, 0.9),
+        min: stats.min,
+        max: stats.max,
+      };
+    })
+    .filter(Boolean);
+}
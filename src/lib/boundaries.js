@@ -0,0 +1,35 @@
+/**
+ * Country boundaries for the choropleth layer
+ * -------------------------------------------
+ * Natural Earth 1:50m countries (world-atlas TopoJSON), bundled and code-split so the
+ * map works without network access. Features are tagged with `properties.iso2`.
+ */
+import { feature } from "topojson-client";
+import countries from "i18n-iso-countries";
+
+// Codes without an ISO 3166-1 numeric id in Natural Earth
+const NAMED_ISO2 = { Kosovo: "XK" };
+
+let cache = null;
+
+/** Load (once) the country FeatureCollection; each feature has { iso2, name } properties. */
+export function loadCountryBoundaries() {
+  if (!cache) {
+    cache = import("world-atlas/countries-50m.json").then(({ default: topology }) => {
+      const fc = feature(topology, topology.objects.countries);
+      fc.features.forEach((f) => {
+        f.properties = {
+          ...f.properties,
+          iso2: (f.id && countries.numericToAlpha2(f.id)) || NAMED_ISO2[f.properties.name] || null,
+        };
+      });
+      return fc;
+    });
+    // A failed load (e.g. the chunk could not be fetched) is retried on the next call
+    const pending = cache;
+    pending.catch(() => {
+      if (cache === pending) cache = null;
+    });
+  }
+  return cache;
+}
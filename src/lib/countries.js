@@ -0,0 +1,246 @@
+/**
+ * Country / subdivision lookup for `geo` codes
+ * --------------------------------------------
+ * - Full ISO 3166-1 coverage (plus XK Kosovo) with a centroid per country
+ * - Accepts alpha-2, alpha-3, numeric codes and English country names
+ * - Common non-ISO aliases normalized (UK → GB, EL → GR, …)
+ * - First-level subdivisions for US states, Canadian provinces and Australian states
+ *   ("US-TX", "US TX", "Texas"), placed at their own centroid
+ */
+import countries from "i18n-iso-countries";
+import en from "i18n-iso-countries/langs/en.json" with { type: "json" };
+
+countries.registerLocale(en);
+
+// ---------- Centroids (lat, lon) by ISO 3166-1 alpha-2 ----------
+const COUNTRY_CENTROIDS = {
+  AD: [42.5462, 1.6016], AE: [23.4241, 53.8478], AF: [33.9391, 67.7100], AG: [17.0608, -61.7964],
+  AI: [18.2206, -63.0686], AL: [41.1533, 20.1683], AM: [40.0691, 45.0382], AO: [-11.2027, 17.8739],
+  AQ: [-75.2510, -0.0714], AR: [-38.4161, -63.6167], AS: [-14.2710, -170.1322], AT: [47.5162, 14.5501],
+  AU: [-25.2744, 133.7751], AW: [12.5211, -69.9683], AX: [60.1785, 19.9156], AZ: [40.1431, 47.5769],
+  BA: [43.9159, 17.6791], BB: [13.1939, -59.5432], BD: [23.6850, 90.3563], BE: [50.5039, 4.4699],
+  BF: [12.2383, -1.5616], BG: [42.7339, 25.4858], BH: [25.9304, 50.6378], BI: [-3.3731, 29.9189],
+  BJ: [9.3077, 2.3158], BL: [17.9000, -62.8333], BM: [32.3214, -64.7574], BN: [4.5353, 114.7277],
+  BO: [-16.2902, -63.5887], BQ: [12.1784, -68.2385], BR: [-14.2350, -51.9253], BS: [25.0343, -77.3963],
+  BT: [27.5142, 90.4336], BV: [-54.4232, 3.4132], BW: [-22.3285, 24.6849], BY: [53.7098, 27.9534],
+  BZ: [17.1899, -88.4976], CA: [56.1304, -106.3468], CC: [-12.1642, 96.8710], CD: [-4.0383, 21.7587],
+  CF: [6.6111, 20.9394], CG: [-0.2280, 15.8277], CH: [46.8182, 8.2275], CI: [7.5400, -5.5471],
+  CK: [-21.2367, -159.7777], CL: [-35.6751, -71.5430], CM: [7.3697, 12.3547], CN: [35.8617, 104.1954],
+  CO: [4.5709, -74.2973], CR: [9.7489, -83.7534], CU: [21.5218, -77.7812], CV: [16.0021, -24.0132],
+  CW: [12.1696, -68.9900], CX: [-10.4475, 105.6904], CY: [35.1264, 33.4299], CZ: [49.8175, 15.4730],
+  DE: [51.1657, 10.4515], DJ: [11.8251, 42.5903], DK: [56.2639, 9.5018], DM: [15.4150, -61.3710],
+  DO: [18.7357, -70.1627], DZ: [28.0339, 1.6596], EC: [-1.8312, -78.1834], EE: [58.5953, 25.0136],
+  EG: [26.8206, 30.8025], EH: [24.2155, -12.8858], ER: [15.1794, 39.7823], ES: [40.4637, -3.7492],
+  ET: [9.1450, 40.4897], FI: [61.9241, 25.7482], FJ: [-16.5782, 179.4144], FK: [-51.7963, -59.5236],
+  FM: [7.4256, 150.5508], FO: [61.8926, -6.9118], FR: [46.2276, 2.2137], GA: [-0.8037, 11.6094],
+  GB: [55.3781, -3.4360], GD: [12.2628, -61.6042], GE: [42.3154, 43.3569], GF: [3.9339, -53.1258],
+  GG: [49.4657, -2.5853], GH: [7.9465, -1.0232], GI: [36.1377, -5.3454], GL: [71.7069, -42.6043],
+  GM: [13.4432, -15.3101], GN: [9.9456, -9.6966], GP: [16.9960, -62.0676], GQ: [1.6508, 10.2679],
+  GR: [39.0742, 21.8243], GS: [-54.4296, -36.5879], GT: [15.7835, -90.2308], GU: [13.4443, 144.7937],
+  GW: [11.8037, -15.1804], GY: [4.8604, -58.9302], HK: [22.3964, 114.1095], HM: [-53.0818, 73.5042],
+  HN: [15.2000, -86.2419], HR: [45.1000, 15.2000], HT: [18.9712, -72.2852], HU: [47.1625, 19.5033],
+  ID: [-0.7893, 113.9213], IE: [53.1424, -7.6921], IL: [31.0461, 34.8516], IM: [54.2361, -4.5481],
+  IN: [20.5937, 78.9629], IO: [-6.3432, 71.8765], IQ: [33.2232, 43.6793], IR: [32.4279, 53.6880],
+  IS: [64.9631, -19.0208], IT: [41.8719, 12.5674], JE: [49.2144, -2.1313], JM: [18.1096, -77.2975],
+  JO: [30.5852, 36.2384], JP: [36.2048, 138.2529], KE: [-0.0236, 37.9062], KG: [41.2044, 74.7661],
+  KH: [12.5657, 104.9910], KI: [-3.3704, -168.7340], KM: [-11.8750, 43.8722], KN: [17.3578, -62.7830],
+  KP: [40.3399, 127.5101], KR: [35.9078, 127.7669], KW: [29.3117, 47.4818], KY: [19.5135, -80.5670],
+  KZ: [48.0196, 66.9237], LA: [19.8563, 102.4955], LB: [33.8547, 35.8623], LC: [13.9094, -60.9789],
+  LI: [47.1660, 9.5554], LK: [7.8731, 80.7718], LR: [6.4281, -9.4295], LS: [-29.6100, 28.2336],
+  LT: [55.1694, 23.8813], LU: [49.8153, 6.1296], LV: [56.8796, 24.6032], LY: [26.3351, 17.2283],
+  MA: [31.7917, -7.0926], MC: [43.7503, 7.4128], MD: [47.4116, 28.3699], ME: [42.7087, 19.3744],
+  MF: [18.0826, -63.0523], MG: [-18.7669, 46.8691], MH: [7.1315, 171.1845], MK: [41.6086, 21.7453],
+  ML: [17.5707, -3.9962], MM: [21.9140, 95.9562], MN: [46.8625, 103.8467], MO: [22.1987, 113.5439],
+  MP: [17.3308, 145.3847], MQ: [14.6415, -61.0242], MR: [21.0079, -10.9408], MS: [16.7425, -62.1874],
+  MT: [35.9375, 14.3754], MU: [-20.3484, 57.5522], MV: [3.2028, 73.2207], MW: [-13.2543, 34.3015],
+  MX: [23.6345, -102.5528], MY: [4.2105, 101.9758], MZ: [-18.6657, 35.5296], NA: [-22.9576, 18.4904],
+  NC: [-20.9043, 165.6180], NE: [17.6078, 8.0817], NF: [-29.0408, 167.9547], NG: [9.0820, 8.6753],
+  NI: [12.8654, -85.2072], NL: [52.1326, 5.2913], NO: [60.4720, 8.4689], NP: [28.3949, 84.1240],
+  NR: [-0.5228, 166.9315], NU: [-19.0544, -169.8672], NZ: [-40.9006, 174.8860], OM: [21.5126, 55.9233],
+  PA: [8.5380, -80.7821], PE: [-9.1900, -75.0152], PF: [-17.6797, -149.4068], PG: [-6.3150, 143.9555],
+  PH: [12.8797, 121.7740], PK: [30.3753, 69.3451], PL: [51.9194, 19.1451], PM: [46.9419, -56.2711],
+  PN: [-24.7036, -127.4393], PR: [18.2208, -66.5901], PS: [31.9522, 35.2332], PT: [39.3999, -8.2245],
+  PW: [7.5150, 134.5825], PY: [-23.4425, -58.4438], QA: [25.3548, 51.1839], RE: [-21.1151, 55.5364],
+  RO: [45.9432, 24.9668], RS: [44.0165, 21.0059], RU: [61.5240, 105.3188], RW: [-1.9403, 29.8739],
+  SA: [23.8859, 45.0792], SB: [-9.6457, 160.1562], SC: [-4.6796, 55.4920], SD: [12.8628, 30.2176],
+  SE: [60.1282, 18.6435], SG: [1.3521, 103.8198], SH: [-24.1435, -10.0307], SI: [46.1512, 14.9955],
+  SJ: [77.5536, 23.6703], SK: [48.6690, 19.6990], SL: [8.4606, -11.7799], SM: [43.9424, 12.4578],
+  SN: [14.4974, -14.4524], SO: [5.1521, 46.1996], SR: [3.9193, -56.0278], SS: [6.8770, 31.3070],
+  ST: [0.1864, 6.6131], SV: [13.7942, -88.8965], SX: [18.0425, -63.0548], SY: [34.8021, 38.9968],
+  SZ: [-26.5225, 31.4659], TC: [21.6940, -71.7979], TD: [15.4542, 18.7322], TF: [-49.2804, 69.3486],
+  TG: [8.6195, 0.8248], TH: [15.8700, 100.9925], TJ: [38.8610, 71.2761], TK: [-8.9674, -171.8559],
+  TL: [-8.8742, 125.7275], TM: [38.9697, 59.5563], TN: [33.8869, 9.5375], TO: [-21.1790, -175.1982],
+  TR: [38.9637, 35.2433], TT: [10.6918, -61.2225], TV: [-7.1095, 177.6493], TW: [23.6978, 120.9605],
+  TZ: [-6.3690, 34.8888], UA: [48.3794, 31.1656], UG: [1.3733, 32.2903], UM: [19.2823, 166.6470],
+  US: [37.0902, -95.7129], UY: [-32.5228, -55.7658], UZ: [41.3775, 64.5853], VA: [41.9029, 12.4534],
+  VC: [12.9843, -61.2872], VE: [6.4238, -66.5897], VG: [18.4207, -64.6400], VI: [18.3358, -64.8963],
+  VN: [14.0583, 108.2772], VU: [-15.3767, 166.9592], WF: [-13.7688, -177.1561], WS: [-13.7590, -172.1046],
+  XK: [42.6026, 20.9030], YE: [15.5527, 48.5164], YT: [-12.8275, 45.1662], ZA: [-30.5595, 22.9375],
+  ZM: [-13.1339, 27.8493], ZW: [-19.0154, 29.1549],
+};
+
+// ISO 3166-2 first-level subdivisions: code → [name, lat, lon]
+export const SUBDIVISIONS = {
+  "US-AL": ["Alabama", 32.8067, -86.7911],
+  "US-AK": ["Alaska", 61.3707, -152.4044],
+  "US-AZ": ["Arizona", 33.7298, -111.4312],
+  "US-AR": ["Arkansas", 34.9697, -92.3731],
+  "US-CA": ["California", 36.1162, -119.6816],
+  "US-CO": ["Colorado", 39.0598, -105.3111],
+  "US-CT": ["Connecticut", 41.5978, -72.7554],
+  "US-DE": ["Delaware", 39.3185, -75.5071],
+  "US-DC": ["District of Columbia", 38.8974, -77.0268],
+  "US-FL": ["Florida", 27.7663, -81.6868],
+  "US-GA": ["Georgia", 33.0406, -83.6431],
+  "US-HI": ["Hawaii", 21.0943, -157.4983],
+  "US-ID": ["Idaho", 44.2405, -114.4788],
+  "US-IL": ["Illinois", 40.3495, -88.9861],
+  "US-IN": ["Indiana", 39.8494, -86.2583],
+  "US-IA": ["Iowa", 42.0115, -93.2105],
+  "US-KS": ["Kansas", 38.5266, -96.7265],
+  "US-KY": ["Kentucky", 37.6681, -84.6701],
+  "US-LA": ["Louisiana", 31.1695, -91.8678],
+  "US-ME": ["Maine", 44.6939, -69.3819],
+  "US-MD": ["Maryland", 39.0639, -76.8021],
+  "US-MA": ["Massachusetts", 42.2302, -71.5301],
+  "US-MI": ["Michigan", 43.3266, -84.5361],
+  "US-MN": ["Minnesota", 45.6945, -93.9002],
+  "US-MS": ["Mississippi", 32.7416, -89.6787],
+  "US-MO": ["Missouri", 38.4561, -92.2884],
+  "US-MT": ["Montana", 46.9219, -110.4544],
+  "US-NE": ["Nebraska", 41.1254, -98.2681],
+  "US-NV": ["Nevada", 38.3135, -117.0554],
+  "US-NH": ["New Hampshire", 43.4525, -71.5639],
+  "US-NJ": ["New Jersey", 40.2989, -74.5210],
+  "US-NM": ["New Mexico", 34.8405, -106.2485],
+  "US-NY": ["New York", 42.1657, -74.9481],
+  "US-NC": ["North Carolina", 35.6301, -79.8064],
+  "US-ND": ["North Dakota", 47.5289, -99.7840],
+  "US-OH": ["Ohio", 40.3888, -82.7649],
+  "US-OK": ["Oklahoma", 35.5653, -96.9289],
+  "US-OR": ["Oregon", 44.5720, -122.0709],
+  "US-PA": ["Pennsylvania", 40.5908, -77.2098],
+  "US-RI": ["Rhode Island", 41.6809, -71.5118],
+  "US-SC": ["South Carolina", 33.8569, -80.9450],
+  "US-SD": ["South Dakota", 44.2998, -99.4388],
+  "US-TN": ["Tennessee", 35.7478, -86.6923],
+  "US-TX": ["Texas", 31.0545, -97.5635],
+  "US-UT": ["Utah", 40.1500, -111.8624],
+  "US-VT": ["Vermont", 44.0459, -72.7107],
+  "US-VA": ["Virginia", 37.7693, -78.1700],
+  "US-WA": ["Washington", 47.4009, -121.4905],
+  "US-WV": ["West Virginia", 38.4912, -80.9545],
+  "US-WI": ["Wisconsin", 44.2685, -89.6165],
+  "US-WY": ["Wyoming", 42.7560, -107.3025],
+  "CA-AB": ["Alberta", 53.9333, -116.5765],
+  "CA-BC": ["British Columbia", 53.7267, -127.6476],
+  "CA-MB": ["Manitoba", 53.7609, -98.8139],
+  "CA-NB": ["New Brunswick", 46.5653, -66.4619],
+  "CA-NL": ["Newfoundland and Labrador", 53.1355, -57.6604],
+  "CA-NS": ["Nova Scotia", 44.6820, -63.7443],
+  "CA-NT": ["Northwest Territories", 64.8255, -124.8457],
+  "CA-NU": ["Nunavut", 70.2998, -83.1076],
+  "CA-ON": ["Ontario", 51.2538, -85.3232],
+  "CA-PE": ["Prince Edward Island", 46.5107, -63.4168],
+  "CA-QC": ["Quebec", 52.9399, -73.5491],
+  "CA-SK": ["Saskatchewan", 52.9399, -106.4509],
+  "CA-YT": ["Yukon", 64.2823, -135.0000],
+  "AU-ACT": ["Australian Capital Territory", -35.4735, 149.0124],
+  "AU-NSW": ["New South Wales", -31.2532, 146.9211],
+  "AU-NT": ["Northern Territory", -19.4914, 132.5510],
+  "AU-QLD": ["Queensland", -20.9176, 142.7028],
+  "AU-SA": ["South Australia", -30.0002, 136.2092],
+  "AU-TAS": ["Tasmania", -42.0409, 146.8087],
+  "AU-VIC": ["Victoria", -36.9848, 143.3906],
+  "AU-WA": ["Western Australia", -27.6728, 121.6283],
+};
+
+// Non-ISO codes and common names the ISO tables don't carry, by upper-cased input
+export const GEO_ALIASES = {
+  UK: "GB", EL: "GR", XKX: "XK", UAE: "AE", DRC: "CD", "DR CONGO": "CD",
+  ENGLAND: "GB", SCOTLAND: "GB", WALES: "GB", "NORTHERN IRELAND": "GB", BRITAIN: "GB",
+  HOLLAND: "NL", KOREA: "KR", "SOUTH KOREA": "KR", "NORTH KOREA": "KP", LAOS: "LA", SYRIA: "SY",
+  MACEDONIA: "MK", SWAZILAND: "SZ", BURMA: "MM", MOLDOVA: "MD", BRUNEI: "BN", MICRONESIA: "FM",
+  VATICAN: "VA", "VATICAN CITY": "VA",
+};
+
+const SUBDIVISION_BY_NAME = new Map(Object.entries(SUBDIVISIONS).map(([code, [name]]) => [name.toUpperCase(), code]));
+
+// ---------- Resolution ----------
+const cache = new Map();
+
+function resolveCountry(upper, raw) {
+  if (GEO_ALIASES[upper]) return { country: GEO_ALIASES[upper], via: "alias" };
+  if (/^[A-Z]{2}$/.test(upper) && COUNTRY_CENTROIDS[upper]) return { country: upper, via: "alpha2" };
+  if (/^[A-Z]{3}$/.test(upper) && countries.alpha3ToAlpha2(upper)) return { country: countries.alpha3ToAlpha2(upper), via: "alpha3" };
+  if (/^\d{1,3}$/.test(upper) && countries.numericToAlpha2(upper.padStart(3, "0"))) {
+    return { country: countries.numericToAlpha2(upper.padStart(3, "0")), via: "numeric" };
+  }
+  const byName = countries.getAlpha2Code(raw, "en");
+  if (byName) return { country: byName, via: "name" };
+  return null;
+}
+
+/**
+ * Resolve a raw `geo` value to { code, country, subdivision, via } or null.
+ * `code` is the alpha-2 country or the ISO 3166-2 subdivision ("US-TX"); `via` records
+ * how it matched ("alpha2" | "alpha3" | "numeric" | "name" | "alias" | "subdivision").
+ */
+export function resolveGeo(input) {
+  const raw = String(input ?? "").trim();
+  if (!raw) return null;
+  if (cache.has(raw)) return cache.get(raw);
+  const upper = raw.toUpperCase().replace(/\s+/g, " ");
+  let result = null;
+
+  const sub = upper.match(/^([A-Z]{2,3})[-\s_/]([A-Z]{1,3})$/);
+  const subCountry = sub && resolveCountry(sub[1], sub[1]);
+  if (subCountry && SUBDIVISIONS[`${subCountry.country}-${sub[2]}`]) {
+    result = { code: `${subCountry.country}-${sub[2]}`, country: subCountry.country, subdivision: sub[2], via: "subdivision" };
+  } else {
+    const c = resolveCountry(upper, raw);
+    if (c) result = { code: c.country, country: c.country, subdivision: null, via: c.via };
+    else if (SUBDIVISION_BY_NAME.has(upper)) {
+      const code = SUBDIVISION_BY_NAME.get(upper);
+      result = { code, country: code.slice(0, 2), subdivision: code.slice(3), via: "subdivision" };
+    }
+  }
+  cache.set(raw, result);
+  return result;
+}
+
+/**
+ * Resolve a subdivision given apart from its country (a `subdivision` column next to `geo`):
+ * its code or English name within `country` ("TX", "Texas", "US-TX" with "US"). Same shape as
+ * resolveGeo, or null when the country has no such subdivision.
+ */
+export function resolveSubdivision(country, input) {
+  const upper = String(input ?? "").trim().toUpperCase().replace(/\s+/g, " ");
+  const bare = upper.startsWith(`${country}-`) ? upper.slice(country.length + 1) : upper;
+  const code = SUBDIVISIONS[`${country}-${bare}`] ? `${country}-${bare}` : SUBDIVISION_BY_NAME.get(upper);
+  if (!code || code.slice(0, 2) !== country) return null;
+  return { code, country, subdivision: code.slice(3), via: "subdivision" };
+}
+
+/** Normalized code for storage: the resolved code, or the trimmed upper-cased input when unresolved. */
+export function normalizeGeo(input) {
+  const r = resolveGeo(input);
+  return r ? r.code : String(input ?? "").trim().toUpperCase();
+}
+
+/** [lat, lon] for a raw or normalized `geo` value; subdivisions use their own centroid. */
+export function centroidFor(input) {
+  const r = resolveGeo(input);
+  if (!r) return null;
+  if (r.subdivision) return SUBDIVISIONS[r.code].slice(1);
+  return COUNTRY_CENTROIDS[r.country] || null;
+}
+
+/** English display name for a code ("GB" → "United Kingdom", "US-TX" → "Texas"). */
+export function geoName(input) {
+  const r = resolveGeo(input);
+  if (!r) return String(input ?? "");
+  return r.subdivision ? SUBDIVISIONS[r.code][0] : countries.getName(r.country, "en") || r.country;
+}
+
+export const COUNTRY_CODES = Object.keys(COUNTRY_CENTROIDS);
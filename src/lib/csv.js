@@ -0,0 +1,167 @@
+/**
+ * RFC 4180 CSV parsing
+ * --------------------
+ * - Quoted fields with embedded delimiters, quotes ("") and line breaks
+ * - UTF-8 BOM stripped; CRLF / LF / CR line endings
+ * - Delimiter auto-detected from the header line (comma, semicolon or tab)
+ * - Optional header aliases, matched case-insensitively, map to canonical names; an explicit
+ *   column mapping (the upload wizard's) takes precedence
+ * - The header → table step is shared with the XLSX / JSON / GeoJSON readers (lib/sources.js)
+ * - toCSV writes rows back out with the same quoting rules (used by the exports), optionally
+ *   defusing text cells a spreadsheet would run as a formula
+ */
+
+const DELIMITERS = [",", ";", "\t"];
+
+/** Pick the delimiter that splits the (unquoted) header line into the most fields. */
+export function detectDelimiter(text) {
+  const firstLine = text.split(/\r\n|\n|\r/, 1)[0].replace(/"[^"]*"/g, "");
+  let best = ",";
+  let bestCount = 0;
+  DELIMITERS.forEach((d) => {
+    const count = firstLine.split(d).length - 1;
+    if (count > bestCount) {
+      best = d;
+      bestCount = count;
+    }
+  });
+  return best;
+}
+
+/**
+ * Tokenize CSV text into records of raw string fields.
+ * Each record carries the 1-based line number it starts on, for error reporting.
+ */
+export function tokenize(text, delimiter = ",") {
+  const records = [];
+  let field = "";
+  let fields = [];
+  let quoted = false;
+  let line = 1;
+  let startLine = 1;
+  let i = 0;
+
+  const endField = () => {
+    fields.push(field);
+    field = "";
+  };
+  const endRecord = () => {
+    endField();
+    // Skip blank lines (a single empty field)
+    if (!(fields.length === 1 && fields[0] === "")) records.push({ line: startLine, fields });
+    fields = [];
+    startLine = line;
+  };
+
+  while (i < text.length) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"') {
+        if (text[i + 1] === '"') {
+          field += '"';
+          i += 2;
+          continue;
+        }
+        quoted = false;
+      } else {
+        if (ch === "\n" || (ch === "\r" && text[i + 1] !== "\n")) line += 1;
+        field += ch;
+      }
+      i += 1;
+      continue;
+    }
+    if (ch === '"' && field.trim() === "") {
+      quoted = true;
+      field = "";
+    } else if (ch === delimiter) {
+      endField();
+    } else if (ch === "\r" || ch === "\n") {
+      if (ch === "\r" && text[i + 1] === "\n") i += 1;
+      line += 1;
+      endRecord();
+    } else {
+      field += ch;
+    }
+    i += 1;
+  }
+  if (field !== "" || fields.length) endRecord();
+  return records;
+}
+
+/** Build a lookup from lower-cased alias → canonical header name. */
+export function aliasLookup(aliases) {
+  const map = new Map();
+  Object.entries(aliases).forEach(([canonical, names]) => {
+    map.set(canonical.toLowerCase(), canonical);
+    names.forEach((n) => map.set(n.toLowerCase(), canonical));
+  });
+  return map;
+}
+
+/**
+ * Split CSV text into a header row and body records.
+ * Returns { delimiter, head: [header], body: [{ line, fields }] }.
+ */
+export function parseGrid(text, { delimiter } = {}) {
+  const clean = String(text).replace(/^\uFEFF/, "");
+  const delim = delimiter || detectDelimiter(clean);
+  const [head, ...body] = tokenize(clean, delim);
+  return { delimiter: delim, head: head ? head.fields : [], body };
+}
+
+/**
+ * Turn a header row and body records into a table. Each header is renamed by `mapping`
+ * (source header → canonical name, "" to drop the column) or else by `aliases`.
+ * Returns { headers, delimiter, records } where each record is
+ * { line, row, width } — `row` keyed by (canonical) header, `width` the raw field count.
+ */
+export function tableFromGrid(head, body, { delimiter = ",", aliases = {}, mapping = null } = {}) {
+  const lookup = aliasLookup(aliases);
+  const headers = head.map((h) => {
+    const name = String(h).trim();
+    if (mapping && mapping[name] !== undefined) return mapping[name];
+    return lookup.get(name.toLowerCase()) || name;
+  });
+  const records = body.map(({ line, fields }) => {
+    const row = {};
+    headers.forEach((h, i) => {
+      if (!h) return;
+      // First non-empty value wins when two source columns alias to the same name
+      const v = String(fields[i] ?? "").trim();
+      if (row[h] === undefined || row[h] === "") row[h] = v;
+    });
+    return { line, row, width: fields.length };
+  });
+  return { headers, delimiter, records };
+}
+
+/** Parse CSV text into a table (see tableFromGrid). */
+export function parseTable(text, { delimiter, aliases = {}, mapping = null } = {}) {
+  const grid = parseGrid(text, { delimiter });
+  return tableFromGrid(grid.head, grid.body, { delimiter: grid.delimiter, aliases, mapping });
+}
+
+/** Convenience wrapper: just the row objects. */
+export function parseCSV(text, options) {
+  return parseTable(text, options).records.map((r) => r.row);
+}
+
+// Leading characters that make Excel / Sheets / Calc evaluate a cell as a formula
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const quoteField = (v, escapeFormulas) => {
+  let s = v == null ? "" : String(v);
+  if (escapeFormulas && typeof v === "string" && FORMULA_START.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+/**
+ * Serialize row objects to RFC 4180 CSV (CRLF line endings) with the given column order.
+ * With `escapeFormulas` (files meant to be opened in a spreadsheet), text cells starting with
+ * = + - @, a tab or a CR get a leading `'`; numbers, negative ones included, are written as-is.
+ */
+export function toCSV(rows, columns, { escapeFormulas = false } = {}) {
+  return [columns, ...rows.map((r) => columns.map((c) => r[c]))]
+    .map((fields) => fields.map((v) => quoteField(v, escapeFormulas)).join(","))
+    .join("\r\n");
+}
@@ -0,0 +1,194 @@
+/**
+ * Classification diagnostics against observed outcomes
+ * ----------------------------------------------------
+ * When the companies file carries `had_claim` (0/1) and / or `incurred_loss`, EHEI is checked
+ * as a classifier: confusion matrix at a threshold, ROC and precision-recall curves, lift by
+ * EHEI decile, calibration, and the referral-volume vs captured-loss trade-off.
+ * A company's outcome is `had_claim` when given, else `incurred_loss > 0`; rows with neither are skipped.
+ * Captured losses are incurred amounts only when every labelled row has one, else claim counts.
+ */
+import { isHigh } from "./portfolio.js";
+
+export const OUTCOME_COLUMNS = { had_claim: "Had claim", incurred_loss: "Incurred loss" };
+
+/** 1 / 0 for a known outcome, null when the row has none. */
+export function outcomeOf(c) {
+  if (c.had_claim === 0 || c.had_claim === 1) return c.had_claim;
+  if (Number.isFinite(c.incurred_loss)) return c.incurred_loss > 0 ? 1 : 0;
+  return null;
+}
+
+/**
+ * How "captured losses" are measured over the labelled rows: by incurred amount when every one
+ * carries `incurred_loss`, else by claim count for the whole book, so a partly filled column
+ * never mixes counts with amounts. Returns { basis: "amount" | "claims", missing } where
+ * `missing` counts labelled rows without an amount.
+ */
+export function lossBasis(rows) {
+  const known = rows.filter((c) => outcomeOf(c) !== null && Number.isFinite(Number(c.EHEI)));
+  const missing = known.filter((c) => !Number.isFinite(c.incurred_loss)).length;
+  return { basis: known.length && !missing ? "amount" : "claims", missing };
+}
+
+export const hasOutcomes = (rows) => rows.some((c) => outcomeOf(c) !== null);
+
+/** Rows with a known outcome, as { score, y, loss, row }, highest score first. */
+export function labelled(rows) {
+  const byAmount = lossBasis(rows).basis === "amount";
+  return rows
+    .map((row) => ({ score: Number(row.EHEI), y: outcomeOf(row), loss: byAmount ? row.incurred_loss : outcomeOf(row) || 0, row }))
+    .filter((d) => d.y !== null && Number.isFinite(d.score))
+    .sort((a, b) => b.score - a.score);
+}
+
+const ratio = (a, b) => (b ? a / b : null);
+
+function metrics({ tp, fp, tn, fn }) {
+  const precision = ratio(tp, tp + fp);
+  const recall = ratio(tp, tp + fn);
+  return {
+    tp, fp, tn, fn,
+    precision,
+    recall,
+    specificity: ratio(tn, tn + fp),
+    accuracy: ratio(tp + tn, tp + fp + tn + fn),
+    f1: precision != null && recall != null && precision + recall ? (2 * precision * recall) / (precision + recall) : null,
+  };
+}
+
+/** Confusion matrix + rates for "EHEI ≥ threshold" as the positive prediction. */
+export function confusionMatrix(rows, threshold) {
+  const c = { tp: 0, fp: 0, tn: 0, fn: 0 };
+  labelled(rows).forEach(({ score, y }) => {
+    const pred = score >= threshold;
+    c[pred ? (y ? "tp" : "fp") : y ? "fn" : "tn"] += 1;
+  });
+  return metrics(c);
+}
+
+/** Same rates for the uploaded `is_high_risk` flag, so the given labels can be checked too. */
+export function flagConfusion(rows) {
+  const c = { tp: 0, fp: 0, tn: 0, fn: 0 };
+  rows.forEach((row) => {
+    const y = outcomeOf(row);
+    if (y === null) return;
+    const pred = isHigh(row);
+    c[pred ? (y ? "tp" : "fp") : y ? "fn" : "tn"] += 1;
+  });
+  return metrics(c);
+}
+
+/**
+ * Cumulative counts at every distinct score (highest first), ties handled as one step.
+ * Each point: { threshold, tp, fp, referred, loss }.
+ */
+function sweep(data) {
+  const points = [];
+  let tp = 0;
+  let fp = 0;
+  let loss = 0;
+  data.forEach((d, i) => {
+    if (d.y) tp += 1;
+    else fp += 1;
+    loss += d.loss;
+    if (i === data.length - 1 || data[i + 1].score !== d.score) points.push({ threshold: d.score, tp, fp, referred: i + 1, loss });
+  });
+  return points;
+}
+
+/** ROC curve [{ fpr, tpr, threshold }] from (0,0) to (1,1) and its trapezoidal AUC (null without both classes). */
+export function rocCurve(rows) {
+  const data = labelled(rows);
+  const pos = data.filter((d) => d.y).length;
+  const neg = data.length - pos;
+  if (!pos || !neg) return { points: [], auc: null };
+  const points = [{ fpr: 0, tpr: 0, threshold: Infinity }, ...sweep(data).map((p) => ({ fpr: p.fp / neg, tpr: p.tp / pos, threshold: p.threshold }))];
+  let auc = 0;
+  for (let i = 1; i < points.length; i++) auc += (points[i].fpr - points[i - 1].fpr) * (points[i].tpr + points[i - 1].tpr) / 2;
+  return { points, auc };
+}
+
+/** Precision-recall curve [{ recall, precision, threshold }] and average precision (step-wise). */
+export function prCurve(rows) {
+  const data = labelled(rows);
+  const pos = data.filter((d) => d.y).length;
+  if (!pos) return { points: [], averagePrecision: null, baseRate: 0 };
+  const points = sweep(data).map((p) => ({ recall: p.tp / pos, precision: p.tp / p.referred, threshold: p.threshold }));
+  let ap = 0;
+  let prevRecall = 0;
+  points.forEach((p) => {
+    ap += (p.recall - prevRecall) * p.precision;
+    prevRecall = p.recall;
+  });
+  return { points, averagePrecision: ap, baseRate: pos / data.length };
+}
+
+/**
+ * Lift by EHEI decile (decile 1 = highest scores):
+ * [{ decile, companies, minEHEI, maxEHEI, claimRate, lift, lossShare, cumLossShare }].
+ */
+export function liftByDecile(rows, groups = 10) {
+  const data = labelled(rows);
+  if (!data.length) return [];
+  const baseRate = data.filter((d) => d.y).length / data.length;
+  const totalLoss = data.reduce((a, d) => a + d.loss, 0);
+  const out = [];
+  let cum = 0;
+  for (let g = 0; g < groups; g++) {
+    const slice = data.slice(Math.floor((g * data.length) / groups), Math.floor(((g + 1) * data.length) / groups));
+    if (!slice.length) continue;
+    const claimRate = slice.filter((d) => d.y).length / slice.length;
+    const loss = slice.reduce((a, d) => a + d.loss, 0);
+    cum += loss;
+    out.push({
+      decile: g + 1,
+      companies: slice.length,
+      minEHEI: slice[slice.length - 1].score,
+      maxEHEI: slice[0].score,
+      claimRate,
+      lift: baseRate ? claimRate / baseRate : null,
+      lossShare: totalLoss ? loss / totalLoss : 0,
+      cumLossShare: totalLoss ? cum / totalLoss : 0,
+    });
+  }
+  return out;
+}
+
+/** Calibration in equal-width EHEI bins: [{ bin, meanEHEI, observedRate, companies }] (empty bins omitted). */
+export function calibration(rows, bins = 10) {
+  const acc = Array.from({ length: bins }, () => ({ n: 0, score: 0, y: 0 }));
+  labelled(rows).forEach(({ score, y }) => {
+    const b = acc[Math.min(bins - 1, Math.max(0, Math.floor(score * bins)))];
+    b.n += 1;
+    b.score += score;
+    b.y += y;
+  });
+  return acc
+    .map((b, i) => ({ bin: `${(i / bins).toFixed(1)}–${((i + 1) / bins).toFixed(1)}`, meanEHEI: b.n ? b.score / b.n : null, observedRate: b.n ? b.y / b.n : null, companies: b.n }))
+    .filter((b) => b.companies > 0);
+}
+
+/**
+ * Referral trade-off: share of the (labelled) book referred at each threshold vs share of
+ * claims and losses captured. Returns { curve: [{ threshold, referredPct, claimsPct, lossPct }], at(threshold),
+ * basis, missing } with the loss basis from lossBasis.
+ */
+export function referralTradeoff(rows) {
+  const data = labelled(rows);
+  const n = data.length;
+  const pos = data.filter((d) => d.y).length;
+  const totalLoss = data.reduce((a, d) => a + d.loss, 0);
+  const toPoint = (p) => ({
+    threshold: p.threshold,
+    referred: p.referred,
+    referredPct: n ? p.referred / n : 0,
+    claimsPct: pos ? p.tp / pos : 0,
+    lossPct: totalLoss ? p.loss / totalLoss : 0,
+  });
+  const curve = [{ threshold: Infinity, referred: 0, referredPct: 0, claimsPct: 0, lossPct: 0 }, ...sweep(data).map(toPoint)];
+  const at = (threshold) => {
+    const hit = [...curve].reverse().find((p) => p.threshold >= threshold);
+    return hit || curve[0];
+  };
+  return { curve, at, ...lossBasis(rows) };
+}
@@ -0,0 +1,69 @@
+/**
+ * Client-side downloads and chart images
+ * --------------------------------------
+ * Everything is produced in the browser: files are handed over through object URLs, chart
+ * SVGs are serialized from the rendered Recharts DOM, and PNGs are rasterized on a canvas.
+ */
+
+/** Download `content` (string or Blob) as `name` via a temporary link. */
+export function downloadFile(name, content, type = "text/plain") {
+  const blob = content instanceof Blob ? content : new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = name;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/** File-name-safe slug, e.g. "High-Risk % by Industry" → "high-risk-by-industry". */
+export const slug = (s) =>
+  String(s)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "") || "export";
+
+/**
+ * Standalone SVG markup for the first Recharts surface inside `container`, with the xmlns,
+ * explicit size and a white background so it renders the same outside the page.
+ * Returns { svg, width, height } or null when no chart is rendered.
+ */
+export function chartSvg(container) {
+  const surface = container?.querySelector("svg.recharts-surface");
+  if (!surface) return null;
+  const { width, height } = surface.getBoundingClientRect();
+  const w = Math.round(width || Number(surface.getAttribute("width")) || 600);
+  const h = Math.round(height || Number(surface.getAttribute("height")) || 300);
+  const clone = surface.cloneNode(true);
+  clone.setAttribute("xmlns", "http://www.w3.org/2000/svg");
+  clone.setAttribute("width", w);
+  clone.setAttribute("height", h);
+  clone.setAttribute("style", "font-family: Inter, system-ui, sans-serif; font-size: 12px; background: #fff");
+  const bg = document.createElementNS("http://www.w3.org/2000/svg", "rect");
+  bg.setAttribute("width", "100%");
+  bg.setAttribute("height", "100%");
+  bg.setAttribute("fill", "#fff");
+  clone.insertBefore(bg, clone.firstChild);
+  return { svg: new XMLSerializer().serializeToString(clone), width: w, height: h };
+}
+
+/** Rasterize SVG markup to a PNG Blob at `scale`× (2 by default, for sharp slides). */
+export function svgToPng({ svg, width, height }, scale = 2) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => {
+      const canvas = document.createElement("canvas");
+      canvas.width = width * scale;
+      canvas.height = height * scale;
+      const ctx = canvas.getContext("2d");
+      ctx.fillStyle = "#fff";
+      ctx.fillRect(0, 0, canvas.width, canvas.height);
+      ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+      canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error("PNG export failed"))), "image/png");
+    };
+    img.onerror = () => reject(new Error("Could not render the chart image"));
+    img.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+  });
+}
@@ -0,0 +1,174 @@
+/**
+ * EHEI scoring — the documented formula, computed in-browser from raw drivers
+ * ---------------------------------------------------------------------------
+ * EHEI = 0.40·ClimateRisk + 0.25·WorkerIncidents + 0.20·ComplianceFines + 0.15·HazardExposure
+ * EHEI = EHEI × (1 − 0.6·ESG_Mitigation);   ESG_Mitigation = 0.35·E + 0.35·S + 0.30·G
+ *
+ * Every driver is min-max scaled to 0–1 across the uploaded book before weighting,
+ * so scores are portfolio-relative (a column with no spread sits mid-scale, FLAT_DRIVER_SCALE).
+ * A score is only computed from all four hazard drivers; ingestion rejects rows missing one.
+ */
+
+// ---------- Formula constants ----------
+export const HAZARD_WEIGHTS = {
+  climate_risk: 0.4,
+  worker_incidents_per_1k: 0.25,
+  compliance_fines_musd: 0.2,
+  hazardous_material_exposure: 0.15,
+};
+
+export const ESG_WEIGHTS = { E_score: 0.35, S_score: 0.35, G_score: 0.3 };
+
+export const MITIGATION_FACTOR = 0.6;
+
+// Matches the sample data: EHEI ≥ 0.60 is flagged high risk (amber/red on the map)
+export const HIGH_RISK_THRESHOLD = 0.6;
+
+export const DEFAULT_PARAMS = {
+  hazardWeights: HAZARD_WEIGHTS,
+  esgWeights: ESG_WEIGHTS,
+  mitigation: MITIGATION_FACTOR,
+  threshold: HIGH_RISK_THRESHOLD,
+};
+
+export const HAZARD_DRIVERS = Object.keys(HAZARD_WEIGHTS);
+export const ESG_DRIVERS = Object.keys(ESG_WEIGHTS);
+export const DRIVER_COLUMNS = [...HAZARD_DRIVERS, ...ESG_DRIVERS];
+
+export const DRIVER_LABELS = {
+  climate_risk: "Climate risk",
+  worker_incidents_per_1k: "Worker incidents",
+  compliance_fines_musd: "Compliance fines",
+  hazardous_material_exposure: "Hazard exposure",
+  E_score: "E",
+  S_score: "S",
+  G_score: "G",
+};
+
+// Short/lower-case headers accepted for the ESG pillars
+const DRIVER_ALIASES = {
+  E_score: ["E_score", "e_score", "E", "e"],
+  S_score: ["S_score", "s_score", "S", "s"],
+  G_score: ["G_score", "g_score", "G", "g"],
+};
+
+// ---------- Helpers ----------
+const toNum = (v) => (v === "" || v == null ? NaN : Number(v));
+
+function readDriver(row, col) {
+  const keys = DRIVER_ALIASES[col] || [col];
+  for (const k of keys) {
+    const n = toNum(row[k]);
+    if (Number.isFinite(n)) return n;
+  }
+  return NaN;
+}
+
+// Min-max scaler for one driver column. A column with no range (one row, or the same value
+// everywhere) has nothing to rank against, so its values sit mid-scale rather than at 0.
+export const FLAT_DRIVER_SCALE = 0.5;
+
+function scaler(values) {
+  const finite = values.filter(Number.isFinite);
+  if (!finite.length) return () => 0;
+  const min = Math.min(...finite);
+  const max = Math.max(...finite);
+  const span = max - min;
+  if (span === 0) return (v) => (Number.isFinite(v) ? FLAT_DRIVER_SCALE : 0);
+  return (v) => (Number.isFinite(v) ? (v - min) / span : 0);
+}
+
+const round = (x, dp = 4) => +x.toFixed(dp);
+
+/** True when the rows carry every hazard driver column (ESG pillars are optional). */
+export function hasDrivers(rows) {
+  if (!rows.length) return false;
+  return HAZARD_DRIVERS.every((col) => rows.some((r) => Number.isFinite(readDriver(r, col))));
+}
+
+/** Hazard drivers a row leaves blank or non-numeric; its EHEI cannot be computed without them. */
+export const missingHazardDrivers = (row) => HAZARD_DRIVERS.filter((col) => !Number.isFinite(readDriver(row, col)));
+
+/** Driver columns present in the rows but with a single value throughout (scaled to FLAT_DRIVER_SCALE). */
+export function flatDrivers(rows) {
+  return DRIVER_COLUMNS.filter((col) => {
+    const values = rows.map((r) => readDriver(r, col)).filter(Number.isFinite);
+    return values.length > 0 && Math.min(...values) === Math.max(...values);
+  });
+}
+
+/**
+ * Score one row from already-scaled (0–1) drivers.
+ * Missing ESG pillars contribute nothing to mitigation.
+ */
+export function eheiFromScaled(scaled, params = DEFAULT_PARAMS) {
+  const hazard = HAZARD_DRIVERS.reduce((a, k) => a + (params.hazardWeights[k] || 0) * (scaled[k] || 0), 0);
+  const mitigation = ESG_DRIVERS.reduce((a, k) => a + (params.esgWeights[k] || 0) * (scaled[k] || 0), 0);
+  return Math.min(1, Math.max(0, hazard * (1 - params.mitigation * mitigation)));
+}
+
+/**
+ * Normalize raw driver columns across the book and compute EHEI + is_high_risk.
+ * Returns new rows with numeric driver values, their scaled counterparts under
+ * `scaled`, and `ehei_source` set to "computed". Rows that already carry an EHEI
+ * keep it (source "supplied"); only the missing scores are filled in.
+ */
+export function scoreCompanies(rows, params = DEFAULT_PARAMS) {
+  const raw = rows.map((r) => Object.fromEntries(DRIVER_COLUMNS.map((c) => [c, readDriver(r, c)])));
+  const scalers = Object.fromEntries(DRIVER_COLUMNS.map((c) => [c, scaler(raw.map((d) => d[c]))]));
+
+  return rows.map((r, i) => {
+    const drivers = raw[i];
+    const scaled = Object.fromEntries(DRIVER_COLUMNS.map((c) => [c, round(scalers[c](drivers[c]))]));
+    const supplied = toNum(r.EHEI ?? r.ehei);
+    const computed = round(eheiFromScaled(scaled, params));
+    const EHEI = Number.isFinite(supplied) ? supplied : computed;
+    const flag = r.is_high_risk ?? r.high;
+    return {
+      ...r,
+      ...Object.fromEntries(DRIVER_COLUMNS.map((c) => [c, Number.isFinite(drivers[c]) ? drivers[c] : null])),
+      scaled,
+      EHEI,
+      is_high_risk: flag === undefined || flag === "" ? (EHEI >= params.threshold ? "1" : "0") : String(flag),
+      ehei_source: Number.isFinite(supplied) ? "supplied" : "computed",
+    };
+  });
+}
+
+/** Human-readable formula lines for the given params (used in the Formula & Data Notes card). */
+export function formulaText(params = DEFAULT_PARAMS) {
+  const h = params.hazardWeights;
+  const e = params.esgWeights;
+  const f = (x) => Number(x).toFixed(2);
+  return (
+    `EHEI = ${f(h.climate_risk)}·ClimateRisk + ${f(h.worker_incidents_per_1k)}·WorkerIncidents + ${f(h.compliance_fines_musd)}·ComplianceFines + ${f(h.hazardous_material_exposure)}·HazardExposure\n` +
+    `EHEI = EHEI × (1 − ${params.mitigation}·ESG_Mitigation);   ESG_Mitigation = ${f(e.E_score)}·E + ${f(e.S_score)}·S + ${f(e.G_score)}·G (scaled 0–1)`
+  );
+}
+
+// ---------- Live re-scoring (weight editor / scenarios) ----------
+
+/** True when params match the documented formula and threshold. */
+export function isDefaultParams(params) {
+  const same = (a, b) => Object.keys(b).every((k) => Number(a[k]) === b[k]);
+  return (
+    same(params.hazardWeights, HAZARD_WEIGHTS) &&
+    same(params.esgWeights, ESG_WEIGHTS) &&
+    Number(params.mitigation) === MITIGATION_FACTOR &&
+    Number(params.threshold) === HIGH_RISK_THRESHOLD
+  );
+}
+
+/**
+ * Re-score loaded companies under alternative params.
+ * Rows whose EHEI was computed from drivers are re-weighted from their scaled drivers;
+ * rows with a supplied EHEI keep the score and only respond to the threshold.
+ * With the documented params the input array is returned untouched.
+ */
+export function rescoreCompanies(companies, params = DEFAULT_PARAMS) {
+  if (isDefaultParams(params)) return companies;
+  return companies.map((c) => {
+    const EHEI = c.ehei_source === "computed" && c.scaled ? round(eheiFromScaled(c.scaled, params)) : Number(c.EHEI);
+    return { ...c, EHEI, is_high_risk: EHEI >= params.threshold ? "1" : "0" };
+  });
+}
@@ -0,0 +1,90 @@
+/**
+ * Headless scoring engine
+ * -----------------------
+ * The dashboard's companies pipeline without React or the DOM, for batch jobs (bin/esg-score.js)
+ * and tests: ingest a companies file, re-score it under the weight-editor params, apply the
+ * cross-filter, and compute the KPIs, group aggregations and map placements the dashboard shows.
+ * Every step calls the same lib functions the App hooks use, so the numbers match; nothing here
+ * needs a browser (the bundled country boundaries are deliberately not imported).
+ */
+import { DEFAULT_PARAMS, HIGH_RISK_THRESHOLD, rescoreCompanies } from "./ehei.js";
+import { aggregateBy, availableExposures, computeKpis, eheiBand, exposureKpis } from "./portfolio.js";
+import { EMPTY_CROSSFILTER, applyCrossfilter } from "./filters.js";
+import { ingestCompanies } from "./ingest.js";
+import { placeCompany, unplacedSummary } from "./spatial.js";
+import { exportRows } from "./report.js";
+
+export { parseCSV, parseTable, toCSV } from "./csv.js";
+export { ingestCompanies } from "./ingest.js";
+export { detectFormat, readSource } from "./sources.js";
+export { DEFAULT_PARAMS, isDefaultParams, rescoreCompanies, scoreCompanies } from "./ehei.js";
+export { EXPOSURE_COLUMNS, GROUP_KEYS, aggregateBy, computeKpis, eheiBand, exposureKpis } from "./portfolio.js";
+export { EMPTY_CROSSFILTER, applyCrossfilter, crossfilterFromQuery } from "./filters.js";
+export { placeCompanies, placeCompany, unplacedSummary } from "./spatial.js";
+export { centroidFor, resolveGeo } from "./countries.js";
+
+/**
+ * Params for a batch run: DEFAULT_PARAMS overridden by a params object or a saved scenario
+ * ({ name, params }, as the weight editor stores them). Partial objects are merged per group.
+ */
+export function resolveParams(input = null) {
+  const p = input?.params ?? input ?? {};
+  return {
+    hazardWeights: { ...DEFAULT_PARAMS.hazardWeights, ...p.hazardWeights },
+    esgWeights: { ...DEFAULT_PARAMS.esgWeights, ...p.esgWeights },
+    mitigation: p.mitigation ?? DEFAULT_PARAMS.mitigation,
+    threshold: p.threshold ?? DEFAULT_PARAMS.threshold,
+  };
+}
+
+/**
+ * Ingest and score one companies file exactly as an upload would be — CSV text or a readSource
+ * grid (XLSX / JSON / GeoJSON) — validated and scored by lib/ingest.js (drivers are min-max
+ * scaled within this file), then re-scored under `params`.
+ * Returns { rows, report } — the report is the same one the validation panel shows.
+ */
+export function scoreBook(input, { file = "", params = DEFAULT_PARAMS } = {}) {
+  const { rows, report } = ingestCompanies(input, { file });
+  return { rows: rescoreCompanies(rows, params), report };
+}
+
+/**
+ * Dashboard figures for scored rows: the rows in view under `filters`, headline KPIs (weighted
+ * by `weight` when the book carries that exposure column, otherwise by count — the dashboard's
+ * fallback), exposure KPIs, the High-Risk % aggregation by `groupBy` and map placement counts.
+ * Returns { rows, weight, kpis, exposure, groups, placement }.
+ */
+export function summarizeBook(
+  rows,
+  { threshold = HIGH_RISK_THRESHOLD, weight = "count", groupBy = "industry", filters = EMPTY_CROSSFILTER } = {}
+) {
+  const inView = applyCrossfilter(rows, filters, { threshold });
+  const w = availableExposures(rows).includes(weight) ? weight : "count";
+  const placed = { exact: 0, centroid: 0 };
+  inView.forEach((c) => {
+    const { placement } = placeCompany(c);
+    if (placement !== "unplaced") placed[placement] += 1;
+  });
+  return {
+    rows: inView,
+    weight: w,
+    kpis: computeKpis(inView, { weight: w }),
+    exposure: exposureKpis(inView),
+    groups: aggregateBy(inView, groupBy, { threshold, weight: w }),
+    placement: { ...placed, ...unplacedSummary(inView) },
+  };
+}
+
+/**
+ * Flat scored rows for CSV / JSON output: the export columns (lib/report.js) plus the EHEI band
+ * and the map placement, with lat / lon filled from the centroid where the dashboard would.
+ * Returns { columns, rows }.
+ */
+export function scoredRecords(rows, { threshold = HIGH_RISK_THRESHOLD } = {}) {
+  return exportRows(
+    rows.map((c) => {
+      const { lat, lon, placement } = placeCompany(c);
+      return { ...c, lat, lon, band: eheiBand(c.EHEI, threshold), placement };
+    })
+  );
+}
@@ -0,0 +1,73 @@
+/**
+ * Company explorer: filtering, sorting and paging
+ * -----------------------------------------------
+ * Pure helpers behind the company grid. Filtering and sorting run over the whole book
+ * once per change; only the current page is rendered, so 10k+ rows stay responsive.
+ */
+import { exposureOf, isHigh } from "./portfolio.js";
+
+export const PAGE_SIZES = [25, 50, 100, 250];
+
+// Grid-local filters; industry / geo / band slicing is the shared cross-filter (lib/filters.js)
+export const EMPTY_FILTERS = { search: "", eheiMin: "", eheiMax: "", highRisk: "all" };
+
+/**
+ * Apply the explorer filters. `search` matches name or id (case-insensitive substring);
+ * `eheiMin`/`eheiMax` are inclusive ("" = open); `highRisk` is "all" | "yes" | "no".
+ */
+export function filterCompanies(rows, filters = EMPTY_FILTERS) {
+  const { search = "", eheiMin = "", eheiMax = "", highRisk = "all" } = filters;
+  const q = search.trim().toLowerCase();
+  const min = eheiMin === "" ? -Infinity : Number(eheiMin);
+  const max = eheiMax === "" ? Infinity : Number(eheiMax);
+  return rows.filter((c) => {
+    if (q && !String(c.company || "").toLowerCase().includes(q) && !String(c.company_id || "").toLowerCase().includes(q)) return false;
+    const e = Number(c.EHEI);
+    if (e < min || e > max) return false;
+    if (highRisk !== "all" && isHigh(c) !== (highRisk === "yes")) return false;
+    return true;
+  });
+}
+
+/** Number of active (non-default) filters, for the "clear filters" affordance. */
+export function activeFilterCount(filters) {
+  return Object.keys(EMPTY_FILTERS).filter((k) => String(filters[k]).trim() !== EMPTY_FILTERS[k]).length;
+}
+
+const collator = new Intl.Collator("en", { numeric: true, sensitivity: "base" });
+
+function sortValue(c, key) {
+  if (key === "EHEI") return Number(c.EHEI);
+  if (key === "is_high_risk") return isHigh(c) ? 1 : 0;
+  if (key === "company" || key === "company_id" || key === "industry" || key === "geo") return c[key] ?? "";
+  if (key.startsWith("risk:")) return Number(c.EHEI) * exposureOf(c, key.slice(5));
+  if (key.startsWith("pct_")) return c[key] ?? NaN;
+  return exposureOf(c, key);
+}
+
+/**
+ * Stable sort by `key` ("company" | "company_id" | "industry" | "geo" | "EHEI" | "is_high_risk",
+ * an exposure column, "risk:<column>" for EHEI × exposure, or a "pct_*" peer percentile).
+ * Missing numbers and blank text sort last.
+ */
+export function sortCompanies(rows, { key = "EHEI", dir = "desc" } = {}) {
+  const sign = dir === "asc" ? 1 : -1;
+  return rows
+    .map((c, i) => ({ c, i, v: sortValue(c, key) }))
+    .sort((a, b) => {
+      const aMissing = a.v === "" || (typeof a.v === "number" && !Number.isFinite(a.v));
+      const bMissing = b.v === "" || (typeof b.v === "number" && !Number.isFinite(b.v));
+      if (aMissing !== bMissing) return aMissing ? 1 : -1;
+      const cmp = typeof a.v === "number" && typeof b.v === "number" ? a.v - b.v : collator.compare(String(a.v), String(b.v));
+      return cmp * sign || a.i - b.i;
+    })
+    .map((x) => x.c);
+}
+
+/** Slice one page; `page` is clamped to the available range. Returns { rows, page, pages, start }. */
+export function paginate(rows, page, pageSize) {
+  const pages = Math.max(1, Math.ceil(rows.length / pageSize));
+  const p = Math.min(Math.max(0, page), pages - 1);
+  const start = p * pageSize;
+  return { rows: rows.slice(start, start + pageSize), page: p, pages, start };
+}
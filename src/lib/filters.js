@@ -0,0 +1,93 @@
+/**
+ * Cross-filter state shared by the map, charts and company explorer
+ * ------------------------------------------------------------------
+ * - Multi-select industry / geo / EHEI-band filters plus a map selection rectangle (bbox)
+ * - Each view can skip its own dimension (`except`), so clicking a bar still shows the other bars
+ * - The whole state, plus the selected company, round-trips through the URL query string
+ */
+import { EHEI_BANDS, groupValue } from "./portfolio.js";
+import { placeCompany } from "./spatial.js";
+
+export const EMPTY_CROSSFILTER = { industries: [], geos: [], bands: [], bbox: null };
+
+// Chart group-by key → the filter list it drives
+export const GROUP_FILTERS = { industry: "industries", geo: "geos", band: "bands" };
+
+/** Add `value` to the list, or remove it if present. */
+export const toggleValue = (list, value) => (list.includes(value) ? list.filter((v) => v !== value) : [...list, value]);
+
+export const hasCrossfilter = (f) => f.industries.length > 0 || f.geos.length > 0 || f.bands.length > 0 || !!f.bbox;
+
+/**
+ * Rows passing every filter except those named in `except` ("industries" | "geos" | "bands" | "bbox").
+ * Bands are taken at `threshold`; the bbox ([west, south, east, north]) uses coordinates or the
+ * geo centroid, so companies that cannot be placed drop out while an area is selected.
+ */
+export function applyCrossfilter(rows, filters, { threshold = 0.6, except = [] } = {}) {
+  const skip = new Set([].concat(except));
+  const set = (k) => (!skip.has(k) && filters[k].length ? new Set(filters[k]) : null);
+  const inds = set("industries");
+  const geos = set("geos");
+  const bands = set("bands");
+  const bbox = !skip.has("bbox") && filters.bbox;
+  if (!inds && !geos && !bands && !bbox) return rows;
+  return rows.filter((c) => {
+    if (inds && !inds.has(groupValue(c, "industry"))) return false;
+    if (geos && !geos.has(groupValue(c, "geo"))) return false;
+    if (bands && !bands.has(groupValue(c, "band", threshold))) return false;
+    if (bbox) {
+      const { lat, lon, placement } = placeCompany(c);
+      if (placement === "unplaced") return false;
+      const [w, s, e, n] = bbox;
+      if (lat < s || lat > n || lon < w || lon > e) return false;
+    }
+    return true;
+  });
+}
+
+// ---------- URL encoding ----------
+// ?industry=Chemicals&industry=Energy&geo=FR&band=Severe&bbox=-5.1,42.3,8.2,51.1&company=C0001
+
+/** Query string (without "?") for the filters and selected company; empty when nothing is set. */
+export function crossfilterToQuery(filters, selected = null) {
+  const q = new URLSearchParams();
+  filters.industries.forEach((v) => q.append("industry", v));
+  filters.geos.forEach((v) => q.append("geo", v));
+  filters.bands.forEach((v) => q.append("band", v));
+  if (filters.bbox) q.set("bbox", filters.bbox.map((x) => +x.toFixed(4)).join(","));
+  if (selected) q.set("company", selected);
+  return q.toString();
+}
+
+/** Parse a query string back into { filters, selected }; unknown bands and malformed boxes are ignored. */
+export function crossfilterFromQuery(search) {
+  const q = new URLSearchParams(search);
+  const bbox = (q.get("bbox") || "").split(",").map(Number);
+  const validBox = bbox.length === 4 && bbox.every(Number.isFinite) && bbox[0] <= bbox[2] && bbox[1] <= bbox[3];
+  return {
+    filters: {
+      industries: q.getAll("industry"),
+      geos: q.getAll("geo"),
+      bands: q.getAll("band").filter((b) => EHEI_BANDS.includes(b)),
+      bbox: validBox ? bbox : null,
+    },
+    selected: q.get("company") || null,
+  };
+}
+
+/** Plain-text lines describing the active filters (for exported reports), e.g. "Industry: Chemicals, Energy". */
+export function describeCrossfilter(filters) {
+  const fmt = (n) => n.toFixed(2);
+  const lines = [
+    ["Industry", filters.industries],
+    ["Geo", filters.geos],
+    ["Band", filters.bands],
+  ]
+    .filter(([, v]) => v.length)
+    .map(([label, v]) => `${label}: ${v.join(", ")}`);
+  if (filters.bbox) {
+    const [w, s, e, n] = filters.bbox;
+    lines.push(`Area: ${fmt(s)}…${fmt(n)}°N, ${fmt(w)}…${fmt(e)}°E`);
+  }
+  return lines;
+}
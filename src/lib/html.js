@@ -0,0 +1,9 @@
+/**
+ * HTML escaping
+ * -------------
+ * For the markup built as strings rather than through React (Leaflet popups and tooltips, the
+ * exported report): uploaded names and labels go through `escapeHtml` before they are interpolated.
+ */
+const ENTITIES = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" };
+
+export const escapeHtml = (s) => String(s ?? "").replace(/[&<>"']/g, (c) => ENTITIES[c]);
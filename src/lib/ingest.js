@@ -0,0 +1,264 @@
+/**
+ * Upload ingestion + validation
+ * -----------------------------
+ * Turns uploaded tables into clean company / portfolio / feature rows and a
+ * validation report, instead of silently coercing bad values to 0.
+ * Input is CSV text or a grid read from any upload format (lib/sources.js); an optional column
+ * `mapping` (source header → canonical name, from the mapping wizard) overrides the aliases.
+ *
+ * Report shape: { file, kind, format, sheet, delimiter, total, accepted, rejected: [{ line, reason }],
+ *                 warnings: [{ line, field, value, message }], unknownGeo: [code], error? }
+ */
+import { parseTable, tableFromGrid } from "./csv.js";
+import { DRIVER_COLUMNS, FLAT_DRIVER_SCALE, HIGH_RISK_THRESHOLD, flatDrivers, hasDrivers, missingHazardDrivers, scoreCompanies } from "./ehei.js";
+import { EXPOSURE_COLUMNS, companyKey } from "./portfolio.js";
+import { resolveGeo, resolveSubdivision } from "./countries.js";
+
+// ---------- Header aliases (canonical name → accepted alternatives, case-insensitive) ----------
+export const COMPANY_ALIASES = {
+  company_id: ["id", "companyid", "company id"],
+  company: ["company_name", "name", "insured", "company name"],
+  industry: ["sector"],
+  EHEI: ["ehei_score", "score"],
+  is_high_risk: ["high", "high_risk", "is high risk"],
+  geo: ["region", "country", "iso2", "iso3", "country_code", "country_name"],
+  subdivision: ["state", "province", "iso_3166_2"],
+  lat: ["latitude"],
+  lon: ["lng", "long", "longitude"],
+  gross_written_premium: ["gwp", "premium", "written_premium"],
+  limit: ["policy_limit", "limit_usd_m"],
+  revenue_usd_m: ["revenue", "revenue_musd"],
+  E_score: ["e", "e score", "environmental"],
+  S_score: ["s", "s score", "social"],
+  G_score: ["g", "g score", "governance"],
+  had_claim: ["claim", "claim_flag", "has_claim", "claimed"],
+  incurred_loss: ["loss", "losses", "incurred", "incurred_loss_usd_m"],
+};
+
+export const PORTFOLIO_ALIASES = {
+  industry: ["sector"],
+  companies: ["company_count", "count", "n"],
+  avg_EHEI: ["avg_ehei", "mean_ehei"],
+  pct_high_risk: ["percent_high_risk", "high_risk_pct", "share_high_risk"],
+};
+
+export const FEATURE_ALIASES = {
+  feature: ["variable", "name"],
+  importance: ["weight", "gain"],
+};
+
+// ---------- Value parsing ----------
+
+/** Parse a number; blank → NaN. Decimal commas ("0,5") are accepted for non-comma files. */
+export function parseNumber(value, delimiter = ",") {
+  const s = String(value ?? "").trim();
+  if (!s) return NaN;
+  const normalized = delimiter !== "," && /^-?\d*,\d+$/.test(s) ? s.replace(",", ".") : s;
+  return Number(normalized);
+}
+
+const FLAG_VALUES = { 1: "1", 0: "0", true: "1", false: "0", yes: "1", no: "0", y: "1", n: "0" };
+
+// CSV text or a source grid → table under the kind's aliases and the column mapping
+function tableOf(input, aliases, mapping) {
+  if (typeof input === "string") return { ...parseTable(input, { aliases, mapping }), format: "csv", sheet: null, notes: [] };
+  const { head, body, delimiter, format, sheet, notes = [] } = input;
+  return { ...tableFromGrid(head, body, { delimiter, aliases, mapping }), format, sheet, notes };
+}
+
+function emptyReport(file, kind, { format = "csv", sheet = null, delimiter = ",", records = [], notes = [] } = {}) {
+  return { file, kind, format, sheet, delimiter, total: records.length, accepted: 0, rejected: [], warnings: [...notes], unknownGeo: [] };
+}
+
+/** Report for a file that could not be read at all (bad JSON, not a workbook…); nothing is loaded. */
+export const failedReport = (file, kind, message) => ({ ...emptyReport(file, kind), error: message });
+
+// ---------- Companies ----------
+
+/**
+ * Validate and normalize an uploaded companies file.
+ * `geo` accepts ISO alpha-2/alpha-3/numeric codes, country names and aliases (UK → GB) and is
+ * stored normalized; an optional `subdivision` column refines it (US + TX → US-TX). Codes that
+ * cannot be resolved are reported.
+ * Raw driver exports (no EHEI column) are scored with the documented formula.
+ */
+export function ingestCompanies(input, { file = "", mapping = null } = {}) {
+  const table = tableOf(input, COMPANY_ALIASES, mapping);
+  const { headers, delimiter, records } = table;
+  const report = emptyReport(file, "companies", table);
+  const num = (v) => parseNumber(v, delimiter);
+
+  // Scoring needs numeric drivers; normalize decimal commas before handing rows over
+  const rowsIn = records.map(({ row }) => {
+    const out = { ...row };
+    [...DRIVER_COLUMNS, "EHEI"].forEach((c) => {
+      if (out[c] !== undefined && Number.isFinite(num(out[c]))) out[c] = num(out[c]);
+    });
+    return out;
+  });
+  // Only named rows take part in driver scaling; nameless rows are rejected below
+  const named = rowsIn.filter((r) => r.company);
+  const scorable = hasDrivers(named);
+  // A computed score would read a blank hazard driver as the book minimum, so rows needing one
+  // are rejected below and kept out of the scaling
+  const incomplete = new Map(
+    scorable
+      ? named
+          .filter((r) => !Number.isFinite(num(r.EHEI)))
+          .map((r) => [r, missingHazardDrivers(r)])
+          .filter(([, missing]) => missing.length)
+      : []
+  );
+  const complete = named.filter((r) => !incomplete.has(r));
+  const scoredNamed = scorable ? scoreCompanies(complete) : complete;
+  const byRow = new Map(complete.map((r, i) => [r, scoredNamed[i]]));
+  const rows = rowsIn.map((r) => byRow.get(r) || r);
+  if (!headers.includes("EHEI") && !scorable) {
+    report.warnings.push({ line: 1, field: "EHEI", value: "", message: "No EHEI column and no complete set of raw driver columns" });
+  }
+  if (scorable && scoredNamed.some((r) => r.ehei_source === "computed")) {
+    flatDrivers(complete).forEach((col) =>
+      report.warnings.push({
+        line: 1,
+        field: col,
+        value: String(scoredNamed.find((r) => Number.isFinite(r[col]))?.[col] ?? ""),
+        message: `Same value in every row, so there is no range to scale on; scored mid-scale (${FLAT_DRIVER_SCALE})`,
+      })
+    );
+  }
+
+  const unknownGeo = new Set();
+  const firstLine = new Map(); // companyKey → line it first appeared on
+  const clean = [];
+  records.forEach(({ line, width }, i) => {
+    const r = rows[i];
+    const warn = (field, value, message) => report.warnings.push({ line, field, value, message });
+    if (width !== headers.length) warn("*", width, `Expected ${headers.length} fields, found ${width}`);
+    if (!r.company) return report.rejected.push({ line, reason: "Missing company name" });
+    const missing = incomplete.get(rowsIn[i]);
+    if (missing) return report.rejected.push({ line, reason: `No EHEI, and ${missing.join(", ")} blank or not a number, so it cannot be computed` });
+
+    const original = records[i].row.EHEI;
+    if (r.ehei_source === "computed" && original) warn("EHEI", original, "Not a number; computed from raw drivers instead");
+    const EHEI = typeof r.EHEI === "number" ? r.EHEI : num(r.EHEI);
+    if (!Number.isFinite(EHEI)) return report.rejected.push({ line, reason: `EHEI is not a number ("${r.EHEI ?? ""}")` });
+    if (EHEI < 0 || EHEI > 1) return report.rejected.push({ line, reason: `EHEI out of range [0,1] (${EHEI})` });
+
+    let flag = FLAG_VALUES[String(r.is_high_risk ?? "").trim().toLowerCase()];
+    if (!flag) {
+      flag = EHEI >= HIGH_RISK_THRESHOLD ? "1" : "0";
+      if (r.is_high_risk !== undefined && r.is_high_risk !== "") warn("is_high_risk", r.is_high_risk, `Unrecognized flag; derived from EHEI ≥ ${HIGH_RISK_THRESHOLD}`);
+    }
+
+    const rawGeo = String(r.geo || "").trim();
+    const sub = String(r.subdivision || "").trim();
+    const country = resolveGeo(rawGeo);
+    const resolved = (sub && country && resolveSubdivision(country.country, sub)) || country;
+    const geo = resolved ? resolved.code : rawGeo.toUpperCase();
+    let lat = num(r.lat);
+    let lon = num(r.lon);
+    if ((r.lat ?? "") !== "" || (r.lon ?? "") !== "") {
+      const valid = Number.isFinite(lat) && Number.isFinite(lon) && Math.abs(lat) <= 90 && Math.abs(lon) <= 180;
+      if (!valid) {
+        warn("lat/lon", `${r.lat ?? ""},${r.lon ?? ""}`, "Invalid coordinates dropped; country centroid used if geo is known");
+        lat = NaN;
+        lon = NaN;
+      }
+    }
+    if (sub && resolved && !resolved.subdivision) warn("subdivision", sub, `Unknown subdivision; placed at the ${resolved.country} centroid`);
+    if (rawGeo && !resolved) {
+      unknownGeo.add(rawGeo);
+      if (!Number.isFinite(lat)) warn("geo", rawGeo, "Unknown geo code and no coordinates — company will not appear on the map");
+    }
+
+    // Optional exposure columns: blank stays null, negative / non-numeric is reported and dropped
+    const exposure = {};
+    Object.keys(EXPOSURE_COLUMNS).forEach((col) => {
+      if (!headers.includes(col)) return;
+      const v = num(r[col]);
+      const raw = r[col] ?? "";
+      if (raw !== "" && !(Number.isFinite(v) && v >= 0)) warn(col, raw, "Not a non-negative number; treated as missing");
+      exposure[col] = Number.isFinite(v) && v >= 0 ? v : null;
+    });
+
+    // Optional observed outcomes (model diagnostics): a 0/1 claim flag and / or an incurred loss amount
+    const outcome = {};
+    if (headers.includes("had_claim")) {
+      const v = FLAG_VALUES[String(r.had_claim ?? "").trim().toLowerCase()];
+      if (!v && (r.had_claim ?? "") !== "") warn("had_claim", r.had_claim, "Unrecognized flag; outcome treated as unknown");
+      outcome.had_claim = v ? Number(v) : null;
+    }
+    if (headers.includes("incurred_loss")) {
+      const v = num(r.incurred_loss);
+      const raw = r.incurred_loss ?? "";
+      if (raw !== "" && !(Number.isFinite(v) && v >= 0)) warn("incurred_loss", raw, "Not a non-negative number; outcome treated as unknown");
+      outcome.incurred_loss = Number.isFinite(v) && v >= 0 ? v : null;
+    }
+
+    const company = {
+      company_id: r.company_id || "",
+      company: r.company,
+      industry: r.industry || "",
+      EHEI,
+      is_high_risk: flag,
+      geo,
+      lat: Number.isFinite(lat) ? lat : null,
+      lon: Number.isFinite(lon) ? lon : null,
+      ...exposure,
+      ...outcome,
+      ...(r.ehei_source
+        ? { ehei_source: r.ehei_source, scaled: r.scaled, ...Object.fromEntries(DRIVER_COLUMNS.map((c) => [c, r[c]])) }
+        : {}),
+    };
+    // A repeated id (or name + industry + geo) keeps its own identity: the line is appended to its key
+    const key = companyKey(company);
+    if (firstLine.has(key)) {
+      warn(company.company_id ? "company_id" : "company", company.company_id || company.company, `Duplicate of line ${firstLine.get(key)}; kept as a separate company`);
+      company.key = `${key}#${line}`;
+    } else firstLine.set(key, line);
+    clean.push(company);
+  });
+
+  report.accepted = clean.length;
+  report.unknownGeo = [...unknownGeo].sort();
+  return { rows: clean, report };
+}
+
+// ---------- Portfolio aggregation ----------
+
+export function ingestPortfolio(input, { file = "", mapping = null } = {}) {
+  const table = tableOf(input, PORTFOLIO_ALIASES, mapping);
+  const { delimiter, records } = table;
+  const report = emptyReport(file, "portfolio", table);
+  const num = (v) => parseNumber(v, delimiter);
+  const clean = [];
+  records.forEach(({ line, row }) => {
+    if (!row.industry) return report.rejected.push({ line, reason: "Missing industry" });
+    const companies = num(row.companies);
+    const avg = num(row.avg_EHEI);
+    const pct = num(row.pct_high_risk);
+    if (![companies, avg, pct].every(Number.isFinite)) return report.rejected.push({ line, reason: "Non-numeric companies / avg_EHEI / pct_high_risk" });
+    if (avg < 0 || avg > 1) return report.rejected.push({ line, reason: `avg_EHEI out of range [0,1] (${avg})` });
+    if (pct < 0 || pct > 1) return report.rejected.push({ line, reason: `pct_high_risk out of range [0,1] (${pct})` });
+    clean.push({ industry: row.industry, companies, avg_EHEI: avg, pct_high_risk: pct });
+  });
+  report.accepted = clean.length;
+  return { rows: clean, report };
+}
+
+// ---------- Feature importances ----------
+
+export function ingestFeatures(input, { file = "", mapping = null } = {}) {
+  const table = tableOf(input, FEATURE_ALIASES, mapping);
+  const { delimiter, records } = table;
+  const report = emptyReport(file, "features", table);
+  const clean = [];
+  records.forEach(({ line, row }) => {
+    if (!row.feature) return report.rejected.push({ line, reason: "Missing feature name" });
+    const importance = parseNumber(row.importance, delimiter);
+    if (!Number.isFinite(importance)) return report.rejected.push({ line, reason: `Importance is not a number ("${row.importance ?? ""}")` });
+    clean.push({ feature: row.feature, importance });
+  });
+  report.accepted = clean.length;
+  return { rows: clean, report };
+}
@@ -0,0 +1,118 @@
+/**
+ * Column mapping for uploads
+ * --------------------------
+ * The companies / portfolio / features schemas as the mapping wizard shows them, a first guess
+ * for any source's headers (canonical names and the ingest aliases, case-insensitive), the
+ * required columns a mapping still lacks, and saved mappings keyed by the source's header set,
+ * so a repeat upload from the same broker or GIS export imports without the wizard.
+ * A mapping is { [source header]: canonical column | "" } — "" ignores the column.
+ */
+import { aliasLookup } from "./csv.js";
+import { COMPANY_ALIASES, FEATURE_ALIASES, PORTFOLIO_ALIASES } from "./ingest.js";
+import { DRIVER_LABELS, ESG_DRIVERS, HAZARD_DRIVERS } from "./ehei.js";
+import { EXPOSURE_COLUMNS } from "./portfolio.js";
+import { OUTCOME_COLUMNS } from "./diagnostics.js";
+import { readSource } from "./sources.js";
+
+const has = (set, cols) => cols.every((c) => set.has(c));
+
+/** Per upload kind: { label, aliases, fields: { column: label }, missing(mappedSet) → [description] }. */
+export const SCHEMAS = {
+  companies: {
+    label: "Companies",
+    aliases: COMPANY_ALIASES,
+    fields: {
+      company_id: "Company ID",
+      company: "Company name",
+      industry: "Industry",
+      EHEI: "EHEI score (0–1)",
+      is_high_risk: "High-risk flag",
+      geo: "Country / geo code",
+      subdivision: "State / province",
+      lat: "Latitude",
+      lon: "Longitude",
+      ...Object.fromEntries(HAZARD_DRIVERS.map((c) => [c, `Driver: ${DRIVER_LABELS[c]}`])),
+      ...Object.fromEntries(ESG_DRIVERS.map((c) => [c, `ESG pillar: ${DRIVER_LABELS[c]}`])),
+      ...EXPOSURE_COLUMNS,
+      ...OUTCOME_COLUMNS,
+    },
+    missing: (set) =>
+      [
+        !set.has("company") && "company",
+        !set.has("EHEI") && !has(set, HAZARD_DRIVERS) && `EHEI, or the hazard drivers (${HAZARD_DRIVERS.join(", ")})`,
+      ].filter(Boolean),
+  },
+  portfolio: {
+    label: "Portfolio aggregation",
+    aliases: PORTFOLIO_ALIASES,
+    fields: { industry: "Industry", companies: "Company count", avg_EHEI: "Average EHEI", pct_high_risk: "High-risk share (0–1)" },
+    missing: (set) => ["industry", "companies", "avg_EHEI", "pct_high_risk"].filter((c) => !set.has(c)),
+  },
+  features: {
+    label: "Feature importances",
+    aliases: FEATURE_ALIASES,
+    fields: { feature: "Feature", importance: "Importance" },
+    missing: (set) => ["feature", "importance"].filter((c) => !set.has(c)),
+  },
+};
+
+const cleanHeader = (h) => String(h).trim();
+
+/** First guess for a source's headers: canonical names and aliases, case-insensitive; others ignored. */
+export function guessMapping(head, kind) {
+  const { aliases, fields } = SCHEMAS[kind];
+  const lookup = aliasLookup({ ...Object.fromEntries(Object.keys(fields).map((f) => [f, []])), ...aliases });
+  return Object.fromEntries(head.map(cleanHeader).filter(Boolean).map((h) => [h, lookup.get(h.toLowerCase()) || ""]));
+}
+
+/** Required columns the mapping does not provide, as readable descriptions. */
+export const missingColumns = (mapping, kind) => SCHEMAS[kind].missing(new Set(Object.values(mapping).filter(Boolean)));
+
+/** Canonical columns claimed by more than one source header (the first non-empty value wins). */
+export function duplicateTargets(mapping) {
+  const counts = new Map();
+  Object.values(mapping).forEach((c) => c && counts.set(c, (counts.get(c) || 0) + 1));
+  return [...counts].filter(([, n]) => n > 1).map(([c]) => c);
+}
+
+/** True when the wizard should be shown: a required column is missing or a header went unrecognized. */
+export const needsReview = (mapping, kind) => missingColumns(mapping, kind).length > 0 || Object.values(mapping).some((c) => !c);
+
+// ---------- Saved mappings ----------
+
+export const MAX_SAVED_MAPPINGS = 50;
+
+/** Order-insensitive identity of a source's header set (mapping keys are exact headers, so case counts). */
+export const headerSignature = (head) => JSON.stringify(head.map(cleanHeader).filter(Boolean).sort());
+
+/** The saved mapping for this kind and header set, if any. */
+export const findSavedMapping = (saved, kind, head) => {
+  const signature = headerSignature(head);
+  return saved.find((m) => m.kind === kind && m.signature === signature) || null;
+};
+
+/**
+ * Add or replace the saved mapping for a source: { kind, signature, source, sheet, mapping, savedAt }.
+ * Newest first, capped at MAX_SAVED_MAPPINGS.
+ */
+export function rememberMapping(saved, { kind, head, source = "", sheet = null, mapping }) {
+  const signature = headerSignature(head);
+  const entry = { kind, signature, source, sheet, mapping, savedAt: new Date().toISOString() };
+  return [entry, ...saved.filter((m) => !(m.kind === kind && m.signature === signature))].slice(0, MAX_SAVED_MAPPINGS);
+}
+
+/**
+ * The saved mapping for a freshly read source: { source, saved }. A multi-sheet workbook whose
+ * first sheet is not recognized is re-read on the sheet a saved mapping was made on, when that
+ * sheet's headers still match.
+ */
+export function matchSavedMapping(saved, kind, source) {
+  const direct = findSavedMapping(saved, kind, source.head);
+  if (direct || source.sheets.length < 2) return { source, saved: direct };
+  for (const m of saved) {
+    if (m.kind !== kind || !m.sheet || m.sheet === source.sheet || !source.sheets.includes(m.sheet)) continue;
+    const other = readSource({ name: source.file, bytes: source.bytes }, { sheet: m.sheet });
+    if (headerSignature(other.head) === m.signature) return { source: other, saved: m };
+  }
+  return { source, saved: null };
+}
@@ -0,0 +1,159 @@
+/**
+ * Portfolio KPIs and aggregations over company rows
+ * -------------------------------------------------
+ * Pure helpers shared by the KPI cards and scenario comparisons.
+ * Every aggregate can be count-weighted (default) or weighted by an exposure column.
+ */
+
+export const isHigh = (c) => String(c.is_high_risk) === "1";
+
+/**
+ * Stable identity for a company row: its id, else name + industry + geo (ids are optional on upload).
+ * Ingestion gives rows that repeat one of those a unique `key` (the base key plus its line).
+ */
+export const companyKey = (c) => c.key || c.company_id || `${c.company}|${c.industry}|${c.geo}`;
+
+export const fmtExposure = (x) => new Intl.NumberFormat("en", { notation: "compact", maximumFractionDigits: 1 }).format(x);
+
+// ---------- Exposure columns (optional on the companies file) ----------
+export const EXPOSURE_COLUMNS = {
+  gross_written_premium: "Gross written premium",
+  limit: "Limit",
+  revenue_usd_m: "Revenue (USD m)",
+};
+
+/** Exposure of one company on `column`; missing / invalid counts as 0. */
+export function exposureOf(c, column) {
+  const v = Number(c[column]);
+  return c[column] != null && c[column] !== "" && Number.isFinite(v) && v > 0 ? v : 0;
+}
+
+/** Exposure columns that carry at least one positive value in `rows`. */
+export const availableExposures = (rows) => Object.keys(EXPOSURE_COLUMNS).filter((col) => rows.some((c) => exposureOf(c, col) > 0));
+
+const weightFn = (weight) => (weight && weight !== "count" ? (c) => exposureOf(c, weight) : () => 1);
+
+/**
+ * Headline KPIs: total companies, % high risk, mean EHEI.
+ * With `weight` set to an exposure column, % high risk and mean EHEI are exposure-weighted
+ * and `totalExposure` is the summed exposure; `high` is always a name count.
+ */
+export function computeKpis(rows, { weight = "count" } = {}) {
+  const w = weightFn(weight);
+  const totalCompanies = rows.length || 0;
+  const high = rows.filter(isHigh).length;
+  const totalWeight = rows.reduce((a, c) => a + w(c), 0);
+  const highWeight = rows.reduce((a, c) => a + (isHigh(c) ? w(c) : 0), 0);
+  const highPct = totalWeight ? (highWeight / totalWeight) * 100 : 0;
+  const avgEHEI = rows.reduce((a, c) => a + w(c) * (Number(c.EHEI) || 0), 0) / (totalWeight || 1);
+  return {
+    totalCompanies,
+    high,
+    highPct: +highPct.toFixed(1),
+    avgEHEI: +avgEHEI.toFixed(2),
+    ...(weight !== "count" ? { totalExposure: totalWeight } : {}),
+  };
+}
+
+/**
+ * Exposure KPIs for a casualty book:
+ * - highRiskLimit: total limit on names flagged high risk
+ * - premiumWeightedEHEI: EHEI averaged by gross written premium
+ * - expectedLossProxy: Σ limit × EHEI — EHEI as a relative loss-likelihood, not a calibrated
+ *   loss cost; names without a limit are left out and counted in `namesWithoutLimit`
+ * Values are null when the underlying column is absent.
+ */
+export function exposureKpis(rows) {
+  const [hasLimit, hasPremium] = ["limit", "gross_written_premium"].map((col) => rows.some((c) => exposureOf(c, col) > 0));
+  const totalLimit = rows.reduce((a, c) => a + exposureOf(c, "limit"), 0);
+  const highRiskLimit = rows.reduce((a, c) => a + (isHigh(c) ? exposureOf(c, "limit") : 0), 0);
+  const premium = rows.reduce((a, c) => a + exposureOf(c, "gross_written_premium"), 0);
+  const premiumEHEI = rows.reduce((a, c) => a + exposureOf(c, "gross_written_premium") * (Number(c.EHEI) || 0), 0);
+  const expectedLossProxy = rows.reduce((a, c) => a + exposureOf(c, "limit") * (Number(c.EHEI) || 0), 0);
+  return {
+    totalLimit: hasLimit ? totalLimit : null,
+    highRiskLimit: hasLimit ? highRiskLimit : null,
+    highRiskLimitPct: hasLimit && totalLimit ? +((highRiskLimit / totalLimit) * 100).toFixed(1) : null,
+    premiumWeightedEHEI: hasPremium && premium ? +(premiumEHEI / premium).toFixed(2) : null,
+    expectedLossProxy: hasLimit ? +expectedLossProxy.toFixed(2) : null,
+    namesWithoutLimit: hasLimit ? rows.filter((c) => !exposureOf(c, "limit")).length : null,
+  };
+}
+
+// ---------- EHEI bands (centred on the high-risk threshold; 0.45 / 0.60 / 0.75 by default) ----------
+export const EHEI_BANDS = ["Low", "Moderate", "Elevated", "Severe"];
+
+export function eheiBand(ehei, threshold = 0.6) {
+  const x = Number(ehei);
+  if (x >= threshold + 0.15) return "Severe";
+  if (x >= threshold) return "Elevated";
+  if (x >= threshold - 0.15) return "Moderate";
+  return "Low";
+}
+
+// ---------- Group-by aggregation ----------
+export const GROUP_KEYS = { industry: "Industry", geo: "Geo", band: "EHEI band" };
+
+/** The group a company falls in for `key`; blank industry / geo become "Unknown". */
+export const groupValue = (c, key, threshold) => (key === "band" ? eheiBand(c.EHEI, threshold) : c[key] || "Unknown");
+
+/**
+ * Aggregate companies by `industry`, `geo` or EHEI `band`.
+ * Rows come back in the `portfolio` shape, keyed by the group name as well as `group`:
+ * { group, [key], companies, avg_EHEI, pct_high_risk, exposure }. Bands are returned in severity order.
+ * With `weight` set to an exposure column, avg_EHEI and pct_high_risk are exposure-weighted.
+ */
+export function aggregateBy(rows, key = "industry", { threshold = 0.6, weight = "count" } = {}) {
+  const w = weightFn(weight);
+  const groups = new Map();
+  rows.forEach((c) => {
+    const name = groupValue(c, key, threshold);
+    const g = groups.get(name) || { name, companies: 0, weight: 0, sum: 0, high: 0 };
+    g.companies += 1;
+    g.weight += w(c);
+    g.sum += w(c) * (Number(c.EHEI) || 0);
+    g.high += isHigh(c) ? w(c) : 0;
+    groups.set(name, g);
+  });
+  const out = [...groups.values()].map(({ name, companies, weight: total, sum, high }) => ({
+    group: name,
+    [key]: name,
+    companies,
+    avg_EHEI: total ? +(sum / total).toFixed(2) : 0,
+    pct_high_risk: total ? +(high / total).toFixed(2) : 0,
+    exposure: total,
+  }));
+  if (key === "band") out.sort((a, b) => EHEI_BANDS.indexOf(a.group) - EHEI_BANDS.indexOf(b.group));
+  return out;
+}
+
+/** Industry rows in the `portfolio` shape: { industry, companies, avg_EHEI, pct_high_risk }. */
+export const aggregateByIndustry = (rows, options) => aggregateBy(rows, "industry", options);
+
+// ---------- Uploaded vs derived reconciliation ----------
+export const AGGREGATE_TOLERANCE = { companies: 0, avg_EHEI: 0.02, pct_high_risk: 0.02 };
+
+/**
+ * Compare an uploaded industry aggregation with the one derived from companies.
+ * Returns one entry per disagreement: { industry, field, uploaded, computed }
+ * (`uploaded`/`computed` are null when the industry is missing on one side).
+ */
+export function compareAggregates(uploaded, computed, tolerance = AGGREGATE_TOLERANCE) {
+  const diffs = [];
+  const byIndustry = new Map(computed.map((d) => [d.industry, d]));
+  const seen = new Set();
+  uploaded.forEach((u) => {
+    seen.add(u.industry);
+    const c = byIndustry.get(u.industry);
+    if (!c) return diffs.push({ industry: u.industry, field: "industry", uploaded: u.companies, computed: null });
+    Object.entries(tolerance).forEach(([field, tol]) => {
+      if (Math.abs(Number(u[field]) - Number(c[field])) > tol + 1e-9) {
+        diffs.push({ industry: u.industry, field, uploaded: Number(u[field]), computed: Number(c[field]) });
+      }
+    });
+  });
+  computed.forEach((c) => {
+    if (!seen.has(c.industry)) diffs.push({ industry: c.industry, field: "industry", uploaded: null, computed: c.companies });
+  });
+  return diffs;
+}
@@ -0,0 +1,198 @@
+/**
+ * Board report export
+ * -------------------
+ * Builds a self-contained HTML report of the current view (KPI cards, chart SVGs, a static map,
+ * the company table and the formula / provenance notes) plus flat row exports for CSV / JSON.
+ * Pure string building: the caller collects chart SVGs from the DOM (lib/download.js) and
+ * prints the HTML for PDF.
+ */
+import { DRIVER_COLUMNS } from "./ehei.js";
+import { EXPOSURE_COLUMNS } from "./portfolio.js";
+import { OUTCOME_COLUMNS } from "./diagnostics.js";
+import { escapeHtml } from "./html.js";
+
+export const REPORT_MAX_ROWS = 1000; // company table rows in the HTML; the CSV / JSON exports carry all
+
+const LEAD_COLUMNS = ["company_id", "company", "industry", "geo", "lat", "lon", "EHEI", "is_high_risk", "ehei_source", "baseEHEI", "shockedBy"];
+const INTERNAL = new Set(["scaled", "key"]);
+
+/**
+ * Flatten company rows for export: internal fields dropped, arrays joined with "; ".
+ * Columns: identity / score first, then drivers, exposures and outcomes, then anything else present.
+ * Returns { columns, rows }.
+ */
+export function exportRows(rows) {
+  const present = new Set(rows.flatMap((r) => Object.keys(r)));
+  const ordered = [...LEAD_COLUMNS, ...DRIVER_COLUMNS, ...Object.keys(EXPOSURE_COLUMNS), ...Object.keys(OUTCOME_COLUMNS)];
+  const columns = [...ordered.filter((c) => present.has(c)), ...[...present].filter((c) => !ordered.includes(c) && !INTERNAL.has(c))];
+  return {
+    columns,
+    rows: rows.map((r) => Object.fromEntries(columns.map((c) => [c, Array.isArray(r[c]) ? r[c].join("; ") : r[c] ?? null]))),
+  };
+}
+
+// ---------- Static map (SVG, Web Mercator) ----------
+
+const mercY = (lat) => {
+  const s = Math.sin((Math.max(-85, Math.min(85, lat)) * Math.PI) / 180);
+  return Math.log((1 + s) / (1 - s)) / 2;
+};
+const deg = Math.PI / 180;
+
+/** View extent around the points (padded, at least ~20° wide), as projected { x0, x1, y0, y1 }. */
+function extent(points, width, height) {
+  const lats = points.map((p) => p.lat);
+  const lons = points.map((p) => p.lon);
+  let [w, e, s, n] = points.length ? [Math.min(...lons), Math.max(...lons), Math.min(...lats), Math.max(...lats)] : [-170, 190, -58, 80];
+  const padLon = Math.max((e - w) * 0.1, 10 - (e - w) / 2, 1);
+  const padLat = Math.max((n - s) * 0.1, 5 - (n - s) / 2, 1);
+  let x0 = (w - padLon) * deg;
+  let x1 = (e + padLon) * deg;
+  let y0 = mercY(s - padLat);
+  let y1 = mercY(n + padLat);
+  // Widen the shorter side to the image's aspect ratio
+  const aspect = width / height;
+  if ((x1 - x0) / (y1 - y0) < aspect) {
+    const grow = ((y1 - y0) * aspect - (x1 - x0)) / 2;
+    x0 -= grow;
+    x1 += grow;
+  } else {
+    const grow = ((x1 - x0) / aspect - (y1 - y0)) / 2;
+    y0 -= grow;
+    y1 += grow;
+  }
+  return { x0, x1, y0, y1 };
+}
+
+/**
+ * Static map image of the view: country outlines (filled by the choropleth when given) and one
+ * circle per placed company colored by `colorFor`, hollow for centroid placements like on the
+ * live map. `boundaries` is the FeatureCollection from lib/boundaries.js (optional).
+ */
+export function staticMapSvg({ points, boundaries = null, colorFor, choropleth = null, width = 900, height = 460 }) {
+  const { x0, x1, y0, y1 } = extent(points, width, height);
+  const px = (lon) => (((lon * deg - x0) / (x1 - x0)) * width).toFixed(1);
+  const py = (lat) => (((y1 - mercY(lat)) / (y1 - y0)) * height).toFixed(1);
+  const visible = (ring) => {
+    const xs = ring.map(([lon]) => lon * deg);
+    const ys = ring.map(([, lat]) => mercY(lat));
+    return Math.max(...xs) >= x0 && Math.min(...xs) <= x1 && Math.max(...ys) >= y0 && Math.min(...ys) <= y1;
+  };
+
+  const countries = (boundaries?.features || [])
+    .map((f) => {
+      const polys = f.geometry?.type === "Polygon" ? [f.geometry.coordinates] : f.geometry?.type === "MultiPolygon" ? f.geometry.coordinates : [];
+      const d = polys
+        .filter((poly) => visible(poly[0]))
+        .map((poly) => poly.map((ring) => `M${ring.map(([lon, lat]) => `${px(lon)},${py(lat)}`).join("L")}Z`).join(""))
+        .join("");
+      if (!d) return "";
+      const v = choropleth?.byIso2.get(f.properties.iso2)?.[choropleth.metric];
+      const fill = v != null ? choropleth.color(v) : "#f1f5f9";
+      return `<path d="${d}" fill="${fill}" fill-opacity="${v != null ? 0.55 : 1}" stroke="#94a3b8" stroke-width="0.5"/>`;
+    })
+    .join("");
+
+  const markers = [...points]
+    .sort((a, b) => Number(a.EHEI) - Number(b.EHEI))
+    .map((p) => {
+      const r = (3 + 4 * Math.min(1, Math.max(0, Number(p.EHEI) || 0))).toFixed(1);
+      const color = colorFor(Number(p.EHEI));
+      const style = p.placement === "centroid" ? `fill="none" stroke="${color}" stroke-width="1.5" stroke-dasharray="2 2"` : `fill="${color}" fill-opacity="0.85" stroke="#0f172a" stroke-width="0.5"`;
+      return `<circle cx="${px(p.lon)}" cy="${py(p.lat)}" r="${r}" ${style}><title>${escapeHtml(`${p.company} · EHEI ${Number(p.EHEI).toFixed(2)}`)}</title></circle>`;
+    })
+    .join("");
+
+  const legend = (choropleth?.legend || [])
+    .map((l, i) => `<rect x="12" y="${height - 16 - (choropleth.legend.length - i) * 16}" width="12" height="12" fill="${l.color}"/><text x="30" y="${height - 6 - (choropleth.legend.length - i) * 16}" font-size="11" fill="#0f172a">${escapeHtml(l.label)}</text>`)
+    .join("");
+  const legendTitle = choropleth ? `<text x="12" y="${height - 20 - choropleth.legend.length * 16}" font-size="11" font-weight="700" fill="#0f172a">${escapeHtml(choropleth.label)}</text>` : "";
+
+  return (
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" style="font-family: Inter, system-ui, sans-serif">` +
+    `<rect width="100%" height="100%" fill="#dbeafe"/>${countries}${markers}${legendTitle}${legend}</svg>`
+  );
+}
+
+// ---------- HTML report ----------
+
+const TABLE_COLUMNS = [
+  ["company", "Company"],
+  ["company_id", "ID"],
+  ["industry", "Industry"],
+  ["geo", "Geo"],
+  ["EHEI", "EHEI"],
+  ["is_high_risk", "High risk"],
+  ...Object.entries(EXPOSURE_COLUMNS),
+];
+
+/**
+ * Self-contained HTML document (inline CSS, inline SVG; no external requests).
+ * `data`: { title, generatedAt: Date, provenance: [[label, value]], filters: [text], kpis: [{ label, value, note? }],
+ *           charts: [{ title, svg }], map: { svg, caption } | null, rows, formula, notes: [text] }.
+ */
+export function reportHtml({ title, generatedAt, provenance = [], filters = [], kpis = [], charts = [], map = null, rows = [], formula = "", notes = [] }) {
+  const e = escapeHtml;
+  const columns = TABLE_COLUMNS.filter(([k]) => rows.some((r) => r[k] != null && r[k] !== ""));
+  const sorted = [...rows].sort((a, b) => Number(b.EHEI) - Number(a.EHEI));
+  const shown = sorted.slice(0, REPORT_MAX_ROWS);
+  const cell = (r, k) => (k === "EHEI" ? Number(r.EHEI).toFixed(2) : k === "is_high_risk" ? (String(r[k]) === "1" ? "Yes" : "No") : r[k] ?? "");
+  const stamp = generatedAt.toISOString().replace("T", " ").slice(0, 16) + " UTC";
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${e(title)} — ${e(stamp)}</title>
+<style>
+  body { font-family: Inter, system-ui, -apple-system, Segoe UI, Roboto, sans-serif; color: #0f172a; margin: 32px; }
+  h1 { font-size: 24px; margin: 0 0 4px; }
+  h2 { font-size: 18px; margin: 28px 0 8px; }
+  .muted { color: #64748b; font-size: 13px; }
+  .kpis { display: flex; gap: 12px; flex-wrap: wrap; }
+  .kpi { background: #111827; color: #e5e7eb; border-radius: 12px; padding: 12px 16px; min-width: 160px; }
+  .kpi .label { font-size: 12px; opacity: .8; }
+  .kpi .value { font-size: 24px; font-weight: 700; }
+  .kpi .note { font-size: 11px; opacity: .8; }
+  figure { margin: 0 0 16px; break-inside: avoid; }
+  figure svg { max-width: 100%; height: auto; }
+  figcaption { font-weight: 600; margin-bottom: 4px; }
+  table { border-collapse: collapse; width: 100%; font-size: 12px; }
+  th { text-align: left; padding: 6px; border-bottom: 1px solid #e5e7eb; background: #f8fafc; }
+  td { padding: 6px; border-bottom: 1px solid #f1f5f9; }
+  pre { background: #0f172a; color: #e2e8f0; padding: 12px; border-radius: 12px; white-space: pre-wrap; }
+  @page { margin: 14mm; }
+  @media print { body { margin: 0; } h2 { break-after: avoid; } }
+</style>
+</head>
+<body>
+<h1>${e(title)}</h1>
+<div class="muted">Generated ${e(stamp)}</div>
+<div class="muted">${provenance.map(([k, v]) => `${e(k)}: <strong>${e(v)}</strong>`).join(" · ")}</div>
+${filters.length ? `<div class="muted">Filters: ${filters.map(e).join(" · ")}</div>` : `<div class="muted">No filters applied</div>`}
+
+<h2>Key figures</h2>
+<div class="kpis">
+${kpis.map((k) => `<div class="kpi"><div class="label">${e(k.label)}</div><div class="value">${e(k.value)}</div>${k.note ? `<div class="note">${e(k.note)}</div>` : ""}</div>`).join("\n")}
+</div>
+
+${charts.length ? `<h2>Charts</h2>\n${charts.map((c) => `<figure><figcaption>${e(c.title)}</figcaption>${c.svg}</figure>`).join("\n")}` : ""}
+
+${map ? `<h2>Map</h2>\n<figure>${map.svg}<div class="muted">${e(map.caption)}</div></figure>` : ""}
+
+<h2>Companies (${rows.length})</h2>
+${rows.length > shown.length ? `<div class="muted">Top ${shown.length} by EHEI shown; the CSV / JSON exports carry every row.</div>` : ""}
+<table>
+<thead><tr>${columns.map(([, label]) => `<th>${e(label)}</th>`).join("")}</tr></thead>
+<tbody>
+${shown.map((r) => `<tr>${columns.map(([k]) => `<td>${e(cell(r, k))}</td>`).join("")}</tr>`).join("\n")}
+</tbody>
+</table>
+
+<h2>EHEI formula & provenance</h2>
+<pre>${e(formula)}</pre>
+${notes.map((n) => `<p class="muted">${e(n)}</p>`).join("\n")}
+</body>
+</html>
+`;
+}
@@ -0,0 +1,210 @@
+/**
+ * Underwriting referral rules
+ * ---------------------------
+ * A rule is { id, name, expr, enabled } where `expr` is a small "and"-joined condition list:
+ *   EHEI >= 0.75 and industry = Chemicals
+ *   compliance_fines_musd > 5
+ *   centroid-placed and EHEI >= 0.6
+ * Conditions are `<field> <op> <value>` (numeric fields: >= > <= < = !=, also ≥ ≤ ≠; text
+ * fields: = / != against one value or a comma list, case-insensitive) or one of the bare flags
+ * in FLAGS. "and" only joins conditions where a new one starts, so `industry = Oil and Gas`
+ * reads as one value; quote a value to keep "and" or commas in it (`company = "A and B, Inc"`).
+ * A company triggers a rule when every condition holds; missing values never match.
+ */
+import { DRIVER_COLUMNS } from "./ehei.js";
+import { EXPOSURE_COLUMNS, companyKey, eheiBand, groupValue, isHigh } from "./portfolio.js";
+import { OUTCOME_COLUMNS } from "./diagnostics.js";
+import { resolveGeo } from "./countries.js";
+import { placeCompany } from "./spatial.js";
+
+const NUMERIC_FIELDS = ["EHEI", ...DRIVER_COLUMNS, ...Object.keys(EXPOSURE_COLUMNS), ...Object.keys(OUTCOME_COLUMNS)];
+
+// Text fields and how to read them; `geo` also matches the company's country code
+const TEXT_FIELDS = {
+  company: (c) => [c.company],
+  company_id: (c) => [c.company_id],
+  industry: (c) => [groupValue(c, "industry")],
+  geo: (c) => [c.geo, resolveGeo(c.geo)?.country],
+  country: (c) => [resolveGeo(c.geo)?.country],
+  band: (c, t) => [eheiBand(c.EHEI, t)],
+  placement: (c) => [placeCompany(c).placement],
+  is_high_risk: (c) => [isHigh(c) ? "1" : "0"],
+};
+
+/** Bare-word conditions. */
+export const FLAGS = {
+  "centroid-placed": { field: "placement", op: "=", value: ["centroid"] },
+  unplaced: { field: "placement", op: "=", value: ["unplaced"] },
+  "high-risk": { field: "is_high_risk", op: "=", value: ["1"] },
+};
+
+export const RULE_FIELDS = [...NUMERIC_FIELDS, ...Object.keys(TEXT_FIELDS)];
+
+const OPS = { "≥": ">=", "≤": "<=", "≠": "!=", "==": "=" };
+const CONDITION = /^([A-Za-z_][\w-]*)\s*(>=|<=|!=|==|≥|≤|≠|>|<|=)\s*(.+)$/;
+const fieldLookup = new Map(RULE_FIELDS.map((f) => [f.toLowerCase(), f]));
+
+const CONDITION_START = /^[A-Za-z_][\w-]*\s*(?:>=|<=|!=|==|≥|≤|≠|>|<|=)/;
+const JOIN = /\s+and\s+|\s*&&\s*/iy;
+const COMMA = /\s*,\s*/y;
+
+const unquote = (s) => s.trim().replace(/^(["'])(.*)\1$/, "$2");
+const flagFor = (word) => FLAGS[word.toLowerCase().replace(/_/g, "-")];
+const startsCondition = (rest) => CONDITION_START.test(rest) || Boolean(flagFor(rest.match(/^[\w-]*/)[0]));
+
+// Split `text` at the sticky `separator` wherever it sits outside quotes and `accept(rest)` holds.
+// A quote only opens at the start of a value, so apostrophes in names (O'Brien) are left alone.
+function splitOutsideQuotes(text, separator, accept = () => true) {
+  const parts = [];
+  let start = 0;
+  let quote = null;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quote) {
+      if (ch === quote) quote = null;
+      continue;
+    }
+    if ((ch === '"' || ch === "'") && (i === 0 || /[\s=<>!≠,&]/.test(text[i - 1]))) {
+      quote = ch;
+      continue;
+    }
+    separator.lastIndex = i;
+    if (separator.exec(text) && accept(text.slice(separator.lastIndex))) {
+      parts.push(text.slice(start, i));
+      start = separator.lastIndex;
+      i = start - 1;
+    }
+  }
+  parts.push(text.slice(start));
+  return parts;
+}
+
+/** Parse an expression into conditions: { conditions: [{ field, op, value }] } or { error }. */
+export function compileRule(expr) {
+  const parts = splitOutsideQuotes(String(expr || ""), JOIN, startsCondition)
+    .map((p) => p.trim())
+    .filter(Boolean);
+  if (!parts.length) return { error: "Empty rule" };
+  const conditions = [];
+  for (const part of parts) {
+    const flag = flagFor(part);
+    if (flag) {
+      conditions.push(flag);
+      continue;
+    }
+    const m = part.match(CONDITION);
+    if (!m) return { error: `Cannot read "${part}" — expected e.g. EHEI >= 0.75` };
+    const field = fieldLookup.get(m[1].toLowerCase());
+    if (!field) return { error: `Unknown field "${m[1]}"` };
+    const op = OPS[m[2]] || m[2];
+    if (NUMERIC_FIELDS.includes(field)) {
+      const value = Number(unquote(m[3]));
+      if (!Number.isFinite(value)) return { error: `"${field}" needs a number, got "${m[3].trim()}"` };
+      conditions.push({ field, op, value });
+    } else {
+      if (op !== "=" && op !== "!=") return { error: `"${field}" is text — use = or !=` };
+      conditions.push({ field, op, value: splitOutsideQuotes(m[3], COMMA).map((v) => unquote(v).toLowerCase()).filter(Boolean) });
+    }
+  }
+  return { conditions };
+}
+
+function holds(c, { field, op, value }, threshold) {
+  if (TEXT_FIELDS[field]) {
+    const have = TEXT_FIELDS[field](c, threshold)
+      .filter((v) => v != null && v !== "")
+      .map((v) => String(v).toLowerCase());
+    if (!have.length) return false;
+    const match = have.some((v) => value.includes(v));
+    return op === "=" ? match : !match;
+  }
+  const x = c[field] == null || c[field] === "" ? NaN : Number(c[field]);
+  if (!Number.isFinite(x)) return false;
+  switch (op) {
+    case ">=": return x >= value;
+    case ">": return x > value;
+    case "<=": return x <= value;
+    case "<": return x < value;
+    case "=": return x === value;
+    default: return x !== value;
+  }
+}
+
+/**
+ * Evaluate the enabled, valid rules over `rows`.
+ * Returns { hits: Map<companyKey, rule[]>, errors: Map<rule id, message> }.
+ */
+export function evaluateRules(rows, rules, { threshold = 0.6 } = {}) {
+  const errors = new Map();
+  const compiled = rules
+    .map((rule) => {
+      const { conditions, error } = compileRule(rule.expr);
+      if (error) errors.set(rule.id, error);
+      return rule.enabled && conditions ? { rule, conditions } : null;
+    })
+    .filter(Boolean);
+  const hits = new Map();
+  if (compiled.length) {
+    rows.forEach((c) => {
+      const triggered = compiled.filter(({ conditions }) => conditions.every((cond) => holds(c, cond, threshold))).map(({ rule }) => rule);
+      if (triggered.length) hits.set(companyKey(c), triggered);
+    });
+  }
+  return { hits, errors };
+}
+
+/**
+ * Alerts for the rows in view: referred companies (most rules first, then EHEI) with their
+ * rules, and the number of companies per rule id.
+ */
+export function referralSummary(rows, hits) {
+  const counts = new Map();
+  const referred = [];
+  rows.forEach((c) => {
+    const rules = hits.get(companyKey(c));
+    if (!rules) return;
+    referred.push({ company: c, rules });
+    rules.forEach((r) => counts.set(r.id, (counts.get(r.id) || 0) + 1));
+  });
+  referred.sort((a, b) => b.rules.length - a.rules.length || Number(b.company.EHEI) - Number(a.company.EHEI));
+  return { referred, counts };
+}
+
+// ---------- Defaults, persistence format ----------
+
+export const newRuleId = () => `r${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+
+export const DEFAULT_RULES = [
+  { id: "severe-chemicals", name: "Severe chemicals", expr: "EHEI >= 0.75 and industry = Chemicals", enabled: true },
+  { id: "compliance-fines", name: "Large compliance fines", expr: "compliance_fines_musd > 5", enabled: true },
+  { id: "approximate-location", name: "High risk, approximate location", expr: "centroid-placed and EHEI >= 0.6", enabled: true },
+];
+
+/** Shareable rule file: { version: 1, rules: [{ name, expr, enabled }] }. */
+export const rulesToJson = (rules) => JSON.stringify({ version: 1, rules: rules.map(({ name, expr, enabled }) => ({ name, expr, enabled })) }, null, 2);
+
+/**
+ * Parse a rule file (the object form above or a bare array). Rules get fresh ids; an invalid
+ * expression is kept (and reported) so it can be fixed in the editor.
+ * Returns { rules, errors: [message] }.
+ */
+export function rulesFromJson(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    return { rules: [], errors: [`Not valid JSON: ${err.message}`] };
+  }
+  const list = Array.isArray(data) ? data : data?.rules;
+  if (!Array.isArray(list)) return { rules: [], errors: ['Expected an array of rules or { "rules": [...] }'] };
+  const errors = [];
+  const rules = [];
+  list.forEach((r, i) => {
+    if (!r || typeof r !== "object" || typeof r.expr !== "string") return errors.push(`Rule ${i + 1}: missing "expr"`);
+    const name = String(r.name || r.expr);
+    const { error } = compileRule(r.expr);
+    if (error) errors.push(`Rule ${i + 1} ("${name}"): ${error}`);
+    rules.push({ id: newRuleId(), name, expr: r.expr, enabled: r.enabled !== false });
+  });
+  return { rules, errors };
+}
@@ -0,0 +1,59 @@
+/**
+ * Dated portfolio snapshots, persisted in IndexedDB
+ * -------------------------------------------------
+ * One snapshot per as-of date ({ date: "YYYY-MM-DD", label, savedAt, rows }); saving a date
+ * again replaces it. IndexedDB (not localStorage) because a 10k-row book exceeds its quota.
+ */
+
+const DB_NAME = "esg-casualty";
+const STORE = "snapshots";
+
+let dbPromise = null;
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === "undefined") return reject(new Error("IndexedDB is not available in this browser"));
+      const req = indexedDB.open(DB_NAME, 1);
+      req.onupgradeneeded = () => req.result.createObjectStore(STORE, { keyPath: "date" });
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    dbPromise.catch(() => (dbPromise = null));
+  }
+  return dbPromise;
+}
+
+async function run(mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const req = fn(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(req.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+/** All snapshots, oldest first. */
+export async function listSnapshots() {
+  const all = await run("readonly", (store) => store.getAll());
+  return all.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/** Store (or replace) the snapshot for `date`; returns the stored record. */
+export async function saveSnapshot({ date, label = "", rows }) {
+  const record = { date, label, savedAt: new Date().toISOString(), rows };
+  await run("readwrite", (store) => store.put(record));
+  return record;
+}
+
+export const deleteSnapshot = (date) => run("readwrite", (store) => store.delete(date));
+
+/** As-of date embedded in a file name ("book_2025-03-31.csv" → "2025-03-31"), else null. */
+export function dateFromFileName(name) {
+  const m = String(name).match(/(\d{4})[-_]?(\d{2})[-_]?(\d{2})/);
+  if (!m) return null;
+  const iso = `${m[1]}-${m[2]}-${m[3]}`;
+  return Number.isNaN(Date.parse(iso)) ? null : iso;
+}
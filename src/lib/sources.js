@@ -0,0 +1,121 @@
+/**
+ * Upload sources
+ * --------------
+ * Reads an uploaded file — CSV / TSV, an XLSX workbook (one sheet), a JSON array of objects or a
+ * GeoJSON FeatureCollection — into the grid the ingest functions and the column-mapping wizard
+ * share:
+ *   { format, file, sheets, sheet, delimiter, head: [header], body: [{ line, fields }], notes }
+ * `line` is the CSV line, spreadsheet row or 1-based JSON item / feature number; `notes` are
+ * reader warnings ({ line, field, value, message }) merged into the validation report.
+ * GeoJSON Point geometries become `lat` / `lon` columns.
+ */
+import { parseGrid } from "./csv.js";
+import { openWorkbook } from "./xlsx.js";
+
+export const SOURCE_FORMATS = { csv: "CSV", xlsx: "Excel workbook", json: "JSON", geojson: "GeoJSON" };
+export const SOURCE_ACCEPT = ".csv,.tsv,.txt,.xlsx,.json,.geojson";
+
+const EXTENSIONS = { csv: "csv", tsv: "csv", txt: "csv", xlsx: "xlsx", xlsm: "xlsx", json: "json", geojson: "geojson" };
+
+/** Format from the file extension, else sniffed from the first bytes (zip → xlsx, { or [ → json). */
+export function detectFormat(name, bytes) {
+  const ext = String(name).toLowerCase().match(/\.(\w+)$/)?.[1];
+  if (EXTENSIONS[ext]) return EXTENSIONS[ext];
+  if (bytes[0] === 0x50 && bytes[1] === 0x4b) return "xlsx";
+  const first = new TextDecoder().decode(bytes.subarray(0, 64)).trimStart()[0];
+  return first === "{" || first === "[" ? "json" : "csv";
+}
+
+const cell = (v) => (v == null ? "" : typeof v === "object" ? JSON.stringify(v) : String(v));
+
+// Objects → header row (keys in order of first appearance) and body records
+function gridFromObjects(items, lineOf = (i) => i + 1) {
+  const head = [];
+  const seen = new Set();
+  items.forEach((o) =>
+    Object.keys(o).forEach((k) => {
+      if (seen.has(k)) return;
+      seen.add(k);
+      head.push(k);
+    })
+  );
+  return { head, body: items.map((o, i) => ({ line: lineOf(i), fields: head.map((k) => cell(o[k])) })) };
+}
+
+const isObject = (o) => !!o && typeof o === "object" && !Array.isArray(o);
+
+function jsonGrid(data) {
+  // A bare array, or the first array of objects inside a wrapper such as { "rows": [...] }
+  const items = Array.isArray(data) ? data : Object.values(isObject(data) ? data : {}).find((v) => Array.isArray(v) && v.some(isObject));
+  if (!Array.isArray(items)) throw new Error("Expected a JSON array of objects (or an object holding one)");
+  const notes = [];
+  const lines = [];
+  const objects = items.filter((o, i) => {
+    if (isObject(o)) return lines.push(i + 1);
+    notes.push({ line: i + 1, field: "*", value: cell(o), message: "Not an object; skipped" });
+    return false;
+  });
+  return { ...gridFromObjects(objects, (i) => lines[i]), notes };
+}
+
+function geojsonGrid(data) {
+  const features = data.type === "FeatureCollection" ? data.features : data.type === "Feature" ? [data] : null;
+  if (!Array.isArray(features)) throw new Error('Expected a GeoJSON "FeatureCollection"');
+  const notes = [];
+  const rows = features.map((f, i) => {
+    const props = isObject(f?.properties) ? { ...f.properties } : {};
+    const g = f?.geometry;
+    const point = g?.type === "Point" ? g.coordinates : g?.type === "MultiPoint" ? g.coordinates?.[0] : null;
+    if (Array.isArray(point) && point.length >= 2) {
+      [props.lon, props.lat] = point;
+    } else if (g) {
+      notes.push({ line: i + 1, field: "geometry", value: g.type || "", message: "Not a point; placed by geo (country centroid) instead" });
+    }
+    return props;
+  });
+  return { ...gridFromObjects(rows), notes };
+}
+
+/**
+ * Read file bytes into a grid. `sheet` picks a workbook sheet (default: the first; ignored for
+ * other formats).
+ * Throws an Error with a readable message when the file cannot be parsed.
+ */
+export function readSource({ name, bytes }, { sheet = null } = {}) {
+  const format = detectFormat(name, bytes);
+  const base = { format, file: name, sheets: [], sheet: null, delimiter: null, notes: [] };
+  if (format === "xlsx") {
+    const wb = openWorkbook(bytes);
+    if (!wb.sheetNames.length) throw new Error("The workbook has no sheets");
+    if (sheet && !wb.sheetNames.includes(sheet)) throw new Error(`No sheet named "${sheet}" (sheets: ${wb.sheetNames.join(", ")})`);
+    const chosen = sheet || wb.sheetNames[0];
+    const [head, ...body] = wb.sheet(chosen);
+    const width = head ? head.fields.length : 0;
+    // Sheets omit trailing empty cells; pad so they don't read as ragged rows
+    const padded = body.map(({ line, fields }) => ({ line, fields: fields.length < width ? [...fields, ...Array(width - fields.length).fill("")] : fields }));
+    return { ...base, sheets: wb.sheetNames, sheet: chosen, bytes, head: head ? head.fields : [], body: padded };
+  }
+  const text = new TextDecoder().decode(bytes);
+  if (format === "csv") return { ...base, ...parseGrid(text) };
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Not valid JSON: ${err.message}`);
+  }
+  const isGeo = format === "geojson" || data?.type === "FeatureCollection" || data?.type === "Feature";
+  return { ...base, format: isGeo ? "geojson" : "json", ...(isGeo ? geojsonGrid(data) : jsonGrid(data)) };
+}
+
+/** readSource for a browser File (upload input or drop). */
+export async function readFileSource(file, options) {
+  return readSource({ name: file.name, bytes: new Uint8Array(await file.arrayBuffer()) }, options);
+}
+
+/** Short description for reports, e.g. `Excel workbook, sheet "Q3"` or "CSV, semicolon-delimited". */
+export function describeSource({ format = "csv", sheet, delimiter }) {
+  const names = { ",": "comma", ";": "semicolon", "\t": "tab" };
+  if (format === "xlsx") return `${SOURCE_FORMATS.xlsx}, sheet "${sheet}"`;
+  if (format === "csv") return `${SOURCE_FORMATS.csv}, ${names[delimiter] || delimiter}-delimited`;
+  return SOURCE_FORMATS[format];
+}
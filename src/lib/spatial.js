@@ -0,0 +1,101 @@
+/**
+ * Spatial helpers for the map
+ * ---------------------------
+ * - Placement: a company's own coordinates, else the centroid of its `geo` (country or subdivision)
+ * - Display offsets for centroid-placed companies, so a country's fallback points don't stack
+ * - Great-circle distance and radius accumulation (aggregation management)
+ */
+import { exposureOf, isHigh } from "./portfolio.js";
+import { centroidFor, resolveGeo } from "./countries.js";
+
+const EARTH_RADIUS_KM = 6371;
+const GOLDEN_ANGLE = Math.PI * (3 - Math.sqrt(5));
+
+/**
+ * Where the map puts a company: { lat, lon, placement } with placement "exact" (its own
+ * coordinates), "centroid" (the country / subdivision centroid for its `geo`) or "unplaced"
+ * (lat / lon null).
+ */
+export function placeCompany(c) {
+  if (Number.isFinite(c.lat) && Number.isFinite(c.lon)) return { lat: c.lat, lon: c.lon, placement: "exact" };
+  const centroid = centroidFor(c.geo);
+  return centroid ? { lat: centroid[0], lon: centroid[1], placement: "centroid" } : { lat: null, lon: null, placement: "unplaced" };
+}
+
+/** How to describe a centroid placement: "subdivision centroid" when `geo` is a state / province, else "country centroid". */
+export const centroidLabel = (geo) => `${resolveGeo(geo)?.subdivision ? "subdivision" : "country"} centroid`;
+
+/** Map points: the placed rows with lat / lon / placement filled in; unplaced rows are dropped. */
+export function placeCompanies(rows) {
+  return rows
+    .map((r) => {
+      const p = placeCompany(r);
+      return p.placement === "unplaced" ? null : { ...r, ...p };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Companies that cannot be placed: unresolved geo codes with their counts (most first) and the
+ * number with no location at all. Returns { unresolved: [[code, n]], unresolvedCount, noLocation }.
+ */
+export function unplacedSummary(rows) {
+  const codes = new Map();
+  let noLocation = 0;
+  rows.forEach((r) => {
+    if (placeCompany(r).placement !== "unplaced") return;
+    if (!r.geo) noLocation += 1;
+    else codes.set(r.geo, (codes.get(r.geo) || 0) + 1);
+  });
+  const unresolved = [...codes.entries()].sort((a, b) => b[1] - a[1]);
+  return { unresolved, unresolvedCount: unresolved.reduce((a, [, n]) => a + n, 0), noLocation };
+}
+
+/** Great-circle distance in km between two { lat, lon } points. */
+export function haversineKm(a, b) {
+  const toRad = (d) => (d * Math.PI) / 180;
+  const dLat = toRad(b.lat - a.lat);
+  const dLon = toRad(b.lon - a.lon);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+/**
+ * Spread centroid-placed points that share a coordinate on a sunflower spiral around it.
+ * Returns new points with display coordinates `dlat`/`dlon` (exact placements keep their own);
+ * `lat`/`lon` are left untouched so accumulation still uses the true placement.
+ * `stepKm` is the spacing between neighbours on the spiral.
+ */
+export function spreadCentroidPoints(points, { stepKm = 12 } = {}) {
+  const seen = new Map();
+  return points.map((p) => {
+    if (p.placement !== "centroid") return { ...p, dlat: p.lat, dlon: p.lon };
+    const key = `${p.lat},${p.lon}`;
+    const i = seen.get(key) || 0;
+    seen.set(key, i + 1);
+    if (i === 0) return { ...p, dlat: p.lat, dlon: p.lon };
+    const r = stepKm * Math.sqrt(i);
+    const theta = i * GOLDEN_ANGLE;
+    const dlat = (r * Math.sin(theta)) / 111.32;
+    const dlon = (r * Math.cos(theta)) / (111.32 * Math.max(0.2, Math.cos((p.lat * Math.PI) / 180)));
+    return { ...p, dlat: p.lat + dlat, dlon: p.lon + dlon };
+  });
+}
+
+/**
+ * Accumulate the book within `radiusKm` of `center`.
+ * Returns { companies, high, avgEHEI, exposure: { [column]: total }, centroidPlaced, rows }.
+ */
+export function accumulateWithin(points, center, radiusKm, exposureColumns = []) {
+  const rows = points.filter((p) => haversineKm(center, p) <= radiusKm);
+  const companies = rows.length;
+  const exposure = Object.fromEntries(exposureColumns.map((col) => [col, rows.reduce((a, c) => a + exposureOf(c, col), 0)]));
+  return {
+    companies,
+    high: rows.filter(isHigh).length,
+    avgEHEI: companies ? +(rows.reduce((a, c) => a + (Number(c.EHEI) || 0), 0) / companies).toFixed(2) : 0,
+    exposure,
+    centroidPlaced: rows.filter((p) => p.placement === "centroid").length,
+    rows,
+  };
+}
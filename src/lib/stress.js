@@ -0,0 +1,179 @@
+/**
+ * Stress-test shocks
+ * ------------------
+ * A shock targets a subset of the book (industries and / or geos; empty = all) and moves
+ * either one raw driver or the EHEI itself:
+ *   { label, industries: [], geos: [], target: "EHEI" | <driver column>, op: "pct" | "add", value }
+ * e.g. { target: "climate_risk", op: "pct", value: 30, geos: ["IT", "ES"] } or { target: "EHEI", op: "add", value: 0.1, industries: ["Chemicals"] }.
+ *
+ * Driver shocks are re-scaled on the baseline book's min-max ruler (not re-fitted), so a shocked
+ * driver can saturate at 1 but never rescales everybody else. Companies without driver columns
+ * only respond to EHEI shocks.
+ */
+import { DEFAULT_PARAMS, DRIVER_COLUMNS, eheiFromScaled } from "./ehei.js";
+import { aggregateBy, computeKpis, groupValue, isHigh } from "./portfolio.js";
+import { resolveGeo } from "./countries.js";
+
+export const SHOCK_TARGETS = ["EHEI", ...DRIVER_COLUMNS];
+export const SHOCK_OPS = { pct: "± %", add: "± absolute" };
+
+export const newShock = () => ({ label: "", industries: [], geos: [], target: "EHEI", op: "add", value: 0.1 });
+
+const clamp01 = (x) => Math.min(1, Math.max(0, x));
+
+/** True when the shock's industry / geo scope includes the company (geo matches the code or its country). */
+export function inScope(shock, c) {
+  if (shock.industries.length && !shock.industries.includes(groupValue(c, "industry"))) return false;
+  if (shock.geos.length) {
+    const country = resolveGeo(c.geo)?.country;
+    if (!shock.geos.includes(c.geo) && !(country && shock.geos.includes(country))) return false;
+  }
+  return true;
+}
+
+/** Baseline min / max per driver, the ruler driver shocks are re-scaled on. */
+function driverRanges(book) {
+  return Object.fromEntries(
+    DRIVER_COLUMNS.map((col) => {
+      const v = book.map((c) => Number(c[col])).filter(Number.isFinite);
+      return [col, v.length ? { min: Math.min(...v), max: Math.max(...v) } : null];
+    })
+  );
+}
+
+const shockValue = (x, { op, value }) => (op === "pct" ? x * (1 + value / 100) : x + value);
+
+/**
+ * Apply `shocks` in order. Returns rows in the same order; touched rows get the shocked EHEI
+ * (flag re-derived when it crosses `params.threshold`), `baseEHEI` and `shockedBy` (labels).
+ * `skipped` counts in-scope companies a driver shock could not move (no driver columns).
+ */
+export function applyShocks(rows, shocks, { params = DEFAULT_PARAMS, book = rows } = {}) {
+  const active = shocks.filter((s) => Number.isFinite(Number(s.value)) && Number(s.value) !== 0);
+  if (!active.length) return { rows, skipped: 0 };
+  const ranges = driverRanges(book);
+  let skipped = 0;
+
+  const out = rows.map((c) => {
+    const hits = active.filter((s) => inScope(s, c));
+    if (!hits.length) return c;
+    const scaled = c.scaled ? { ...c.scaled } : null;
+    const baseEHEI = Number(c.EHEI);
+    // Each shock moves the score as left by the ones before it, so a % EHEI shock after a
+    // driver shock scales the already-shocked score
+    let score = baseEHEI;
+    hits.forEach((s) => {
+      const shock = { ...s, value: Number(s.value) };
+      if (s.target === "EHEI") {
+        score = shockValue(score, shock);
+        return;
+      }
+      const r = ranges[s.target];
+      const raw = Number(c[s.target]);
+      if (!scaled || !r || !Number.isFinite(raw)) {
+        skipped += 1;
+        return;
+      }
+      // Shift the scaled value by the shocked raw value's move on the baseline ruler, and the
+      // score by the formula's response to it
+      const span = r.max - r.min;
+      const moved = span > 0 ? (shockValue(raw, shock) - raw) / span : 0;
+      const before = eheiFromScaled(scaled, params);
+      scaled[s.target] = clamp01((scaled[s.target] || 0) + moved);
+      score += eheiFromScaled(scaled, params) - before;
+    });
+    const EHEI = +clamp01(score).toFixed(4);
+    // The flag only changes when the shock carries the score across the threshold
+    const t = params.threshold;
+    const crossed = (baseEHEI < t && EHEI >= t) || (baseEHEI >= t && EHEI < t);
+    return {
+      ...c,
+      ...(scaled ? { scaled } : {}),
+      EHEI,
+      is_high_risk: crossed ? (EHEI >= t ? "1" : "0") : String(c.is_high_risk),
+      baseEHEI,
+      shockedBy: hits.map((s) => s.label || `${s.target} ${s.op === "pct" ? `${s.value}%` : s.value}`),
+    };
+  });
+  return { rows: out, skipped };
+}
+
+/**
+ * Baseline vs shocked comparison over the same companies (`pairs` = [[base, shocked]]):
+ * { base, shocked } KPIs, names crossing the high-risk flag each way, and per-industry / per-geo
+ * drivers of the change ({ group, companies, baseAvg, shockedAvg, contribution, crossedUp }),
+ * where `contribution` is the group's share of the book-wide avg EHEI change.
+ */
+export function stressImpact(pairs, { threshold = 0.6, weight = "count" } = {}) {
+  const base = pairs.map(([b]) => b);
+  const shocked = pairs.map(([, s]) => s);
+  const crossedUp = pairs.filter(([b, s]) => !isHigh(b) && isHigh(s)).map(([, s]) => s);
+  const crossedDown = pairs.filter(([b, s]) => isHigh(b) && !isHigh(s)).map(([, s]) => s);
+  const n = pairs.length || 1;
+
+  const drivers = (key) => {
+    const b = new Map(aggregateBy(base, key, { threshold, weight }).map((d) => [d.group, d]));
+    return aggregateBy(shocked, key, { threshold, weight })
+      .map((d) => {
+        const group = pairs.filter(([, s]) => groupValue(s, key, threshold) === d.group);
+        return {
+          group: d.group,
+          companies: d.companies,
+          baseAvg: b.get(d.group)?.avg_EHEI ?? null,
+          shockedAvg: d.avg_EHEI,
+          contribution: group.reduce((a, [bb, s]) => a + (Number(s.EHEI) - Number(bb.EHEI)), 0) / n,
+          crossedUp: group.filter(([bb, s]) => !isHigh(bb) && isHigh(s)).length,
+        };
+      })
+      .filter((d) => Math.abs(d.contribution) > 1e-6 || d.crossedUp > 0)
+      .sort((a, b2) => Math.abs(b2.contribution) - Math.abs(a.contribution));
+  };
+
+  return {
+    base: computeKpis(base, { weight }),
+    shocked: computeKpis(shocked, { weight }),
+    crossedUp,
+    crossedDown,
+    byIndustry: drivers("industry"),
+    byGeo: drivers("geo"),
+  };
+}
+
+// ---------- JSON import / export ----------
+
+/** Serializable scenario file: { version: 1, shocks: [...] }. */
+export const shocksToJson = (shocks) => JSON.stringify({ version: 1, shocks }, null, 2);
+
+/**
+ * Parse a scenario file (the object form above, or a bare array of shocks).
+ * Returns { shocks, errors: [message] }; invalid shocks are dropped with a message each.
+ */
+export function shocksFromJson(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    return { shocks: [], errors: [`Not valid JSON: ${err.message}`] };
+  }
+  const list = Array.isArray(data) ? data : data?.shocks;
+  if (!Array.isArray(list)) return { shocks: [], errors: ['Expected an array of shocks or { "shocks": [...] }'] };
+  const errors = [];
+  const shocks = [];
+  const strings = (v) => (Array.isArray(v) ? v.map(String) : v == null ? [] : [String(v)]);
+  list.forEach((s, i) => {
+    const where = `Shock ${i + 1}${s?.label ? ` ("${s.label}")` : ""}`;
+    if (!s || typeof s !== "object") return errors.push(`${where}: not an object`);
+    if (!SHOCK_TARGETS.includes(s.target)) return errors.push(`${where}: unknown target "${s.target}"`);
+    if (!SHOCK_OPS[s.op]) return errors.push(`${where}: op must be "pct" or "add"`);
+    if (!Number.isFinite(Number(s.value))) return errors.push(`${where}: value must be a number`);
+    shocks.push({
+      label: String(s.label || ""),
+      industries: strings(s.industries),
+      geos: strings(s.geos).map((g) => resolveGeo(g)?.code || g.toUpperCase()),
+      target: s.target,
+      op: s.op,
+      value: Number(s.value),
+    });
+  });
+  return { shocks, errors };
+}
@@ -0,0 +1,104 @@
+/**
+ * Period-over-period trends and migration between snapshots
+ * ---------------------------------------------------------
+ * - KPI and per-industry EHEI series across dated snapshots
+ * - Band migration matrix and high-risk flips between two snapshots, matched on `company_id`
+ *   (ids repeated within a snapshot are reported, not matched)
+ * - New, lapsed and deteriorating names listed explicitly
+ */
+import { EHEI_BANDS, aggregateBy, computeKpis, eheiBand, isHigh } from "./portfolio.js";
+
+// EHEI increase that counts as deterioration even without a band change
+export const DETERIORATION_DELTA = 0.05;
+
+/** One KPI row per snapshot: { date, totalCompanies, high, highPct, avgEHEI }. */
+export function kpiTrend(snapshots) {
+  return snapshots.map((s) => ({ date: s.date, ...computeKpis(s.rows) }));
+}
+
+/**
+ * Average EHEI per industry per snapshot, shaped for a multi-line chart:
+ * { industries: [name], rows: [{ date, [industry]: avg_EHEI }] }. Industries absent from a
+ * snapshot are left out of that row (a gap, not a zero).
+ */
+export function industryTrend(snapshots) {
+  const industries = new Set();
+  const rows = snapshots.map((s) => {
+    const row = { date: s.date };
+    aggregateBy(s.rows, "industry").forEach((d) => {
+      industries.add(d.group);
+      row[d.group] = d.avg_EHEI;
+    });
+    return row;
+  });
+  return { industries: [...industries].sort(), rows };
+}
+
+const bandIndex = (ehei, threshold) => EHEI_BANDS.indexOf(eheiBand(ehei, threshold));
+
+/**
+ * Compare two snapshots company by company (matched on `company_id`; rows without one are
+ * counted in `unmatched` and otherwise ignored). An id repeated within either snapshot cannot be
+ * paired reliably, so all of its rows are counted in `ambiguous` and left out as well.
+ * Returns {
+ *   matrix: { [fromBand]: { [toBand]: count } }, matched,
+ *   flips: { toHigh: [...], toLow: [...] },
+ *   added: [row], lapsed: [row], deteriorating: [{ ...row, prevEHEI, delta, fromBand, toBand }],
+ *   unmatched: { previous, current }, ambiguous: { previous, current }
+ * }.
+ */
+export function migration(previous, current, { threshold = 0.6 } = {}) {
+  const group = (rows) => {
+    const byId = new Map();
+    let missing = 0;
+    rows.forEach((r) => {
+      if (!r.company_id) return (missing += 1);
+      const id = String(r.company_id);
+      if (!byId.has(id)) byId.set(id, []);
+      byId.get(id).push(r);
+    });
+    return { byId, missing };
+  };
+  const prevGroups = group(previous);
+  const currGroups = group(current);
+  const repeated = new Set([...prevGroups.byId, ...currGroups.byId].filter(([, rows]) => rows.length > 1).map(([id]) => id));
+  const index = ({ byId, missing }) => {
+    const map = new Map();
+    let ambiguous = 0;
+    byId.forEach((rows, id) => (repeated.has(id) ? (ambiguous += rows.length) : map.set(id, rows[0])));
+    return { map, missing, ambiguous };
+  };
+  const prev = index(prevGroups);
+  const curr = index(currGroups);
+
+  const matrix = Object.fromEntries(EHEI_BANDS.map((b) => [b, Object.fromEntries(EHEI_BANDS.map((t) => [t, 0]))]));
+  const flips = { toHigh: [], toLow: [] };
+  const deteriorating = [];
+  let matched = 0;
+
+  curr.map.forEach((c, id) => {
+    const p = prev.map.get(id);
+    if (!p) return;
+    matched += 1;
+    const from = bandIndex(p.EHEI, threshold);
+    const to = bandIndex(c.EHEI, threshold);
+    matrix[EHEI_BANDS[from]][EHEI_BANDS[to]] += 1;
+    if (isHigh(c) && !isHigh(p)) flips.toHigh.push(c);
+    if (!isHigh(c) && isHigh(p)) flips.toLow.push(c);
+    const delta = +(Number(c.EHEI) - Number(p.EHEI)).toFixed(4);
+    if (to > from || (isHigh(c) && !isHigh(p)) || delta >= DETERIORATION_DELTA) {
+      deteriorating.push({ ...c, prevEHEI: Number(p.EHEI), delta, fromBand: EHEI_BANDS[from], toBand: EHEI_BANDS[to] });
+    }
+  });
+
+  return {
+    matrix,
+    matched,
+    flips,
+    added: [...curr.map].filter(([id]) => !prev.map.has(id)).map(([, r]) => r),
+    lapsed: [...prev.map].filter(([id]) => !curr.map.has(id)).map(([, r]) => r),
+    deteriorating: deteriorating.sort((a, b) => b.delta - a.delta),
+    unmatched: { previous: prev.missing, current: curr.missing },
+    ambiguous: { previous: prev.ambiguous, current: curr.ambiguous },
+  };
+}
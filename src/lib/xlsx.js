@@ -0,0 +1,115 @@
+/**
+ * Minimal XLSX reader
+ * -------------------
+ * Just enough Office Open XML to take a broker's workbook as an upload: sheet names, shared and
+ * inline strings, numbers and booleans, one sheet at a time. Formula cells give their cached
+ * value, dates stay Excel serial numbers (number formats are not read) and styles are ignored.
+ * The zip container is opened with fflate; the XML is small and regular enough to scan directly,
+ * so the same code runs in the browser and in Node (CLI, tests).
+ */
+import { strFromU8, unzipSync } from "fflate";
+
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" };
+
+const unescapeXml = (s) =>
+  s
+    .replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (m, e) =>
+      e[0] === "#" ? String.fromCodePoint(e[1].toLowerCase() === "x" ? parseInt(e.slice(2), 16) : Number(e.slice(1))) : ENTITIES[e] ?? m
+    )
+    .replace(/_x([0-9a-f]{4})_/gi, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+
+const attrs = (s) => Object.fromEntries([...s.matchAll(/([\w:]+)="([^"]*)"/g)].map(([, k, v]) => [k.replace(/^\w+:/, ""), unescapeXml(v)]));
+
+// Concatenated <t> runs of a string item (phonetic guides dropped)
+const textOf = (xml) =>
+  [...xml.replace(/<(\w+:)?rPh\b[\s\S]*?<\/(\w+:)?rPh>/g, "").matchAll(/<(?:\w+:)?t(?:\s[^>]*)?>([\s\S]*?)<\/(?:\w+:)?t>/g)]
+    .map((m) => unescapeXml(m[1]))
+    .join("");
+
+/** Zero-based column index of a cell reference such as "AB12". */
+export function columnIndex(ref) {
+  const letters = String(ref).match(/^[A-Z]+/i)?.[0].toUpperCase() || "";
+  return [...letters].reduce((n, ch) => n * 26 + ch.charCodeAt(0) - 64, 0) - 1;
+}
+
+function resolveTarget(target) {
+  if (target.startsWith("/")) return target.slice(1);
+  const parts = ["xl"];
+  target.split("/").forEach((p) => (p === ".." ? parts.pop() : p !== "." && parts.push(p)));
+  return parts.join("/");
+}
+
+/**
+ * Open a workbook from its bytes. Returns { sheetNames, sheet(name) } where `sheet` reads one
+ * worksheet (the first when no name is given) into rows of cell text: [{ line, fields }], `line`
+ * being the spreadsheet row number. Blank rows are skipped. Throws when the file is not a workbook.
+ */
+export function openWorkbook(bytes) {
+  let files;
+  try {
+    files = unzipSync(bytes, { filter: (f) => f.name.endsWith(".xml") || f.name.endsWith(".rels") });
+  } catch {
+    throw new Error("Not a readable XLSX workbook");
+  }
+  const read = (path) => (files[path] ? strFromU8(files[path]) : null);
+  const workbook = read("xl/workbook.xml");
+  if (!workbook) throw new Error("Not an XLSX workbook (no xl/workbook.xml) — legacy .xls files need saving as .xlsx");
+
+  const rels = new Map(
+    [...(read("xl/_rels/workbook.xml.rels") || "").matchAll(/<(?:\w+:)?Relationship\b([^>]*)\/?>/g)].map((m) => {
+      const a = attrs(m[1]);
+      return [a.Id, resolveTarget(a.Target)];
+    })
+  );
+  const sheets = [...workbook.matchAll(/<(?:\w+:)?sheet\b([^>]*)\/?>/g)].map((m) => {
+    const a = attrs(m[1]);
+    return { name: a.name, path: rels.get(a.id) };
+  });
+  const shared = [...(read("xl/sharedStrings.xml") || "").matchAll(/<(?:\w+:)?si\b[^>]*>([\s\S]*?)<\/(?:\w+:)?si>/g)].map((m) => textOf(m[1]));
+
+  const cellText = (a, inner) => {
+    const v = inner.match(/<(?:\w+:)?v(?:\s[^>]*)?>([\s\S]*?)<\/(?:\w+:)?v>/)?.[1];
+    switch (a.t) {
+      case "s":
+        return shared[Number(v)] ?? "";
+      case "inlineStr":
+        return textOf(inner);
+      case "b":
+        return v === "1" ? "true" : v === "0" ? "false" : "";
+      case "str":
+      case "e":
+        return v === undefined ? "" : unescapeXml(v);
+      default: {
+        if (v === undefined) return "";
+        const n = Number(v);
+        return Number.isFinite(n) ? String(n) : unescapeXml(v);
+      }
+    }
+  };
+
+  const sheet = (name) => {
+    const entry = name == null ? sheets[0] : sheets.find((s) => s.name === name);
+    if (!entry) throw new Error(`No sheet named "${name}"`);
+    const xml = read(entry.path);
+    if (xml == null) throw new Error(`Sheet "${entry.name}" is missing from the workbook`);
+    const rows = [];
+    let nextRow = 1;
+    for (const [, rowAttrs, rowInner = ""] of xml.matchAll(/<(?:\w+:)?row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/(?:\w+:)?row>)/g)) {
+      const line = Number(attrs(rowAttrs).r) || nextRow;
+      nextRow = line + 1;
+      const fields = [];
+      let nextCol = 0;
+      for (const [, cellAttrs, cellInner = ""] of rowInner.matchAll(/<(?:\w+:)?c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/(?:\w+:)?c>)/g)) {
+        const a = attrs(cellAttrs);
+        const col = a.r ? columnIndex(a.r) : nextCol;
+        nextCol = col + 1;
+        while (fields.length < col) fields.push("");
+        fields[col] = cellText(a, cellInner);
+      }
+      if (fields.some((f) => f.trim() !== "")) rows.push({ line, fields });
+    }
+    return rows;
+  };
+
+  return { sheetNames: sheets.map((s) => s.name), sheet };
+}
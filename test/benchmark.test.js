@@ -0,0 +1,23 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { peerPercentiles, percentileRank } from "../src/lib/benchmark.js";
+
+test("percentileRank counts values below and half the ties", () => {
+  const sorted = [0.1, 0.2, 0.2, 0.2, 0.5, 0.9];
+  assert.equal(percentileRank(sorted, 0.2), ((1 + 3 / 2) / 6) * 100);
+  assert.equal(percentileRank(sorted, 0.05), 0);
+  assert.equal(percentileRank(sorted, 1), 100);
+  assert.equal(percentileRank(sorted, 0.3), (4 / 6) * 100);
+  assert.equal(percentileRank([], 0.3), null);
+});
+
+test("peerPercentiles ranks each company in its industry, geo and the book", () => {
+  const rows = [
+    { company: "A", industry: "Energy", geo: "FR", EHEI: 0.2 },
+    { company: "B", industry: "Energy", geo: "DE", EHEI: 0.8 },
+    { company: "C", industry: "Mining", geo: "FR", EHEI: 0.5 },
+  ];
+  const pct = peerPercentiles(rows);
+  assert.deepEqual(pct.get("B|Energy|DE"), { pct_industry: 75, pct_geo: 50, pct_book: (2.5 / 3) * 100 });
+  assert.deepEqual(pct.get("C|Mining|FR"), { pct_industry: 50, pct_geo: 75, pct_book: 50 });
+});
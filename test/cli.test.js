@@ -0,0 +1,93 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import { fileURLToPath } from "node:url";
+import { mkdtempSync, readFileSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { parseCSV, scoreBook, scoredRecords, summarizeBook, toCSV } from "../src/lib/engine.js";
+
+const CLI = fileURLToPath(new URL("../bin/esg-score.js", import.meta.url));
+const fixture = (name) => fileURLToPath(new URL(`./fixtures/${name}`, import.meta.url));
+
+const run = (args, input) => spawnSync(process.execPath, [CLI, ...args], { encoding: "utf8", input });
+
+test("writes scored rows as CSV, identical to the engine", () => {
+  const { status, stdout, stderr } = run([fixture("companies.csv")]);
+  assert.equal(status, 0);
+  const { rows } = scoreBook(readFileSync(fixture("companies.csv"), "utf8"), { file: "companies.csv" });
+  const { columns, rows: records } = scoredRecords(rows);
+  assert.equal(stdout, `${toCSV(records, columns)}\r\n`);
+  assert.match(stderr, /companies\.csv: 6 of 8 rows accepted, 2 rejected, 1 warnings/);
+  assert.match(stderr, /line 8: EHEI out of range/);
+});
+
+test("aggregates by group with exposure weighting, as JSON", () => {
+  const { status, stdout } = run([fixture("companies.csv"), "--group-by", "industry", "--weight", "limit", "--format", "json", "--quiet"]);
+  assert.equal(status, 0);
+  const { rows } = scoreBook(readFileSync(fixture("companies.csv"), "utf8"));
+  const expected = summarizeBook(rows, { weight: "limit" }).groups.map(({ industry, companies, avg_EHEI, pct_high_risk, exposure }) => ({
+    industry,
+    companies,
+    avg_EHEI,
+    pct_high_risk,
+    exposure,
+  }));
+  assert.deepEqual(JSON.parse(stdout), expected);
+});
+
+test("summary honours params, threshold and dashboard filters", () => {
+  const dir = mkdtempSync(join(tmpdir(), "esg-score-"));
+  const params = join(dir, "scenario.json");
+  writeFileSync(params, JSON.stringify({ name: "Strict", params: { threshold: 0.4 } }));
+  const { status, stdout } = run([fixture("companies.csv"), "-p", params, "--filter", "industry=Energy&geo=DE", "-s", "-f", "json", "-q"]);
+  assert.equal(status, 0);
+  const out = JSON.parse(stdout);
+  assert.equal(out.threshold, 0.4);
+  assert.deepEqual(out.kpis, { totalCompanies: 1, high: 1, highPct: 100, avgEHEI: 0.68 });
+  const override = JSON.parse(run([fixture("companies.csv"), "-p", params, "-t", "0.9", "-s", "-f", "json", "-q"]).stdout);
+  assert.equal(override.kpis.high, 0);
+});
+
+test("reads stdin, tags rows by file when given several, and writes to --out", () => {
+  const dir = mkdtempSync(join(tmpdir(), "esg-score-"));
+  const out = join(dir, "scored.csv");
+  const { status } = run(["-", fixture("drivers.csv"), "-o", out, "-q"], readFileSync(fixture("companies.csv"), "utf8"));
+  assert.equal(status, 0);
+  const rows = parseCSV(readFileSync(out, "utf8"));
+  assert.equal(rows.length, 9);
+  assert.deepEqual([...new Set(rows.map((r) => r.source_file))], ["stdin", "drivers.csv"]);
+  assert.deepEqual(rows.slice(0, 6).map((r) => r.placement), ["exact", "centroid", "centroid", "centroid", "unplaced", "unplaced"]);
+});
+
+test("scores JSON and GeoJSON inputs like the equivalent CSV", () => {
+  const csv = run([fixture("companies.csv"), "-s", "-f", "json", "-q"]);
+  const records = parseCSV(readFileSync(fixture("companies.csv"), "utf8"));
+  const json = run(["-", "-s", "-f", "json", "-q"], JSON.stringify({ rows: records }));
+  assert.equal(json.status, 0);
+  assert.deepEqual(JSON.parse(json.stdout).kpis, JSON.parse(csv.stdout).kpis);
+
+  const dir = mkdtempSync(join(tmpdir(), "esg-score-"));
+  const geojson = join(dir, "sites.geojson");
+  const feature = (company, EHEI, coordinates) => ({ type: "Feature", geometry: { type: "Point", coordinates }, properties: { company, EHEI } });
+  writeFileSync(geojson, JSON.stringify({ type: "FeatureCollection", features: [feature("A", 0.7, [2.35, 48.85]), feature("B", 0.2, [13.4, 52.5])] }));
+  const rows = parseCSV(run([geojson, "-q"]).stdout);
+  assert.deepEqual(rows.map((r) => [r.company, r.lat, r.placement]), [["A", "48.85", "exact"], ["B", "52.5", "exact"]]);
+});
+
+test("exit codes: 2 for usage errors, 1 for unreadable or empty input, unwritable output and --strict rejections", () => {
+  assert.equal(run([]).status, 2);
+  assert.equal(run([fixture("companies.csv"), "--group-by", "city"]).status, 2);
+  assert.equal(run([fixture("companies.csv"), "--threshold", "2"]).status, 2);
+  assert.equal(run(["missing.csv"]).status, 1);
+  assert.equal(run(["-", "--sheet", "Q3"], "[1, 2]").status, 1);
+  assert.equal(run(["-", "-q"], "company,EHEI\n,0.5").status, 1);
+  assert.equal(run([fixture("companies.csv"), "--strict", "-q"]).status, 1);
+  assert.equal(run([fixture("drivers.csv"), "--strict", "-q"]).status, 0);
+
+  const unwritable = run([fixture("drivers.csv"), "-q", "--out", join(tmpdir(), "esg-score-missing-dir", "out.csv")]);
+  assert.equal(unwritable.status, 1);
+  assert.match(unwritable.stderr, /^esg-score: cannot write .*out\.csv: ENOENT/);
+  assert.equal(unwritable.stderr.trim().split("\n").length, 1);
+  assert.match(run(["--help"]).stdout, /^Usage: esg-score/);
+});
@@ -0,0 +1,77 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { detectDelimiter, parseCSV, parseTable, toCSV, tokenize } from "../src/lib/csv.js";
+
+test("parses a simple header + row", () => {
+  const rows = parseCSV("industry,companies,avg_EHEI,pct_high_risk\nTest,5,0.5,0.2");
+  assert.deepEqual(rows, [{ industry: "Test", companies: "5", avg_EHEI: "0.5", pct_high_risk: "0.2" }]);
+});
+
+test("strips a UTF-8 BOM and unescapes quoted fields", () => {
+  const rows = parseCSV('\uFEFFcompany;note\n"Acme, Inc.";"say ""hi"""');
+  assert.deepEqual(rows, [{ company: "Acme, Inc.", note: 'say "hi"' }]);
+});
+
+test("keeps line breaks inside quotes and reports the starting line", () => {
+  const { records } = parseTable('company,note\r\n"A","two\r\nlines"\r\nB,plain\r\n');
+  assert.equal(records.length, 2);
+  assert.equal(records[0].row.note, "two\r\nlines");
+  assert.equal(records[1].line, 4);
+});
+
+test("handles CR-only line endings and skips blank lines", () => {
+  const rows = parseCSV("a,b\r1,2\r\r3,4\r");
+  assert.deepEqual(rows, [{ a: "1", b: "2" }, { a: "3", b: "4" }]);
+});
+
+test("detects comma, semicolon and tab delimiters from the header", () => {
+  assert.equal(detectDelimiter("a,b,c\n1;2;3"), ",");
+  assert.equal(detectDelimiter("a;b;c\n1,5;2;3"), ";");
+  assert.equal(detectDelimiter("a\tb\n1\t2"), "\t");
+  assert.equal(detectDelimiter('"x;y",b\n1,2'), ",");
+});
+
+test("maps header aliases case-insensitively; the first non-empty value wins", () => {
+  const { headers, records } = parseTable("Company Name,Sector,name\nAcme,Energy,Other", {
+    aliases: { company: ["company name", "name"], industry: ["sector"] },
+  });
+  assert.deepEqual(headers, ["company", "industry", "company"]);
+  assert.deepEqual(records[0].row, { company: "Acme", industry: "Energy" });
+});
+
+test("records the raw field count of short and long rows", () => {
+  const { records } = parseTable("a,b,c\n1,2\n1,2,3,4");
+  assert.deepEqual(records.map((r) => r.width), [2, 4]);
+  assert.equal(records[0].row.c, "");
+});
+
+test("an empty file parses to no records", () => {
+  assert.deepEqual(parseTable(""), { headers: [], delimiter: ",", records: [] });
+  assert.deepEqual(tokenize(""), []);
+});
+
+test("toCSV quotes what needs quoting and round-trips through the parser", () => {
+  const rows = [
+    { company: "Acme, Inc.", note: 'say "hi"', EHEI: 0.5 },
+    { company: "Two\nlines", note: null, EHEI: 0 },
+  ];
+  const text = toCSV(rows, ["company", "note", "EHEI"]);
+  assert.equal(text.split("\r\n")[1], '"Acme, Inc.","say ""hi""",0.5');
+  assert.deepEqual(parseCSV(text), [
+    { company: "Acme, Inc.", note: 'say "hi"', EHEI: "0.5" },
+    { company: "Two\nlines", note: "", EHEI: "0" },
+  ]);
+});
+
+test("toCSV defuses formula-like text cells for spreadsheet exports, leaving numbers alone", () => {
+  const rows = [
+    { company: "=HYPERLINK(\"http://x\")", note: "+1 call", EHEI: -0.25 },
+    { company: "@SUM(A1)", note: "-x, y", EHEI: 0.5 },
+    { company: "Plain", note: "\tTabbed", EHEI: null },
+  ];
+  const columns = ["company", "note", "EHEI"];
+  assert.equal(toCSV(rows, columns).split("\r\n")[2], '@SUM(A1),"-x, y",0.5');
+  const lines = toCSV(rows, columns, { escapeFormulas: true }).split("\r\n");
+  assert.deepEqual(lines.slice(1), ['"\'=HYPERLINK(""http://x"")",\'+1 call,-0.25', '\'@SUM(A1),"\'-x, y",0.5', "Plain,'\tTabbed,"]);
+  assert.equal(parseCSV(lines.join("\r\n"))[0].company, '\'=HYPERLINK("http://x")');
+});
@@ -0,0 +1,27 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { liftByDecile, lossBasis, referralTradeoff } from "../src/lib/diagnostics.js";
+
+const book = [
+  { EHEI: 0.9, had_claim: 1, incurred_loss: 300 },
+  { EHEI: 0.6, had_claim: 1, incurred_loss: 100 },
+  { EHEI: 0.3, had_claim: 0, incurred_loss: 0 },
+  { EHEI: 0.1, had_claim: 1, incurred_loss: 600 },
+];
+
+test("captured losses use incurred amounts when every labelled row has one", () => {
+  assert.deepEqual(lossBasis(book), { basis: "amount", missing: 0 });
+  const tradeoff = referralTradeoff(book);
+  assert.equal(tradeoff.basis, "amount");
+  assert.equal(tradeoff.at(0.6).lossPct, 0.4);
+  assert.deepEqual(liftByDecile(book, 2).map((d) => d.lossShare), [0.4, 0.6]);
+});
+
+test("a partly filled incurred_loss falls back to claim counts for the whole book", () => {
+  const partial = book.map((c, i) => (i === 3 ? { EHEI: c.EHEI, had_claim: 1, incurred_loss: null } : c));
+  assert.deepEqual(lossBasis(partial), { basis: "claims", missing: 1 });
+  const tradeoff = referralTradeoff(partial);
+  assert.equal(tradeoff.at(0.6).lossPct, 2 / 3);
+  assert.equal(tradeoff.at(0.6).lossPct, tradeoff.at(0.6).claimsPct);
+  assert.deepEqual(liftByDecile(partial, 2).map((d) => d.lossShare), [2 / 3, 1 / 3]);
+});
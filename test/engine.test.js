@@ -0,0 +1,82 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import {
+  DEFAULT_PARAMS,
+  EMPTY_CROSSFILTER,
+  aggregateBy,
+  computeKpis,
+  exposureKpis,
+  ingestCompanies,
+  rescoreCompanies,
+  resolveParams,
+  scoreBook,
+  scoredRecords,
+  summarizeBook,
+} from "../src/lib/engine.js";
+
+const fixture = (name) => readFileSync(new URL(`./fixtures/${name}`, import.meta.url), "utf8");
+
+const HEAVY_FINES = { ...DEFAULT_PARAMS, hazardWeights: { ...DEFAULT_PARAMS.hazardWeights, compliance_fines_musd: 0.6 }, threshold: 0.5 };
+
+test("resolveParams merges partial params and saved scenarios over the defaults", () => {
+  assert.deepEqual(resolveParams(), DEFAULT_PARAMS);
+  const p = resolveParams({ name: "Fines", params: { hazardWeights: { compliance_fines_musd: 0.6 }, threshold: 0.5 } });
+  assert.deepEqual(p, HEAVY_FINES);
+  assert.equal(resolveParams({ mitigation: 0 }).mitigation, 0);
+});
+
+test("scoreBook matches an upload followed by the weight editor", () => {
+  const text = fixture("drivers.csv");
+  const { rows, report } = scoreBook(text, { file: "drivers.csv", params: HEAVY_FINES });
+  const upload = ingestCompanies(text, { file: "drivers.csv" });
+  assert.deepEqual(report, upload.report);
+  assert.deepEqual(rows, rescoreCompanies(upload.rows, HEAVY_FINES));
+  assert.notEqual(rows[1].EHEI, upload.rows[1].EHEI);
+});
+
+test("supplied scores keep their value and only respond to the threshold", () => {
+  const { rows } = scoreBook(fixture("companies.csv"), { params: { ...DEFAULT_PARAMS, threshold: 0.4 } });
+  assert.deepEqual(rows.map((r) => r.EHEI), [0.86, 0.74, 0.68, 0.52, 0.41, 0.37]);
+  assert.deepEqual(rows.map((r) => r.is_high_risk), ["1", "1", "1", "1", "1", "0"]);
+});
+
+test("summarizeBook reproduces the dashboard KPIs and aggregation", () => {
+  const { rows } = scoreBook(fixture("companies.csv"));
+  const s = summarizeBook(rows, { weight: "limit", groupBy: "geo" });
+  assert.equal(s.weight, "limit");
+  assert.deepEqual(s.kpis, computeKpis(rows, { weight: "limit" }));
+  assert.deepEqual(s.kpis, { totalCompanies: 6, high: 3, highPct: 86.4, avgEHEI: 0.69, totalExposure: 110 });
+  assert.deepEqual(s.exposure, exposureKpis(rows));
+  assert.equal(s.exposure.highRiskLimit, 95);
+  // Lone Star Power has premium but no limit: left out of Σ limit × EHEI and counted instead
+  assert.equal(s.exposure.expectedLossProxy, 76.25);
+  assert.equal(s.exposure.namesWithoutLimit, 1);
+  assert.deepEqual(s.groups, aggregateBy(rows, "geo", { weight: "limit" }));
+});
+
+test("summarizeBook falls back to count weighting when the exposure is not loaded", () => {
+  const { rows } = scoreBook(fixture("drivers.csv"));
+  const s = summarizeBook(rows, { weight: "limit" });
+  assert.equal(s.weight, "count");
+  assert.deepEqual(s.kpis, { totalCompanies: 3, high: 1, highPct: 33.3, avgEHEI: 0.43 });
+});
+
+test("summarizeBook applies the cross-filter and counts placements", () => {
+  const { rows } = scoreBook(fixture("companies.csv"));
+  const all = summarizeBook(rows);
+  assert.deepEqual(all.placement, { exact: 1, centroid: 3, unresolved: [["ZZ", 1]], unresolvedCount: 1, noLocation: 1 });
+  const energy = summarizeBook(rows, { filters: { ...EMPTY_CROSSFILTER, industries: ["Energy"], bands: ["Elevated"] } });
+  assert.deepEqual(energy.rows.map((r) => r.company), ["Rhein Energie"]);
+  assert.deepEqual(energy.groups.map((g) => [g.group, g.companies]), [["Energy", 1]]);
+});
+
+test("scoredRecords flattens rows with band, placement and centroid coordinates", () => {
+  const { rows } = scoreBook(fixture("drivers.csv"));
+  const { columns, rows: out } = scoredRecords(rows);
+  assert.ok(!columns.includes("scaled"));
+  assert.deepEqual(columns.slice(0, 8), ["company_id", "company", "industry", "geo", "lat", "lon", "EHEI", "is_high_risk"]);
+  assert.deepEqual(out.map((r) => [r.band, r.placement]), [["Severe", "centroid"], ["Low", "centroid"], ["Low", "centroid"]]);
+  assert.ok(Number.isFinite(out[0].lat));
+  assert.equal(rows[0].lat, null);
+});
@@ -0,0 +1,150 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { ingestCompanies, ingestFeatures, ingestPortfolio, parseNumber } from "../src/lib/ingest.js";
+import { companyKey } from "../src/lib/portfolio.js";
+import { peerPercentiles } from "../src/lib/benchmark.js";
+import { exportRows } from "../src/lib/report.js";
+
+const fixture = (name) => readFileSync(new URL(`./fixtures/${name}`, import.meta.url), "utf8");
+
+test("parseNumber accepts decimal commas only outside comma-delimited files", () => {
+  assert.equal(parseNumber("0,5", ";"), 0.5);
+  assert.ok(Number.isNaN(parseNumber("0,5", ",")));
+  assert.ok(Number.isNaN(parseNumber("  ")));
+  assert.equal(parseNumber(" 12 "), 12);
+});
+
+test("rejects nameless rows and out-of-range scores, with line numbers", () => {
+  const { rows, report } = ingestCompanies(fixture("companies.csv"), { file: "companies.csv" });
+  assert.equal(report.total, 8);
+  assert.equal(report.accepted, 6);
+  assert.equal(rows.length, 6);
+  assert.deepEqual(report.rejected, [
+    { line: 8, reason: "EHEI out of range [0,1] (1.7)" },
+    { line: 9, reason: "Missing company name" },
+  ]);
+});
+
+test("rejects a non-numeric EHEI instead of coercing it to 0", () => {
+  const { rows, report } = ingestCompanies("company,EHEI\nA,abc\nB,0.4");
+  assert.deepEqual(rows.map((r) => r.company), ["B"]);
+  assert.deepEqual(report.rejected, [{ line: 2, reason: 'EHEI is not a number ("abc")' }]);
+});
+
+test("normalizes geo codes and names to ISO alpha-2 and reports unknown ones", () => {
+  const { rows, report } = ingestCompanies(fixture("companies.csv"));
+  assert.deepEqual(rows.map((r) => r.geo), ["FR", "GB", "DE", "US-TX", "ZZ", ""]);
+  assert.deepEqual(report.unknownGeo, ["ZZ"]);
+  assert.ok(report.warnings.some((w) => w.field === "geo" && w.value === "ZZ"));
+});
+
+test("derives a missing high-risk flag from EHEI and warns on unreadable ones", () => {
+  const { rows, report } = ingestCompanies("company,EHEI,is_high_risk\nA,0.7,\nB,0.2,maybe\nC,0.9,no");
+  assert.deepEqual(rows.map((r) => r.is_high_risk), ["1", "0", "0"]);
+  assert.deepEqual(report.warnings.map((w) => [w.line, w.field]), [[3, "is_high_risk"]]);
+});
+
+test("drops invalid or half-given coordinates so the centroid fallback applies", () => {
+  const { rows, report } = ingestCompanies("company,EHEI,geo,lat,lon\nA,0.5,FR,95,2\nB,0.5,FR,48.8,\nC,0.5,FR,48.8,2.3");
+  assert.deepEqual(rows.map((r) => [r.lat, r.lon]), [[null, null], [null, null], [48.8, 2.3]]);
+  assert.deepEqual(report.warnings.map((w) => w.line), [2, 3]);
+});
+
+test("combines a subdivision column with the country", () => {
+  const { rows, report } = ingestCompanies("company,EHEI,country,state\nA,0.5,United States,TX\nB,0.5,US,ZZ");
+  assert.deepEqual(rows.map((r) => r.geo), ["US-TX", "US"]);
+  assert.equal(report.warnings[0].field, "subdivision");
+});
+
+test("reads a subdivision column given by name, within the row's country only", () => {
+  const { rows, report } = ingestCompanies("company,EHEI,geo,state\nA,0.5,US,Texas\nB,0.5,US,georgia\nC,0.5,Canada,British Columbia\nD,0.5,CA,Texas");
+  assert.deepEqual(rows.map((r) => r.geo), ["US-TX", "US-GA", "CA-BC", "CA"]);
+  assert.deepEqual(report.warnings.map((w) => [w.line, w.value]), [[5, "Texas"]]);
+});
+
+test("treats negative or non-numeric exposures as missing", () => {
+  const { rows, report } = ingestCompanies("company,EHEI,limit,gwp\nA,0.5,-3,abc\nB,0.5,,2");
+  assert.deepEqual(rows.map((r) => [r.limit, r.gross_written_premium]), [[null, null], [null, 2]]);
+  assert.equal(report.warnings.length, 2);
+});
+
+test("warns about ragged rows but keeps them", () => {
+  const { rows, report } = ingestCompanies("company,EHEI,geo\nA,0.5\nB,0.5,FR,extra");
+  assert.equal(rows.length, 2);
+  assert.deepEqual(report.warnings.map((w) => w.message), ["Expected 3 fields, found 2", "Expected 3 fields, found 4"]);
+});
+
+test("keeps duplicate ids and names as separate companies with unique keys", () => {
+  const { rows, report } = ingestCompanies("company_id,company,industry,geo,EHEI\nC1,A,Energy,FR,0.5\nC1,B,Energy,FR,0.7\n,X,Mining,DE,0.2\n,X,Mining,DE,0.3\n,X,Mining,FR,0.4");
+  const keys = rows.map(companyKey);
+  assert.deepEqual(keys, ["C1", "C1#3", "X|Mining|DE", "X|Mining|DE#5", "X|Mining|FR"]);
+  assert.deepEqual(
+    report.warnings.map((w) => [w.line, w.field, w.message]),
+    [
+      [3, "company_id", "Duplicate of line 2; kept as a separate company"],
+      [5, "company", "Duplicate of line 4; kept as a separate company"],
+    ]
+  );
+  // Lookups keyed by company (referral hits, percentiles) no longer collapse the duplicates
+  assert.equal(peerPercentiles(rows).size, rows.length);
+  assert.equal(exportRows(rows).columns.includes("key"), false);
+});
+
+test("scores raw driver exports (semicolon file, decimal commas) with the documented formula", () => {
+  const { rows, report } = ingestCompanies(fixture("drivers.csv"));
+  assert.equal(report.delimiter, ";");
+  assert.equal(report.warnings.length, 0);
+  assert.deepEqual(rows.map((r) => [r.company, r.geo, r.EHEI, r.is_high_risk, r.ehei_source]), [
+    ["Alpha", "FR", 1, "1", "computed"],
+    ["Beta", "DE", 0.2875, "0", "computed"],
+    ["Gamma", "ES", 0, "0", "computed"],
+  ]);
+  assert.equal(rows[1].scaled.compliance_fines_musd, 0.25);
+});
+
+test("scores drivers with no range mid-scale instead of 0, and says so", () => {
+  const single = ingestCompanies("company,climate_risk,worker_incidents_per_1k,compliance_fines_musd,hazardous_material_exposure\nSolo,0.9,8,12,0.7");
+  assert.deepEqual(single.rows[0].scaled, {
+    climate_risk: 0.5,
+    worker_incidents_per_1k: 0.5,
+    compliance_fines_musd: 0.5,
+    hazardous_material_exposure: 0.5,
+    E_score: 0,
+    S_score: 0,
+    G_score: 0,
+  });
+  assert.equal(single.rows[0].EHEI, 0.5);
+  assert.equal(single.report.warnings.length, 4);
+  assert.match(single.report.warnings[0].message, /no range to scale on; scored mid-scale \(0\.5\)/);
+
+  const flat = ingestCompanies("company,climate_risk,worker_incidents_per_1k,compliance_fines_musd,hazardous_material_exposure\nA,0.5,1,0,0.2\nB,0.5,3,4,0.6");
+  assert.deepEqual(flat.report.warnings.map((w) => [w.field, w.value]), [["climate_risk", "0.5"]]);
+  assert.deepEqual(flat.rows.map((r) => r.scaled.climate_risk), [0.5, 0.5]);
+
+  // A supplied score needs no scaling, so a constant driver column is not worth a warning
+  assert.equal(ingestCompanies("company,EHEI,climate_risk,worker_incidents_per_1k,compliance_fines_musd,hazardous_material_exposure\nA,0.4,1,1,1,1").report.warnings.length, 0);
+});
+
+test("rejects rows that must be computed but leave a hazard driver blank, and keeps them out of the scaling", () => {
+  const head = "company;climate_risk;worker_incidents_per_1k;compliance_fines_musd;hazardous_material_exposure;EHEI";
+  const { rows, report } = ingestCompanies(`${head}\nA;0,9;12;8;0,8;\nB;;50;2;0,4;\nC;0,1;2;0;0,1;\nD;;6;2;0,4;0,3`);
+  assert.deepEqual(rows.map((r) => [r.company, r.EHEI]), [["A", 1], ["C", 0], ["D", 0.3]]);
+  assert.deepEqual(report.rejected, [{ line: 3, reason: "No EHEI, and climate_risk blank or not a number, so it cannot be computed" }]);
+  assert.equal(report.warnings.length, 0);
+});
+
+test("warns when a file has neither EHEI nor the driver columns", () => {
+  const { rows, report } = ingestCompanies("company,industry\nA,Energy");
+  assert.equal(rows.length, 0);
+  assert.equal(report.warnings[0].field, "EHEI");
+});
+
+test("validates portfolio and feature uploads", () => {
+  const portfolio = ingestPortfolio("sector,count,mean_ehei,share_high_risk\nEnergy,3,0.6,0.5\n,2,0.1,0");
+  assert.deepEqual(portfolio.rows, [{ industry: "Energy", companies: 3, avg_EHEI: 0.6, pct_high_risk: 0.5 }]);
+  assert.equal(portfolio.report.rejected.length, 1);
+  const features = ingestFeatures("variable,gain\nclimate_risk,0.3\nbad,x");
+  assert.deepEqual(features.rows, [{ feature: "climate_risk", importance: 0.3 }]);
+  assert.equal(features.report.rejected.length, 1);
+});
@@ -0,0 +1,79 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { strToU8, zipSync } from "fflate";
+import {
+  MAX_SAVED_MAPPINGS,
+  duplicateTargets,
+  findSavedMapping,
+  guessMapping,
+  headerSignature,
+  matchSavedMapping,
+  missingColumns,
+  needsReview,
+  rememberMapping,
+} from "../src/lib/mapping.js";
+import { readSource } from "../src/lib/sources.js";
+
+test("guesses canonical names and aliases case-insensitively, ignoring the rest", () => {
+  const mapping = guessMapping(["Company", " ehei ", "Country", "Broker notes", ""], "companies");
+  assert.deepEqual(mapping, { Company: "company", ehei: "EHEI", Country: "geo", "Broker notes": "" });
+  assert.deepEqual(guessMapping(["Feature", "Notes"], "features"), { Feature: "feature", Notes: "" });
+});
+
+test("reports missing required columns and whether the wizard is needed", () => {
+  assert.deepEqual(missingColumns({ Name: "company", Score: "EHEI" }, "companies"), []);
+  assert.equal(missingColumns({ Name: "company" }, "companies").length, 1);
+  assert.match(missingColumns({ Name: "company" }, "companies")[0], /^EHEI, or the hazard drivers/);
+  assert.deepEqual(missingColumns({ Feature: "feature" }, "features"), ["importance"]);
+
+  assert.equal(needsReview({ company: "company", EHEI: "EHEI" }, "companies"), false);
+  assert.equal(needsReview({ company: "company", EHEI: "EHEI", notes: "" }, "companies"), true);
+  assert.equal(needsReview({ company: "company" }, "companies"), true);
+});
+
+test("flags columns mapped from more than one header", () => {
+  assert.deepEqual(duplicateTargets({ Name: "company", Insured: "company", Score: "EHEI", x: "" }), ["company"]);
+  assert.deepEqual(duplicateTargets({ a: "", b: "" }), []);
+});
+
+test("saved mappings are keyed by kind and header set, newest first and capped", () => {
+  assert.equal(headerSignature(["b", " a"]), headerSignature(["a", "b", ""]));
+  assert.notEqual(headerSignature(["A"]), headerSignature(["a"]));
+
+  let saved = rememberMapping([], { kind: "companies", head: ["Insured", "Score"], source: "q1.xlsx", mapping: { Insured: "company", Score: "EHEI" } });
+  saved = rememberMapping(saved, { kind: "features", head: ["Insured", "Score"], mapping: { Insured: "feature", Score: "importance" } });
+  saved = rememberMapping(saved, { kind: "companies", head: ["Score", "Insured"], source: "q2.xlsx", mapping: { Insured: "company", Score: "" } });
+  assert.equal(saved.length, 2);
+  assert.equal(saved[0].source, "q2.xlsx");
+  assert.equal(findSavedMapping(saved, "companies", ["Insured", "Score"]).mapping.Score, "");
+  assert.equal(findSavedMapping(saved, "features", ["Score", "Insured"]).kind, "features");
+  assert.equal(findSavedMapping(saved, "portfolio", ["Insured", "Score"]), null);
+
+  const many = Array.from({ length: MAX_SAVED_MAPPINGS + 5 }, (_, i) => i).reduce(
+    (list, i) => rememberMapping(list, { kind: "companies", head: [`col${i}`], mapping: {} }),
+    []
+  );
+  assert.equal(many.length, MAX_SAVED_MAPPINGS);
+  assert.equal(many[0].signature, headerSignature([`col${MAX_SAVED_MAPPINGS + 4}`]));
+});
+
+test("a saved mapping re-reads a workbook on the sheet it was made on", () => {
+  const sheetXml = (cells) => strToU8(`<worksheet><sheetData><row r="1">${cells}</row></sheetData></worksheet>`);
+  const cell = (ref, text) => `<c r="${ref}" t="inlineStr"><is><t>${text}</t></is></c>`;
+  const bytes = zipSync({
+    "xl/workbook.xml": strToU8('<workbook><sheets><sheet name="Cover" r:id="rId1"/><sheet name="Book" r:id="rId2"/></sheets></workbook>'),
+    "xl/_rels/workbook.xml.rels": strToU8(
+      '<Relationships><Relationship Id="rId1" Target="worksheets/sheet1.xml"/><Relationship Id="rId2" Target="worksheets/sheet2.xml"/></Relationships>'
+    ),
+    "xl/worksheets/sheet1.xml": sheetXml(cell("A1", "Title")),
+    "xl/worksheets/sheet2.xml": sheetXml(cell("A1", "Insured") + cell("B1", "Score")),
+  });
+  const source = readSource({ name: "q3.xlsx", bytes });
+  assert.equal(source.sheet, "Cover");
+
+  const saved = rememberMapping([], { kind: "companies", head: ["Insured", "Score"], source: "q2.xlsx", sheet: "Book", mapping: { Insured: "company", Score: "EHEI" } });
+  const match = matchSavedMapping(saved, "companies", source);
+  assert.equal(match.source.sheet, "Book");
+  assert.equal(match.saved, saved[0]);
+  assert.deepEqual(matchSavedMapping(saved, "features", source), { source, saved: null });
+});
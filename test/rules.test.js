@@ -0,0 +1,46 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { FLAGS, compileRule, evaluateRules } from "../src/lib/rules.js";
+
+test("splits on and / && only where a new condition or flag starts", () => {
+  assert.deepEqual(compileRule("EHEI >= 0.75 and industry = Chemicals").conditions, [
+    { field: "EHEI", op: ">=", value: 0.75 },
+    { field: "industry", op: "=", value: ["chemicals"] },
+  ]);
+  assert.deepEqual(compileRule("centroid-placed && EHEI > 0.6").conditions, [FLAGS["centroid-placed"], { field: "EHEI", op: ">", value: 0.6 }]);
+  assert.deepEqual(compileRule("industry = Oil and Gas").conditions, [{ field: "industry", op: "=", value: ["oil and gas"] }]);
+  assert.deepEqual(compileRule("industry = Oil and Gas, Mining and high-risk").conditions, [
+    { field: "industry", op: "=", value: ["oil and gas", "mining"] },
+    FLAGS["high-risk"],
+  ]);
+});
+
+test("keeps quoted values whole, including and, commas and operators", () => {
+  assert.deepEqual(compileRule('company = "Johnson and Johnson" and EHEI >= 0.5').conditions, [
+    { field: "company", op: "=", value: ["johnson and johnson"] },
+    { field: "EHEI", op: ">=", value: 0.5 },
+  ]);
+  assert.deepEqual(compileRule("company != 'Acme and geo = FR, Inc', O'Brien").conditions, [
+    { field: "company", op: "!=", value: ["acme and geo = fr, inc", "o'brien"] },
+  ]);
+});
+
+test("still reports the condition that cannot be read", () => {
+  assert.equal(compileRule("EHEI >= 0.7 and nonsense > 1").error, 'Unknown field "nonsense"');
+  assert.match(compileRule("EHEI >= high and industry = Energy").error, /"EHEI" needs a number, got "high"/);
+  assert.equal(compileRule("  ").error, "Empty rule");
+});
+
+test("multi-word values match companies", () => {
+  const rows = [
+    { company: "Johnson and Johnson", industry: "Pharma", geo: "US", EHEI: 0.4 },
+    { company: "Shellco", industry: "Oil and Gas", geo: "GB", EHEI: 0.7 },
+  ];
+  const rules = [
+    { id: "jj", name: "J&J", expr: 'company = "Johnson and Johnson"', enabled: true },
+    { id: "og", name: "Oil and gas", expr: "industry = Oil and Gas and EHEI >= 0.6", enabled: true },
+  ];
+  const { hits, errors } = evaluateRules(rows, rules);
+  assert.equal(errors.size, 0);
+  assert.deepEqual([...hits.values()].map((r) => r.map((x) => x.id)), [["jj"], ["og"]]);
+});
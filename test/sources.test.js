@@ -0,0 +1,130 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { strToU8, zipSync } from "fflate";
+import { columnIndex, openWorkbook } from "../src/lib/xlsx.js";
+import { describeSource, detectFormat, readSource } from "../src/lib/sources.js";
+import { ingestCompanies } from "../src/lib/ingest.js";
+
+const bytesOf = (value) => strToU8(typeof value === "string" ? value : JSON.stringify(value));
+
+// A minimal two-sheet workbook, shaped the way Excel writes one
+function workbook() {
+  const ns = 'xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"';
+  const rel = 'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"';
+  return zipSync({
+    "[Content_Types].xml": strToU8("<Types/>"),
+    "xl/workbook.xml": strToU8(
+      `<workbook ${ns} ${rel}><sheets><sheet name="Notes" sheetId="1" r:id="rId1"/><sheet name="Q3 book" sheetId="2" r:id="rId2"/></sheets></workbook>`
+    ),
+    "xl/_rels/workbook.xml.rels": strToU8(
+      '<Relationships><Relationship Id="rId1" Target="worksheets/sheet1.xml"/><Relationship Id="rId2" Target="/xl/worksheets/sheet2.xml"/></Relationships>'
+    ),
+    "xl/sharedStrings.xml": strToU8(
+      `<sst ${ns}><si><t>Insured</t></si><si><t>Sector</t></si><si><r><t>Acme </t></r><r><t>&amp; Sons</t></r></si><si><t>Chemicals</t></si></sst>`
+    ),
+    "xl/worksheets/sheet1.xml": strToU8(`<worksheet ${ns}><sheetData><row r="1"><c r="A1" t="inlineStr"><is><t>Read me</t></is></c></row></sheetData></worksheet>`),
+    "xl/worksheets/sheet2.xml": strToU8(
+      `<worksheet ${ns}><sheetData>` +
+        '<row r="1"><c r="A1" t="s"><v>0</v></c><c r="B1" t="s"><v>1</v></c><c r="C1" t="inlineStr"><is><t>Score</t></is></c><c r="D1" t="inlineStr"><is><t>Flag</t></is></c></row>' +
+        '<row r="2"><c r="A2" t="s"><v>2</v></c><c r="B2" t="s"><v>3</v></c><c r="C2"><v>0.72</v></c><c r="D2" t="b"><v>1</v></c></row>' +
+        '<row r="3"/>' +
+        '<row r="5"><c r="A5" t="str"><f>A2</f><v>Beta</v></c><c r="C5"><v>0.3</v></c></row>' +
+        "</sheetData></worksheet>"
+    ),
+  });
+}
+
+test("columnIndex reads spreadsheet column letters", () => {
+  assert.equal(columnIndex("A1"), 0);
+  assert.equal(columnIndex("Z9"), 25);
+  assert.equal(columnIndex("AB12"), 27);
+});
+
+test("reads workbook sheets with shared, rich and inline strings, booleans and sparse rows", () => {
+  const wb = openWorkbook(workbook());
+  assert.deepEqual(wb.sheetNames, ["Notes", "Q3 book"]);
+  assert.deepEqual(wb.sheet(), [{ line: 1, fields: ["Read me"] }]);
+  assert.deepEqual(wb.sheet("Q3 book"), [
+    { line: 1, fields: ["Insured", "Sector", "Score", "Flag"] },
+    { line: 2, fields: ["Acme & Sons", "Chemicals", "0.72", "true"] },
+    { line: 5, fields: ["Beta", "", "0.3"] },
+  ]);
+  assert.throws(() => wb.sheet("Q4"), /No sheet named "Q4"/);
+});
+
+test("readSource picks a sheet and pads rows to the header width", () => {
+  const bytes = workbook();
+  const first = readSource({ name: "book.xlsx", bytes });
+  assert.equal(first.format, "xlsx");
+  assert.equal(first.sheet, "Notes");
+  assert.deepEqual(first.sheets, ["Notes", "Q3 book"]);
+
+  const q3 = readSource({ name: "book.xlsx", bytes }, { sheet: "Q3 book" });
+  assert.deepEqual(q3.head, ["Insured", "Sector", "Score", "Flag"]);
+  assert.deepEqual(q3.body[1], { line: 5, fields: ["Beta", "", "0.3", ""] });
+  assert.equal(describeSource(q3), 'Excel workbook, sheet "Q3 book"');
+  assert.throws(() => readSource({ name: "book.xlsx", bytes }, { sheet: "Q4" }), /No sheet named "Q4" \(sheets: Notes, Q3 book\)/);
+  assert.throws(() => readSource({ name: "old.xlsx", bytes: bytesOf("not a zip") }), /Not a readable XLSX workbook/);
+});
+
+test("reads JSON arrays and wrapped arrays, skipping non-objects with a note", () => {
+  const src = readSource({ name: "book.json", bytes: bytesOf([{ company: "A", EHEI: 0.5 }, 7, { company: "B", geo: "FR", tags: ["x"] }]) });
+  assert.equal(src.format, "json");
+  assert.deepEqual(src.head, ["company", "EHEI", "geo", "tags"]);
+  assert.deepEqual(src.body, [
+    { line: 1, fields: ["A", "0.5", "", ""] },
+    { line: 3, fields: ["B", "", "FR", '["x"]'] },
+  ]);
+  assert.deepEqual(src.notes, [{ line: 2, field: "*", value: "7", message: "Not an object; skipped" }]);
+
+  const wrapped = readSource({ name: "export.json", bytes: bytesOf({ meta: { n: 1 }, rows: [{ feature: "x", importance: 1 }] }) });
+  assert.deepEqual(wrapped.head, ["feature", "importance"]);
+  assert.throws(() => readSource({ name: "x.json", bytes: bytesOf({ n: 1 }) }), /Expected a JSON array of objects/);
+  assert.throws(() => readSource({ name: "x.json", bytes: bytesOf("{oops") }), /Not valid JSON/);
+});
+
+test("reads GeoJSON points into lat/lon and notes other geometries", () => {
+  const fc = {
+    type: "FeatureCollection",
+    features: [
+      { type: "Feature", geometry: { type: "Point", coordinates: [2.35, 48.85] }, properties: { company: "A", geo: "FR" } },
+      { type: "Feature", geometry: { type: "Polygon", coordinates: [] }, properties: { company: "B", geo: "DE" } },
+    ],
+  };
+  // Sniffed from the content even with a plain .json name
+  const src = readSource({ name: "sites.json", bytes: bytesOf(fc) });
+  assert.equal(src.format, "geojson");
+  assert.deepEqual(src.head, ["company", "geo", "lon", "lat"]);
+  assert.deepEqual(src.body[0].fields, ["A", "FR", "2.35", "48.85"]);
+  assert.deepEqual(src.body[1].fields, ["B", "DE", "", ""]);
+  assert.equal(src.notes[0].line, 2);
+  assert.match(src.notes[0].message, /Not a point/);
+});
+
+test("detectFormat trusts the extension, else sniffs the bytes", () => {
+  assert.equal(detectFormat("a.TSV", bytesOf("x")), "csv");
+  assert.equal(detectFormat("a.geojson", bytesOf("x")), "geojson");
+  assert.equal(detectFormat("stdin", workbook()), "xlsx");
+  assert.equal(detectFormat("stdin", bytesOf("  [{}]")), "json");
+  assert.equal(detectFormat("stdin", bytesOf("company,EHEI")), "csv");
+});
+
+test("ingests a workbook sheet through a column mapping, with reader notes as warnings", () => {
+  const source = readSource({ name: "book.xlsx", bytes: workbook() }, { sheet: "Q3 book" });
+  const mapping = { Insured: "company", Sector: "industry", Score: "EHEI", Flag: "is_high_risk" };
+  const { rows, report } = ingestCompanies(source, { file: "book.xlsx", mapping });
+  assert.deepEqual(
+    rows.map((r) => [r.company, r.industry, r.EHEI, r.is_high_risk]),
+    [
+      ["Acme & Sons", "Chemicals", 0.72, "1"],
+      ["Beta", "", 0.3, "0"],
+    ]
+  );
+  assert.equal(report.format, "xlsx");
+  assert.equal(report.sheet, "Q3 book");
+
+  const geo = readSource({ name: "x.geojson", bytes: bytesOf({ type: "FeatureCollection", features: [{ geometry: { type: "LineString" }, properties: { company: "A", EHEI: 0.4 } }] }) });
+  const { report: geoReport } = ingestCompanies(geo, { file: "x.geojson" });
+  assert.equal(geoReport.accepted, 1);
+  assert.ok(geoReport.warnings.some((w) => /Not a point/.test(w.message)));
+});
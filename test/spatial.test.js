@@ -0,0 +1,71 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { centroidFor, geoName, normalizeGeo, resolveGeo } from "../src/lib/countries.js";
+import { accumulateWithin, centroidLabel, haversineKm, placeCompanies, placeCompany, spreadCentroidPoints, unplacedSummary } from "../src/lib/spatial.js";
+import { applyCrossfilter, EMPTY_CROSSFILTER } from "../src/lib/filters.js";
+
+test("ISO normalization: alpha-2, alpha-3, names and aliases resolve to one code", () => {
+  ["GB", "gbr", "UK", "United Kingdom", " great britain "].forEach((g) => assert.equal(resolveGeo(g)?.code, "GB", g));
+  assert.equal(normalizeGeo("Deu"), "DE");
+  assert.equal(resolveGeo("ZZ"), null);
+  assert.equal(resolveGeo(""), null);
+  assert.equal(geoName("FR"), "France");
+});
+
+test("subdivision codes resolve to their own centroid", () => {
+  assert.deepEqual(
+    (({ code, country, subdivision }) => ({ code, country, subdivision }))(resolveGeo("US-TX")),
+    { code: "US-TX", country: "US", subdivision: "TX" }
+  );
+  assert.notDeepEqual(centroidFor("US-TX"), centroidFor("US"));
+  assert.equal(centroidFor("US-ZZ"), null); // ingest falls back to the country (see ingest.test.js)
+});
+
+test("centroid fallback: own coordinates first, then the geo centroid, else unplaced", () => {
+  assert.deepEqual(placeCompany({ geo: "FR", lat: 48.85, lon: 2.35 }), { lat: 48.85, lon: 2.35, placement: "exact" });
+  const fr = placeCompany({ geo: "FR", lat: null, lon: null });
+  assert.equal(fr.placement, "centroid");
+  assert.deepEqual([fr.lat, fr.lon], centroidFor("FR"));
+  assert.equal(placeCompany({ geo: "UK", lat: 51.5, lon: null }).placement, "centroid");
+  assert.deepEqual(placeCompany({ geo: "ZZ" }), { lat: null, lon: null, placement: "unplaced" });
+  assert.equal(placeCompany({ geo: "", lat: 0, lon: 0 }).placement, "exact");
+});
+
+test("centroid placements are described as country or subdivision centroids", () => {
+  assert.equal(centroidLabel("FR"), "country centroid");
+  assert.equal(centroidLabel("US-TX"), "subdivision centroid");
+  assert.equal(centroidLabel("Texas"), "subdivision centroid");
+});
+
+test("placeCompanies keeps placed rows only and leaves the input untouched", () => {
+  const rows = [
+    { company: "X", industry: "Chemicals", EHEI: 0.5, is_high_risk: 0, geo: "FR" },
+    { company: "Y", industry: "Energy", EHEI: 0.7, is_high_risk: 1, geo: "UK" },
+    { company: "Z", industry: "Energy", EHEI: 0.3, is_high_risk: 0, geo: "ZZ" },
+  ];
+  const points = placeCompanies(rows);
+  assert.deepEqual(points.map((p) => [p.company, p.placement]), [["X", "centroid"], ["Y", "centroid"]]);
+  assert.equal(rows[0].lat, undefined);
+});
+
+test("unplacedSummary counts unresolved codes separately from missing locations", () => {
+  const rows = [{ geo: "ZZ" }, { geo: "ZZ" }, { geo: "QQ" }, { geo: "" }, { geo: "", lat: 1, lon: 2 }, { geo: "FR" }];
+  assert.deepEqual(unplacedSummary(rows), { unresolved: [["ZZ", 2], ["QQ", 1]], unresolvedCount: 3, noLocation: 1 });
+});
+
+test("the map selection box uses the same placement", () => {
+  const rows = [{ company: "Paris", geo: "FR", lat: 48.85, lon: 2.35 }, { company: "France", geo: "FR" }, { company: "Unknown", geo: "ZZ" }];
+  const inFrance = applyCrossfilter(rows, { ...EMPTY_CROSSFILTER, bbox: [-5, 42, 8, 51] });
+  assert.deepEqual(inFrance.map((r) => r.company), ["Paris", "France"]);
+});
+
+test("spreads stacked centroid points and accumulates within a radius", () => {
+  const points = placeCompanies([{ geo: "FR" }, { geo: "FR" }, { geo: "FR", lat: 48.85, lon: 2.35 }]).map((p) => ({ ...p, EHEI: 0.5, is_high_risk: "0", limit: 10 }));
+  const spread = spreadCentroidPoints(points);
+  assert.deepEqual([spread[0].dlat, spread[0].dlon], [points[0].lat, points[0].lon]);
+  assert.notEqual(spread[1].dlat, points[1].lat);
+  assert.equal(spread[2].dlat, 48.85);
+  assert.ok(Math.abs(haversineKm({ lat: 48.85, lon: 2.35 }, { lat: 51.51, lon: -0.13 }) - 343) < 2);
+  const acc = accumulateWithin(points, { lat: 48.85, lon: 2.35 }, 10, ["limit"]);
+  assert.deepEqual([acc.companies, acc.exposure.limit, acc.centroidPlaced], [1, 10, 0]);
+});
@@ -0,0 +1,37 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { eheiFromScaled } from "../src/lib/ehei.js";
+import { ingestCompanies } from "../src/lib/ingest.js";
+import { applyShocks } from "../src/lib/stress.js";
+
+const { rows } = ingestCompanies(readFileSync(new URL("./fixtures/drivers.csv", import.meta.url), "utf8"));
+const beta = rows.find((r) => r.company === "Beta");
+const shock = (target, op, value) => ({ label: "", industries: ["Energy"], geos: [], target, op, value });
+
+test("shocks only the companies in scope and keeps the baseline score", () => {
+  const { rows: out } = applyShocks(rows, [shock("EHEI", "add", 0.1)]);
+  assert.equal(out.find((r) => r.company === "Alpha"), rows[0]);
+  const shocked = out.find((r) => r.company === "Beta");
+  assert.equal(shocked.baseEHEI, beta.EHEI);
+  assert.equal(shocked.EHEI, +(beta.EHEI + 0.1).toFixed(4));
+});
+
+test("a driver shock moves the score on the baseline min-max ruler", () => {
+  const { rows: out } = applyShocks(rows, [shock("climate_risk", "pct", 30)]);
+  // 0.5 → 0.65 on a 0.1–0.9 range moves the scaled driver by 0.1875
+  const scaled = { ...beta.scaled, climate_risk: beta.scaled.climate_risk + 0.1875 };
+  const expected = beta.EHEI + eheiFromScaled(scaled) - eheiFromScaled(beta.scaled);
+  assert.equal(out.find((r) => r.company === "Beta").EHEI, +expected.toFixed(4));
+});
+
+test("shocks stack in order: a % EHEI shock scales the driver-shocked score", () => {
+  const driver = shock("climate_risk", "pct", 30);
+  const pct = shock("EHEI", "pct", 10);
+  const afterDriver = applyShocks(rows, [driver]).rows.find((r) => r.company === "Beta").EHEI;
+  const driverThenPct = applyShocks(rows, [driver, pct]).rows.find((r) => r.company === "Beta");
+  const pctThenDriver = applyShocks(rows, [pct, driver]).rows.find((r) => r.company === "Beta");
+  assert.ok(Math.abs(driverThenPct.EHEI - afterDriver * 1.1) < 1e-4);
+  assert.ok(Math.abs(pctThenDriver.EHEI - (beta.EHEI * 1.1 + (afterDriver - beta.EHEI))) < 1e-4);
+  assert.notEqual(driverThenPct.EHEI, pctThenDriver.EHEI);
+});
@@ -0,0 +1,26 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { migration } from "../src/lib/trends.js";
+
+const row = (company_id, EHEI) => ({ company_id, company: company_id, EHEI, is_high_risk: EHEI >= 0.6 ? "1" : "0" });
+
+test("matches snapshots on company_id and lists new, lapsed and deteriorating names", () => {
+  const diff = migration([row("A", 0.3), row("B", 0.7), row("C", 0.2)], [row("A", 0.65), row("B", 0.5), row("D", 0.1), { company: "X", EHEI: 0.4 }]);
+  assert.equal(diff.matched, 2);
+  assert.deepEqual(diff.flips.toHigh.map((r) => r.company_id), ["A"]);
+  assert.deepEqual(diff.flips.toLow.map((r) => r.company_id), ["B"]);
+  assert.deepEqual(diff.added.map((r) => r.company_id), ["D"]);
+  assert.deepEqual(diff.lapsed.map((r) => r.company_id), ["C"]);
+  assert.deepEqual(diff.unmatched, { previous: 0, current: 1 });
+  assert.deepEqual(diff.ambiguous, { previous: 0, current: 0 });
+});
+
+test("ids repeated within a snapshot are reported instead of overwriting each other", () => {
+  const diff = migration([row("A", 0.2), row("B", 0.2)], [row("A", 0.9), row("A", 0.1), row("B", 0.3)]);
+  assert.equal(diff.matched, 1);
+  assert.equal(Object.values(diff.matrix).flatMap(Object.values).reduce((a, n) => a + n, 0), 1);
+  assert.deepEqual(diff.flips.toHigh, []);
+  assert.deepEqual(diff.added, []);
+  assert.deepEqual(diff.lapsed, []);
+  assert.deepEqual(diff.ambiguous, { previous: 1, current: 2 });
+});